@@ -7,8 +7,33 @@
  */
 
 // Import the required modules
-const app = Application.currentApplication();
-app.includeStandardAdditions = true;
+const app = typeof Application !== "undefined" ? Application.currentApplication() : null;
+if (app) {
+    app.includeStandardAdditions = true;
+}
+
+/**
+ * Loads the main script from src/js, whose HTTP client sends every request.
+ * Under JXA it is read from next to this script and evaluated with a `module`
+ * shim, so it exports its modules instead of running.
+ * @returns {Object} The main script's exports.
+ */
+function loadIntegration() {
+    if (typeof require === "function") {
+        return require("./src/js/JIRAGitHubIntegration.js");
+    }
+    
+    const args = ObjC.deepUnwrap($.NSProcessInfo.processInfo.arguments);
+    const script = args[args.length - 1];
+    const scriptDir = script.lastIndexOf("/") >= 0 ? script.substring(0, script.lastIndexOf("/")) : ".";
+    const source = app.doShellScript(`cat "${scriptDir}/src/js/JIRAGitHubIntegration.js"`, { alteringLineEndings: false });
+    const moduleShim = { parent: this, exports: {} };
+    
+    new Function("module", source.replace(/^#!.*\n/, ""))(moduleShim);
+    return moduleShim.exports;
+}
+
+const { HTTP, IntegrationError } = loadIntegration();
 
 // Set the base URLs for the JIRA and GitHub APIs
 const JIRA_BASE_URL = "https://jira.example.com/rest/api/2/";
@@ -50,6 +75,20 @@ function saveTokenToKeychain(serviceName, token) {
     }
 }
 
+/**
+ * Sends a GET request through the main script's HTTP client and parses the
+ * JSON response.
+ * @param {string} url - The URL to request.
+ * @param {Object} headers - Map of header name to value.
+ * @param {string} service - Service name ("JIRA", "GitHub") used in errors.
+ * @returns {Promise<Object>} A promise that resolves to the parsed JSON response.
+ * @throws {IntegrationError} A typed error (AuthError, NotFoundError, ...) for failed requests.
+ */
+async function httpGetJson(url, headers, service) {
+    const response = await HTTP.request({ method: "GET", url: url, headers: headers, service: service });
+    return HTTP.expectJson(response, service);
+}
+
 /**
  * Retrieves a list of JIRA tickets using the API token from the Keychain.
  * @returns {Promise<Object>} A promise that resolves to an object containing JIRA tickets.
@@ -59,16 +98,13 @@ function getJiraTickets() {
     const jql = encodeURIComponent("project = MyProject AND status = Open");
     const fields = encodeURIComponent("summary,status");
     
-    const curlCommand = `curl -s -X GET "${url}?jql=${jql}&fields=${fields}" -H "Authorization: Bearer ${getPasswordFromKeychain(JIRA_TOKEN_KEYCHAIN_ITEM)}" -H "Content-Type: application/json"`;
+    const headers = {
+        "Authorization": `Bearer ${getPasswordFromKeychain(JIRA_TOKEN_KEYCHAIN_ITEM)}`,
+        "Content-Type": "application/json"
+    };
     
-    return new Promise((resolve, reject) => {
-        try {
-            const response = app.doShellScript(curlCommand);
-            const jsonResponse = JSON.parse(response);
-            resolve(jsonResponse);
-        } catch (error) {
-            reject(new Error(`Error fetching JIRA tickets: ${error.message}`));
-        }
+    return httpGetJson(`${url}?jql=${jql}&fields=${fields}`, headers, "JIRA").catch(error => {
+        throw IntegrationError.withContext(error, "Error fetching JIRA tickets");
     });
 }
 
@@ -87,16 +123,13 @@ function getGithubPullRequests(username, repo) {
     
     const url = `${GITHUB_BASE_URL}repos/${username}/${repo}/pulls?state=open`;
     
-    const curlCommand = `curl -s -X GET "${url}" -H "Authorization: Bearer ${getPasswordFromKeychain(GITHUB_TOKEN_KEYCHAIN_ITEM)}" -H "Accept: application/vnd.github.v3+json"`;
+    const headers = {
+        "Authorization": `Bearer ${getPasswordFromKeychain(GITHUB_TOKEN_KEYCHAIN_ITEM)}`,
+        "Accept": "application/vnd.github.v3+json"
+    };
     
-    return new Promise((resolve, reject) => {
-        try {
-            const response = app.doShellScript(curlCommand);
-            const jsonResponse = JSON.parse(response);
-            resolve(jsonResponse);
-        } catch (error) {
-            reject(new Error(`Error fetching GitHub pull requests: ${error.message}`));
-        }
+    return httpGetJson(url, headers, "GitHub").catch(error => {
+        throw IntegrationError.withContext(error, "Error fetching GitHub pull requests");
     });
 }
 
@@ -209,5 +242,17 @@ async function main(githubUsername, githubRepo) {
     }
 }
 
-// Run the main function
-main();
+// Run the main function when executed directly
+if (typeof module === "undefined" || !module.parent) {
+    main();
+}
+
+// Export the functions for testing
+if (typeof module !== "undefined") {
+    module.exports = {
+        httpGetJson,
+        getJiraTickets,
+        getGithubPullRequests,
+        main
+    };
+}
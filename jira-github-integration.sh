@@ -26,6 +26,17 @@ JXA_SCRIPT="$SCRIPT_DIR/src/js/JIRAGitHubIntegration.js"
 CONFIG_DIR="$HOME/.config/jira-github-integration"
 CONFIG_FILE="$CONFIG_DIR/config.json"
 
+# Stops the script from also running main without options, before ours
+JXA_GUARD="var JIRA_GITHUB_MANUAL_RUN = true;"
+# Calls main and exits with its exit code, so explain_exit_code can describe failures
+RUN_MAIN="main(options).catch(error => System.exit(error.exitCode || EXIT_CODES.failure));"
+
+# Escapes a value for a single-quoted JavaScript string in PARAMS
+function js_escape {
+  local value="${1//\\/\\\\}"
+  printf '%s' "${value//\'/\\\'}"
+}
+
 # Display help message
 function show_help {
   echo -e "${BLUE}${BOLD}JIRA and GitHub Integration for macOS${NC}"
@@ -35,6 +46,7 @@ function show_help {
   echo
   echo -e "${GREEN}${BOLD}Usage:${NC}"
   echo -e "  $0 [options]"
+  echo -e "  $0 start TICKET [options]   Create a branch for TICKET (e.g. PROJ-123)"
   echo
   echo -e "${GREEN}${BOLD}Options:${NC}"
   echo -e "  -h, --help                 Show this help message"
@@ -42,7 +54,18 @@ function show_help {
   echo -e "  -r, --github-repo REPO     Specify GitHub repository (default: from config)"
   echo -e "  -o, --output-file FILE     Specify output file path (default: ~/Documents/JIRA-GitHub-Data.json)"
   echo -e "  -a, --app APP              Specify application to open output file (default: TextEdit)"
+  echo -e "  -f, --format FORMAT        Output format: json, markdown or html (default: json)"
+  echo -e "  -p, --profile PROFILE      Use a named profile from the config file"
+  echo -e "      --config FILE          Read settings from FILE instead of $CONFIG_FILE"
   echo -e "  -n, --no-browser           Don't open tickets/PRs in browser"
+  echo -e "      --open MODE            Which tickets/PRs to open: all, none, top, changed or choose"
+  echo -e "      --open-limit N         Tickets and PRs to open each with --open top (default: 5)"
+  echo -e "      --filter EXPR          Only show matching tickets/PRs, e.g. \"status != Done sort: -updated\""
+  echo -e "      --full-refresh         Ignore cached results and fetch everything"
+  echo -e "      --dry-run              Show the ticket transitions automation rules would make"
+  echo -e "  -w, --watch                Keep running and notify about changes (Ctrl-C to stop)"
+  echo -e "      --interval MINUTES     Minutes between checks in watch mode (default: 15)"
+  echo -e "      --draft-pr             With start, also open a draft pull request"
   echo -e "  -t, --test                 Run tests instead of the main script"
   echo -e "  -c, --configure            Run interactive configuration wizard"
   echo -e "  -s, --summary              Show summary of tickets and PRs without opening browser"
@@ -52,6 +75,13 @@ function show_help {
   echo -e "  $0 --github-user myuser --github-repo myproject"
   echo -e "  $0 --output-file ~/Desktop/tickets.json --app \"Visual Studio Code\""
   echo -e "  $0 --no-browser"
+  echo -e "  $0 --format markdown --no-browser"
+  echo -e "  $0 --format html"
+  echo -e "  $0 --filter \"pr.draft = false and age > 3d\""
+  echo -e "  $0 --open top --open-limit 3"
+  echo -e "  $0 --profile oss"
+  echo -e "  $0 --watch --interval 10"
+  echo -e "  $0 start PROJ-123 --draft-pr"
   echo -e "  $0 --test"
   echo -e "  $0 --configure"
   echo -e "  $0 --summary"
@@ -80,6 +110,30 @@ spinner() {
   printf "    \b\b\b\b"
 }
 
+# Explain the exit codes returned by the JXA script
+function explain_exit_code {
+  case $1 in
+    2)
+      echo -e "${YELLOW}Configuration error. Fix the reported setting in $CONFIG_FILE or rerun with --configure.${NC}"
+      ;;
+    3)
+      echo -e "${YELLOW}Authentication failed. Check the API tokens stored in the Keychain (option 7 in --menu).${NC}"
+      ;;
+    4)
+      echo -e "${YELLOW}Not found. Check the JIRA base URL and the project, repository or organization names.${NC}"
+      ;;
+    5)
+      echo -e "${YELLOW}Network error. Check your connection or VPN and the configured base URLs.${NC}"
+      ;;
+    6)
+      echo -e "${YELLOW}Rate limit exceeded. Wait for the limit to reset and try again.${NC}"
+      ;;
+    7)
+      echo -e "${YELLOW}Unexpected response. The server did not return JSON; your token or SSO session may have expired.${NC}"
+      ;;
+  esac
+}
+
 # Run the configuration wizard
 function run_configuration_wizard {
   echo -e "${BLUE}${BOLD}JIRA and GitHub Integration Configuration Wizard${NC}"
@@ -172,11 +226,17 @@ function show_summary {
   # Create a temporary file to store the output
   TEMP_OUTPUT_FILE="/tmp/jira-github-summary-$$.json"
   
-  # Run the script with summary option
-  PARAMS="const options = {}; options.openInBrowser = false; options.outputFilePath = '$TEMP_OUTPUT_FILE'; options.summaryOnly = true; main(options);"
+  # Run the script with summary option. The summary is parsed from JSON whatever
+  # output.format says, and only looks: no transitions, comments or snapshot save
+  PARAMS="const options = {}; options.openInBrowser = false; options.outputFilePath = '$(js_escape "$TEMP_OUTPUT_FILE")'; options.summaryOnly = true;"
+  PARAMS="$PARAMS options.format = 'json'; options.dryRun = true;"
+  if [ -n "$PROFILE" ]; then
+    PARAMS="$PARAMS options.profile = '$(js_escape "$PROFILE")';"
+  fi
+  PARAMS="$PARAMS $RUN_MAIN"
   
   # Execute the script and capture its output
-  osascript -l JavaScript -e "$(cat "$JXA_SCRIPT")" -e "$PARAMS" > /dev/null 2>&1 &
+  osascript -l JavaScript -e "$JXA_GUARD" -e "$(cat "$JXA_SCRIPT")" -e "$PARAMS" > /dev/null 2>&1 &
   PID=$!
   spinner $PID
   
@@ -185,6 +245,7 @@ function show_summary {
   
   if [ $EXIT_CODE -ne 0 ]; then
     echo -e "${RED}Failed to retrieve data!${NC}"
+    explain_exit_code $EXIT_CODE
     exit $EXIT_CODE
   fi
   
@@ -249,7 +310,8 @@ function show_interactive_menu {
     case $REPLY in
       1)
         echo -e "\n${GREEN}Fetching JIRA tickets and GitHub PRs...${NC}"
-        osascript -l JavaScript "$JXA_SCRIPT" &
+        PARAMS="const options = {}; $RUN_MAIN"
+        osascript -l JavaScript -e "$JXA_GUARD" -e "$(cat "$JXA_SCRIPT")" -e "$PARAMS" &
         PID=$!
         spinner $PID
         wait $PID
@@ -266,8 +328,8 @@ function show_interactive_menu {
         read -p "Enter GitHub username: " custom_user
         read -p "Enter GitHub repository: " custom_repo
         echo -e "\n${GREEN}Fetching data for $custom_user/$custom_repo...${NC}"
-        PARAMS="const options = {}; options.githubUsername = '$custom_user'; options.githubRepo = '$custom_repo'; main(options);"
-        osascript -l JavaScript -e "$(cat "$JXA_SCRIPT")" -e "$PARAMS" &
+        PARAMS="const options = {}; options.githubUsername = '$(js_escape "$custom_user")'; options.githubRepo = '$(js_escape "$custom_repo")'; $RUN_MAIN"
+        osascript -l JavaScript -e "$JXA_GUARD" -e "$(cat "$JXA_SCRIPT")" -e "$PARAMS" &
         PID=$!
         spinner $PID
         wait $PID
@@ -281,8 +343,8 @@ function show_interactive_menu {
         read -p "Enter output file path: " custom_output
         read -p "Enter application to open output: " custom_app
         echo -e "\n${GREEN}Fetching data and saving to $custom_output...${NC}"
-        PARAMS="const options = {}; options.outputFilePath = '$custom_output'; options.outputApp = '$custom_app'; main(options);"
-        osascript -l JavaScript -e "$(cat "$JXA_SCRIPT")" -e "$PARAMS" &
+        PARAMS="const options = {}; options.outputFilePath = '$(js_escape "$custom_output")'; options.outputApp = '$(js_escape "$custom_app")'; $RUN_MAIN"
+        osascript -l JavaScript -e "$JXA_GUARD" -e "$(cat "$JXA_SCRIPT")" -e "$PARAMS" &
         PID=$!
         spinner $PID
         wait $PID
@@ -333,39 +395,23 @@ function show_interactive_menu {
   done
 }
 
-# Load saved configuration if exists
-function load_config {
-  if [ -f "$CONFIG_FILE" ]; then
-    # Extract values from config file
-    SAVED_GITHUB_USER=$(grep -o '"username":"[^"]*"' "$CONFIG_FILE" | cut -d':' -f2 | tr -d '"')
-    SAVED_GITHUB_REPO=$(grep -o '"repo":"[^"]*"' "$CONFIG_FILE" | cut -d':' -f2 | tr -d '"')
-    SAVED_OUTPUT_FILE=$(grep -o '"filePath":"[^"]*"' "$CONFIG_FILE" | cut -d':' -f2 | tr -d '"')
-    SAVED_OUTPUT_APP=$(grep -o '"appName":"[^"]*"' "$CONFIG_FILE" | cut -d':' -f2 | tr -d '"')
-    
-    # Set default values from config if not provided as arguments
-    if [ -z "$GITHUB_USER" ] && [ -n "$SAVED_GITHUB_USER" ]; then
-      GITHUB_USER=$SAVED_GITHUB_USER
-    fi
-    
-    if [ -z "$GITHUB_REPO" ] && [ -n "$SAVED_GITHUB_REPO" ]; then
-      GITHUB_REPO=$SAVED_GITHUB_REPO
-    fi
-    
-    if [ -z "$OUTPUT_FILE" ] && [ -n "$SAVED_OUTPUT_FILE" ]; then
-      OUTPUT_FILE=$SAVED_OUTPUT_FILE
-    fi
-    
-    if [ -z "$OUTPUT_APP" ] && [ -n "$SAVED_OUTPUT_APP" ]; then
-      OUTPUT_APP=$SAVED_OUTPUT_APP
-    fi
-  fi
-}
-
 # Parse command line arguments
 GITHUB_USER=""
 GITHUB_REPO=""
 OUTPUT_FILE=""
 OUTPUT_APP=""
+OUTPUT_FORMAT=""
+PROFILE=""
+CONFIG_PATH=""
+FULL_REFRESH=false
+DRY_RUN=false
+WATCH=false
+WATCH_INTERVAL=""
+START_TICKET=""
+FILTER=""
+OPEN_MODE=""
+OPEN_LIMIT=""
+DRAFT_PR=false
 OPEN_BROWSER=true
 RUN_TESTS=false
 RUN_CONFIG=false
@@ -399,10 +445,70 @@ while [[ $# -gt 0 ]]; do
       shift
       shift
       ;;
+    -f|--format)
+      OUTPUT_FORMAT="$2"
+      shift
+      shift
+      ;;
+    -p|--profile)
+      PROFILE="$2"
+      shift
+      shift
+      ;;
+    --config)
+      CONFIG_PATH="$2"
+      shift
+      shift
+      ;;
     -n|--no-browser)
       OPEN_BROWSER=false
       shift
       ;;
+    --full-refresh)
+      FULL_REFRESH=true
+      shift
+      ;;
+    --filter)
+      FILTER="$2"
+      shift
+      shift
+      ;;
+    --open)
+      OPEN_MODE="$2"
+      shift
+      shift
+      ;;
+    --open-limit)
+      OPEN_LIMIT="$2"
+      shift
+      shift
+      ;;
+    --dry-run)
+      DRY_RUN=true
+      shift
+      ;;
+    -w|--watch)
+      WATCH=true
+      shift
+      ;;
+    --interval)
+      WATCH_INTERVAL="$2"
+      shift
+      shift
+      ;;
+    start)
+      START_TICKET="$2"
+      if [ -z "$START_TICKET" ]; then
+        echo -e "${RED}start needs a ticket key, e.g. start PROJ-123${NC}"
+        exit 1
+      fi
+      shift
+      shift
+      ;;
+    --draft-pr)
+      DRAFT_PR=true
+      shift
+      ;;
     -t|--test)
       RUN_TESTS=true
       shift
@@ -427,9 +533,6 @@ while [[ $# -gt 0 ]]; do
   esac
 done
 
-# Load config
-load_config
-
 # Run the appropriate action based on arguments
 if [ "$RUN_CONFIG" = true ]; then
   run_configuration_wizard
@@ -457,28 +560,119 @@ fi
 PARAMS=""
 if [ -n "$GITHUB_USER" ]; then
   PARAMS="$PARAMS const options = {};"
-  PARAMS="$PARAMS options.githubUsername = '$GITHUB_USER';"
+  PARAMS="$PARAMS options.githubUsername = '$(js_escape "$GITHUB_USER")';"
 fi
 
 if [ -n "$GITHUB_REPO" ]; then
   if [ -z "$PARAMS" ]; then
     PARAMS="$PARAMS const options = {};"
   fi
-  PARAMS="$PARAMS options.githubRepo = '$GITHUB_REPO';"
+  PARAMS="$PARAMS options.githubRepo = '$(js_escape "$GITHUB_REPO")';"
 fi
 
 if [ -n "$OUTPUT_FILE" ]; then
   if [ -z "$PARAMS" ]; then
     PARAMS="$PARAMS const options = {};"
   fi
-  PARAMS="$PARAMS options.outputFilePath = '$OUTPUT_FILE';"
+  PARAMS="$PARAMS options.outputFilePath = '$(js_escape "$OUTPUT_FILE")';"
 fi
 
 if [ -n "$OUTPUT_APP" ]; then
   if [ -z "$PARAMS" ]; then
     PARAMS="$PARAMS const options = {};"
   fi
-  PARAMS="$PARAMS options.outputApp = '$OUTPUT_APP';"
+  PARAMS="$PARAMS options.outputApp = '$(js_escape "$OUTPUT_APP")';"
+fi
+
+if [ -n "$OUTPUT_FORMAT" ]; then
+  if [ -z "$PARAMS" ]; then
+    PARAMS="$PARAMS const options = {};"
+  fi
+  PARAMS="$PARAMS options.format = '$(js_escape "$OUTPUT_FORMAT")';"
+fi
+
+if [ -n "$PROFILE" ]; then
+  if [ -z "$PARAMS" ]; then
+    PARAMS="$PARAMS const options = {};"
+  fi
+  PARAMS="$PARAMS options.profile = '$(js_escape "$PROFILE")';"
+fi
+
+if [ -n "$CONFIG_PATH" ]; then
+  if [ -z "$PARAMS" ]; then
+    PARAMS="$PARAMS const options = {};"
+  fi
+  PARAMS="$PARAMS options.configFile = '$(js_escape "$CONFIG_PATH")';"
+fi
+
+if [ -n "$FILTER" ]; then
+  if [ -z "$PARAMS" ]; then
+    PARAMS="$PARAMS const options = {};"
+  fi
+  PARAMS="$PARAMS options.filter = '$(js_escape "$FILTER")';"
+fi
+
+if [ -n "$OPEN_MODE" ]; then
+  case "$OPEN_MODE" in
+    all|none|top|changed|choose) ;;
+    *)
+      echo -e "${RED}--open must be one of all, none, top, changed or choose${NC}"
+      exit 1
+      ;;
+  esac
+  if [ -z "$PARAMS" ]; then
+    PARAMS="$PARAMS const options = {};"
+  fi
+  PARAMS="$PARAMS options.open = '$(js_escape "$OPEN_MODE")';"
+fi
+
+if [ -n "$OPEN_LIMIT" ]; then
+  if ! [[ "$OPEN_LIMIT" =~ ^[0-9]+$ ]]; then
+    echo -e "${RED}--open-limit must be a whole number${NC}"
+    exit 1
+  fi
+  if [ -z "$PARAMS" ]; then
+    PARAMS="$PARAMS const options = {};"
+  fi
+  PARAMS="$PARAMS options.openLimit = $OPEN_LIMIT;"
+fi
+
+if [ "$FULL_REFRESH" = true ]; then
+  if [ -z "$PARAMS" ]; then
+    PARAMS="$PARAMS const options = {};"
+  fi
+  PARAMS="$PARAMS options.fullRefresh = true;"
+fi
+
+if [ "$DRY_RUN" = true ]; then
+  if [ -z "$PARAMS" ]; then
+    PARAMS="$PARAMS const options = {};"
+  fi
+  PARAMS="$PARAMS options.dryRun = true;"
+fi
+
+if [ "$WATCH" = true ]; then
+  if [ -z "$PARAMS" ]; then
+    PARAMS="$PARAMS const options = {};"
+  fi
+  PARAMS="$PARAMS options.watch = true;"
+  if [ -n "$WATCH_INTERVAL" ]; then
+    if ! [[ "$WATCH_INTERVAL" =~ ^[0-9]+$ ]] || [ "$WATCH_INTERVAL" -eq 0 ]; then
+      echo -e "${RED}--interval must be a whole number of minutes${NC}"
+      exit 1
+    fi
+    PARAMS="$PARAMS options.intervalMinutes = $WATCH_INTERVAL;"
+  fi
+fi
+
+if [ -n "$START_TICKET" ]; then
+  if [ -z "$PARAMS" ]; then
+    PARAMS="$PARAMS const options = {};"
+  fi
+  PARAMS="$PARAMS options.start = '$(js_escape "$START_TICKET")';"
+  if [ "$DRAFT_PR" = true ]; then
+    PARAMS="$PARAMS options.draftPullRequest = true;"
+  fi
 fi
 
 if [ "$OPEN_BROWSER" = false ]; then
@@ -488,20 +682,26 @@ if [ "$OPEN_BROWSER" = false ]; then
   PARAMS="$PARAMS options.openInBrowser = false;"
 fi
 
-# If we have parameters, add the main call with options
-if [ -n "$PARAMS" ]; then
-  PARAMS="$PARAMS main(options);"
+# Add the main call, with default options if no flags were given
+if [ -z "$PARAMS" ]; then
+  PARAMS="const options = {};"
 fi
+PARAMS="$PARAMS $RUN_MAIN"
 
 echo -e "${GREEN}Running JIRA and GitHub Integration...${NC}"
 
-# Execute the JXA script with parameters if specified
-if [ -n "$PARAMS" ]; then
-  osascript -l JavaScript -e "$(cat "$JXA_SCRIPT")" -e "$PARAMS" &
-else
-  osascript -l JavaScript "$JXA_SCRIPT" &
+# Watch mode runs until interrupted, so keep it in the foreground without the spinner
+if [ "$WATCH" = true ]; then
+  echo -e "${CYAN}Watching for changes. Press Ctrl-C to stop.${NC}"
+  osascript -l JavaScript -e "$JXA_GUARD" -e "$(cat "$JXA_SCRIPT")" -e "$PARAMS"
+  EXIT_CODE=$?
+  explain_exit_code $EXIT_CODE
+  exit $EXIT_CODE
 fi
 
+# Execute the JXA script with the options
+osascript -l JavaScript -e "$JXA_GUARD" -e "$(cat "$JXA_SCRIPT")" -e "$PARAMS" &
+
 PID=$!
 spinner $PID
 wait $PID
@@ -512,6 +712,7 @@ if [ $EXIT_CODE -eq 0 ]; then
   echo -e "\n${GREEN}Integration completed successfully!${NC}"
 else
   echo -e "\n${RED}Integration failed with exit code $EXIT_CODE${NC}"
+  explain_exit_code $EXIT_CODE
 fi
 
 exit $EXIT_CODE
\ No newline at end of file
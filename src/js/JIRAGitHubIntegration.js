@@ -2,279 +2,6008 @@
 /**
  * JIRA and GitHub Integration for macOS
  * 
- * @description Retrieves JIRA tickets and GitHub pull requests using API tokens stored in the Keychain.
+ * @description Retrieves JIRA tickets and GitHub pull requests using API tokens from the Keychain,
+ *   environment variables, .netrc, a token file or a password manager command.
  * @author Thomas Vincent
  * @version 3.0.0
  * @copyright Copyright (c) 2023-2025 Thomas Vincent
  * @license MIT
  */
 
-// Import the required modules for macOS integration
-const app = Application.currentApplication();
-app.includeStandardAdditions = true;
+// Import the required modules for macOS integration. Under Node (tests, CI)
+// there is no JXA Application object, so macOS-only helpers are unavailable.
+const app = typeof Application !== "undefined" ? Application.currentApplication() : null;
+if (app) {
+  app.includeStandardAdditions = true;
+}
 
-// Configuration - Edit these values to match your environment
-const CONFIG = {
+// Configuration defaults - Edit these values to match your environment. Each
+// run works on a copy in CONFIG, rebuilt from these by Config.load.
+const DEFAULT_CONFIG = {
   // JIRA Configuration
   jira: {
     baseUrl: "https://jira.example.com/rest/api/2/",
+    // Browse URL base for ticket links; derived from baseUrl when empty (set it for OAuth)
+    siteUrl: "",
     keychainItem: "JIRA API Token",
+    tokenEnvVar: "JIRA_API_TOKEN",
+    auth: {
+      // "bearer" (Server/Data Center PAT), "basic" (Cloud email + API token), "oauth"
+      // (Cloud OAuth 2.0 refresh token) or "auto" (basic for *.atlassian.net,
+      // oauth for api.atlassian.com, bearer otherwise)
+      mode: "auto",
+      // Cloud account email for basic auth; looked up like a token when empty
+      email: "",
+      emailKeychainItem: "JIRA Email",
+      emailEnvVar: "JIRA_EMAIL",
+      oauth: {
+        tokenUrl: "https://auth.atlassian.com/oauth/token",
+        clientId: "",
+        clientSecretKeychainItem: "JIRA OAuth Client Secret",
+        clientSecretEnvVar: "JIRA_OAUTH_CLIENT_SECRET",
+        // Atlassian rotates refresh tokens; the new one is written back to the Keychain
+        refreshTokenKeychainItem: "JIRA OAuth Refresh Token",
+        refreshTokenEnvVar: "JIRA_OAUTH_REFRESH_TOKEN"
+      }
+    },
+    // Search endpoint relative to baseUrl; "search/jql" for API v3, "search" otherwise when empty
+    searchPath: "",
     project: "MyProject",
     status: "Open",
-    fields: "summary,status"
+    // Raw JQL or a saved filter ID replace the project/status clause above
+    jql: "",
+    filterId: "",
+    // Named queries run together, e.g. { mine: "assignee = currentUser()", sprint: { filterId: 10042 } }
+    queries: {},
+    // Regex for ticket keys mentioned in PRs; derived from the fetched ticket keys when empty
+    keyPattern: "",
+    // Comma-separated field IDs or display names, e.g. "summary,status,assignee,Story Points,Sprint";
+    // names are resolved through the field endpoint and flattened into `values` on each ticket
+    fields: "summary,status",
+    pageSize: 50,
+    maxResults: 500
   },
   
   // GitHub Configuration
   github: {
+    // For GitHub Enterprise Server use "https://github.example.com/api/v3/"
     baseUrl: "https://api.github.com/",
+    // GraphQL endpoint and web address; derived from baseUrl when empty
+    graphqlUrl: "",
+    webUrl: "",
+    // PEM file with the certificate authorities trusted for GitHub requests (replaces the system roots)
+    caBundle: "",
+    // Pull request backend: "rest" (cached with ETags) or "graphql" (reviews, checks and labels in one paginated query)
+    api: "rest",
     keychainItem: "GitHub API Token",
+    tokenEnvVar: "GITHUB_TOKEN",
     defaultUsername: "myusername",
-    defaultRepo: "myrepo"
+    defaultRepo: "myrepo",
+    // Additional "owner/repo" entries and organizations whose repositories are all included
+    repositories: [],
+    organizations: [],
+    perPage: 100,
+    maxResults: 500,
+    // Add reviewers, review decisions, checks and mergeability to each pull request (one GraphQL request per batch)
+    enrich: true,
+    enrichBatchSize: 25,
+    // Warn in notifications when fewer API requests than this remain
+    rateLimitWarningThreshold: 100
+  },
+  
+  // GitLab Configuration
+  gitlab: {
+    // For self-hosted GitLab use "https://gitlab.example.com/api/v4/"
+    baseUrl: "https://gitlab.com/api/v4/",
+    keychainItem: "GitLab API Token",
+    tokenEnvVar: "GITLAB_TOKEN",
+    // Project paths ("group/app") and groups (subgroups included) whose open merge requests are fetched
+    projects: [],
+    groups: [],
+    perPage: 100,
+    maxResults: 500,
+    // Look up each merge request's latest pipeline for its checks (one request per project)
+    pipelines: true,
+    // PEM file with the certificate authorities trusted for GitLab requests
+    caBundle: ""
+  },
+  
+  // Credential Configuration
+  credentials: {
+    // Sources tried in order until one returns a token
+    providers: ["env", "netrc", "file", "command", "keychain"],
+    netrcFile: "~/.netrc",
+    // JSON map of keychain item name to token; must not be readable by group or others
+    tokenFile: "~/.config/jira-github-integration/tokens.json",
+    // External command printing the token, e.g. "op read op://Private/{item}/credential".
+    // {item} is replaced with the keychain item name and {host} with the API host, both
+    // shell-quoted, so leave them unquoted in the command.
+    command: ""
+  },
+  
+  // HTTP Configuration
+  http: {
+    // Transport backend: "auto" (curl under JXA, http/https under Node), "curl" or "node"
+    backend: "auto",
+    timeoutSeconds: 30,
+    // Idempotent requests are retried on 429/502/503/504, rate limits and network errors
+    retries: 3,
+    retryBaseDelaySeconds: 1,
+    retryMaxDelaySeconds: 60
   },
   
   // Output Configuration
   output: {
     filePath: "~/Documents/JIRA-GitHub-Data.json",
     appName: "TextEdit",
+    // Output format: "json", "markdown" or "html"
+    format: "json",
+    // Filter and sort expression applied before output, e.g. "status != Done and age > 3d sort: -updated"
+    filter: "",
     openInBrowser: true,
+    // Which tickets and pull requests openInBrowser opens: "all", "none", "top" (the first
+    // `limit` of each by `sort`), "changed" (added or moved since the last run) or "choose"
+    open: {
+      mode: "all",
+      limit: 5,
+      sort: "-updated"
+    },
     enableSpotlightIndexing: true
+  },
+  
+  // Incremental Sync Configuration
+  cache: {
+    enabled: true,
+    // Defaults to a .jira-github-cache folder next to output.filePath
+    directory: "",
+    // Older caches are ignored so changes JQL cannot see incrementally are picked up
+    maxAgeHours: 24
+  },
+  
+  // Watch Mode Configuration
+  watch: {
+    intervalMinutes: 15,
+    // "HH:MM" local times; notifications are held back in between (empty to disable)
+    quietHours: { start: "", end: "" },
+    // Further notifications in the same hour are combined into the next one (0 for no cap)
+    maxNotificationsPerHour: 4
+  },
+  
+  // Workflow Automation Configuration
+  automation: {
+    // Rules moving mentioned tickets when a pull request changes state, e.g.
+    // { when: "merged", transition: ["In Review", "Done"], from: ["In Progress"], projects: ["PROJ"] }.
+    // `when` is "opened", "merged" or "closed"; the first available transition
+    // (by transition or target status name) is applied.
+    rules: [],
+    // Only report what would change
+    dryRun: false,
+    // Every applied or failed transition is appended here as a JSON line
+    auditLog: "~/Library/Logs/jira-github-integration/transitions.log"
+  },
+  
+  // Comment Cross-Posting Configuration
+  comments: {
+    // Comment on tickets and pull requests when a pull request starts mentioning a ticket
+    enabled: false
+  },
+  
+  // Stale Work Findings Configuration
+  findings: {
+    enabled: true,
+    // Open pull requests older than this are stale; twice as old is critical
+    stalePullRequestDays: 7,
+    // Ready pull requests without review activity for this long are neglected
+    reviewNeglectedDays: 3,
+    // Ticket statuses that should have a pull request
+    inProgressStatuses: ["In Progress"],
+    // Statuses that count as finished when JIRA does not return the status category
+    doneStatuses: ["Done", "Closed", "Resolved"]
+  },
+  
+  // Start Work Configuration ("start PROJ-123")
+  start: {
+    // "owner/repo" to create branches in; empty uses the first configured repository
+    repository: "",
+    maxBranchLength: 60,
+    // Open a draft pull request for the new branch
+    draftPullRequest: false,
+    // Templates for the pull request; {key}, {summary}, {status}, {type} and {url} are replaced
+    pullRequestTitle: "{key}: {summary}",
+    pullRequestBody: "Work on [{key}]({url}): {summary}"
   }
 };
 
+// The active configuration: the defaults plus the config file, profile and environment
+let CONFIG = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+
 /**
- * Keychain utilities for secure credential management
+ * Process exit codes, one per failure category
  */
-const Keychain = {
+const EXIT_CODES = {
+  success: 0,
+  failure: 1,
+  config: 2,
+  auth: 3,
+  notFound: 4,
+  network: 5,
+  rateLimit: 6,
+  unexpectedResponse: 7
+};
+
+/**
+ * Base class for failures talking to JIRA or GitHub. Carries the HTTP status,
+ * the request URL with credentials redacted, a snippet of the response body,
+ * a notification title, an actionable hint and the process exit code.
+ */
+class IntegrationError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {Object} [details] - Failure details
+   * @param {string} [details.service] - "JIRA" or "GitHub"
+   * @param {number} [details.status] - HTTP status code
+   * @param {string} [details.url] - Request URL; credentials are redacted
+   * @param {string} [details.body] - Response body; stored as a short snippet
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.service = details.service || "the server";
+    this.status = details.status || 0;
+    this.url = details.url ? HTTP.redactUrl(details.url) : "";
+    this.snippet = details.body ? HTTP.snippet(details.body) : "";
+    this.title = "Error";
+    this.hint = "";
+    this.exitCode = EXIT_CODES.failure;
+  }
+  
+  /**
+   * Prefixes an error's message with context, keeping typed errors intact
+   * 
+   * @param {Error} error - The error to wrap
+   * @param {string} context - Description of the failed operation
+   * @returns {Error} The same typed error, or a new Error for untyped ones
+   */
+  static withContext(error, context) {
+    if (error instanceof IntegrationError) {
+      error.message = `${context}: ${error.message}`;
+      return error;
+    }
+    
+    return new Error(`${context}: ${error.message}`);
+  }
+}
+
+/**
+ * Missing, rejected or expired credentials (HTTP 401/403)
+ */
+class AuthError extends IntegrationError {
+  constructor(message, details) {
+    super(message, details);
+    this.title = "Authentication Failed";
+    this.hint = `Check that the ${this.service} API token is stored and still valid.`;
+    this.exitCode = EXIT_CODES.auth;
+  }
+}
+
+/**
+ * The requested project, repository or endpoint does not exist (HTTP 404)
+ */
+class NotFoundError extends IntegrationError {
+  constructor(message, details) {
+    super(message, details);
+    this.title = "Not Found";
+    this.hint = `Check the ${this.service} base URL and the project, repository or organization names in your configuration.`;
+    this.exitCode = EXIT_CODES.notFound;
+  }
+}
+
+/**
+ * The server could not be reached at all
+ */
+class NetworkError extends IntegrationError {
+  constructor(message, details) {
+    super(message, details);
+    this.title = "Network Error";
+    this.hint = `Check your network connection or VPN and the ${this.service} base URL.`;
+    this.exitCode = EXIT_CODES.network;
+  }
+}
+
+/**
+ * The API rate limit was exhausted and retrying would take too long
+ */
+class RateLimitError extends IntegrationError {
+  /**
+   * @param {string} message - What went wrong
+   * @param {Object} [details] - Failure details, plus `retryAfter` in seconds
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfter = details.retryAfter || 0;
+    this.title = "Rate Limit Exceeded";
+    this.hint = `Wait ${Math.ceil(this.retryAfter / 60)} minute(s) for the ${this.service} rate limit to reset, then try again.`;
+    this.exitCode = EXIT_CODES.rateLimit;
+  }
+}
+
+/**
+ * The server answered with an error status or a body that is not the expected JSON
+ */
+class UnexpectedResponseError extends IntegrationError {
+  constructor(message, details) {
+    super(message, details);
+    this.title = "Unexpected Response";
+    this.hint = `${this.service} did not return the expected JSON. If it sent a login page, your token or SSO session may have expired.`;
+    this.exitCode = EXIT_CODES.unexpectedResponse;
+  }
+}
+
+/**
+ * The config file, a profile or an environment variable holds an invalid setting
+ */
+class ConfigError extends IntegrationError {
+  constructor(message, details) {
+    super(message, details);
+    this.title = "Configuration Error";
+    this.hint = "Fix the setting in your config file or environment, or rerun jira-github-integration.sh --configure.";
+    this.exitCode = EXIT_CODES.config;
+  }
+}
+
+/**
+ * A filter or sort expression is invalid; `position` is the offending offset
+ */
+class FilterError extends ConfigError {
+  constructor(message, position) {
+    super(message);
+    this.title = "Filter Error";
+    this.hint = "Fix the --filter expression (or output.filter); see Filtering and Sorting in the README.";
+    this.position = position;
+  }
+}
+
+/**
+ * HTTP client shared by every API call. Requests are plain objects passed to a
+ * pluggable transport: curl under JXA, the http/https modules under Node, or
+ * any function assigned to `HTTP.transport` (e.g. a stub in tests).
+ */
+const HTTP = {
+  /**
+   * Transport override; when null the backend from CONFIG.http.backend is used
+   */
+  transport: null,
+  
+  /**
+   * Latest rate-limit headers seen per host: `{ limit, remaining, reset }`
+   */
+  rateLimits: {},
+  
+  /**
+   * Methods that are safe to retry
+   */
+  idempotentMethods: ["GET", "HEAD", "OPTIONS"],
+  
+  /**
+   * Sends a request through the active transport. Idempotent requests are
+   * retried with exponential backoff and jitter on transient failures, and
+   * wait for `Retry-After`/`X-RateLimit-Reset` when rate limited.
+   * 
+   * @param {Object} request - The request
+   * @param {string} [request.method] - HTTP method (default: GET)
+   * @param {string} request.url - The URL, optionally already containing a query string
+   * @param {Object} [request.query] - Query parameters appended to the URL
+   * @param {Object} [request.headers] - Request headers
+   * @param {Object|string} [request.body] - Request body; objects are sent as JSON
+   * @param {string} [request.service] - Service name ("JIRA", "GitHub") used in errors
+   * @param {string} [request.caBundle] - PEM file with the certificate authorities to trust
+   * @returns {Promise<Object>} The response: `{ status, ok, headers, body, json, url }`
+   */
+  request: async function(request) {
+    const headers = Object.assign({}, request.headers);
+    let body = request.body === undefined || request.body === null ? null : request.body;
+    
+    if (body !== null && typeof body !== "string") {
+      body = JSON.stringify(body);
+      headers["Content-Type"] = headers["Content-Type"] || "application/json";
+    }
+    
+    const normalized = {
+      method: (request.method || "GET").toUpperCase(),
+      url: this.buildUrl(request.url, request.query),
+      headers: headers,
+      body: body,
+      timeoutSeconds: CONFIG.http.timeoutSeconds,
+      caBundle: request.caBundle ? System.expandPath(request.caBundle) : null
+    };
+    
+    const transport = this.getTransport();
+    const maxAttempts = this.idempotentMethods.indexOf(normalized.method) >= 0 ? CONFIG.http.retries + 1 : 1;
+    
+    for (let attempt = 1; ; attempt++) {
+      let response;
+      
+      try {
+        const raw = await transport(normalized);
+        response = this.createResponse(normalized.url, raw.status, raw.headers, raw.body);
+      } catch (error) {
+        if (attempt >= maxAttempts) {
+          throw new NetworkError(`Could not reach ${this.getHost(normalized.url)}: ${error.message}`, {
+            service: request.service,
+            url: normalized.url
+          });
+        }
+        
+        const wait = this.backoffDelay(attempt);
+        console.log(`${error.message}; retrying in ${wait.toFixed(1)}s (attempt ${attempt + 1} of ${maxAttempts})`);
+        await this.sleep(wait);
+        continue;
+      }
+      
+      this.recordRateLimit(response);
+      
+      if (!this.isRetryable(response)) {
+        return response;
+      }
+      
+      const wait = this.retryDelay(response, attempt);
+      
+      if (attempt >= maxAttempts || wait > CONFIG.http.retryMaxDelaySeconds) {
+        if (this.isRateLimited(response)) {
+          throw new RateLimitError(`Rate limit exceeded for ${this.getHost(response.url)} (HTTP ${response.status}); retry after ${Math.ceil(wait)} seconds`, {
+            service: request.service,
+            status: response.status,
+            url: response.url,
+            body: response.body,
+            retryAfter: wait
+          });
+        }
+        
+        return response;
+      }
+      
+      console.log(`HTTP ${response.status} from ${response.url}; retrying in ${wait.toFixed(1)}s (attempt ${attempt + 1} of ${maxAttempts})`);
+      await this.sleep(wait);
+    }
+  },
+  
+  /**
+   * Checks whether a response signals a rate limit, including GitHub's
+   * secondary rate limits which use 403 with `Retry-After`
+   * 
+   * @param {Object} response - A response from HTTP.request
+   * @returns {boolean} True if the request was rate limited
+   */
+  isRateLimited: function(response) {
+    return response.status === 429 ||
+      (response.status === 403 && (Boolean(response.headers["retry-after"]) || response.headers["x-ratelimit-remaining"] === "0"));
+  },
+  
+  /**
+   * Checks whether a response is worth retrying
+   * 
+   * @param {Object} response - A response from HTTP.request
+   * @returns {boolean} True for rate limits and transient gateway errors
+   */
+  isRetryable: function(response) {
+    return this.isRateLimited(response) || [502, 503, 504].indexOf(response.status) >= 0;
+  },
+  
+  /**
+   * Works out how long to wait before retrying a response
+   * 
+   * @param {Object} response - A retryable response
+   * @param {number} attempt - The attempt that produced the response (1-based)
+   * @returns {number} The delay in seconds
+   */
+  retryDelay: function(response, attempt) {
+    const retryAfter = response.headers["retry-after"];
+    
+    if (retryAfter) {
+      const seconds = /^\d+$/.test(retryAfter) ? Number(retryAfter) : (new Date(retryAfter) - Date.now()) / 1000;
+      return Math.max(0, seconds);
+    }
+    
+    if (response.headers["x-ratelimit-remaining"] === "0" && response.headers["x-ratelimit-reset"]) {
+      return Math.max(0, Number(response.headers["x-ratelimit-reset"]) - Date.now() / 1000);
+    }
+    
+    return this.backoffDelay(attempt);
+  },
+  
+  /**
+   * Exponential backoff with jitter: half the capped delay plus a random share of the other half
+   * 
+   * @param {number} attempt - The attempt that failed (1-based)
+   * @returns {number} The delay in seconds
+   */
+  backoffDelay: function(attempt) {
+    const capped = Math.min(CONFIG.http.retryMaxDelaySeconds, CONFIG.http.retryBaseDelaySeconds * Math.pow(2, attempt - 1));
+    return capped / 2 + Math.random() * capped / 2;
+  },
+  
+  /**
+   * Waits for the given number of seconds
+   * 
+   * @param {number} seconds - How long to wait
+   * @returns {Promise<void>} Resolves once the time has passed
+   */
+  sleep: function(seconds) {
+    // JXA has a blocking delay() but no timers; Node has timers but no delay()
+    if (typeof delay === "function") {
+      delay(seconds);
+      return Promise.resolve();
+    }
+    
+    return new Promise(resolve => setTimeout(resolve, seconds * 1000));
+  },
+  
+  /**
+   * Records the rate-limit headers of a response against its host
+   * 
+   * @param {Object} response - A response from HTTP.request
+   */
+  recordRateLimit: function(response) {
+    if (response.headers["x-ratelimit-remaining"] === undefined) {
+      return;
+    }
+    
+    this.rateLimits[this.getHost(response.url)] = {
+      limit: Number(response.headers["x-ratelimit-limit"]),
+      remaining: Number(response.headers["x-ratelimit-remaining"]),
+      reset: Number(response.headers["x-ratelimit-reset"])
+    };
+  },
+  
+  /**
+   * Returns the latest rate-limit state recorded for the host of a URL
+   * 
+   * @param {string} url - Any URL on the host
+   * @returns {Object|null} `{ limit, remaining, reset }` or null if none was seen
+   */
+  getRateLimit: function(url) {
+    return this.rateLimits[this.getHost(url)] || null;
+  },
+  
+  /**
+   * Extracts the host from a URL
+   * 
+   * @param {string} url - The URL
+   * @returns {string} The host (with port, if any)
+   */
+  getHost: function(url) {
+    const match = String(url).match(/^[a-z]+:\/\/([^/?#]+)/i);
+    return match ? match[1] : String(url);
+  },
+  
+  /**
+   * Returns the transport function to use for requests
+   * 
+   * @returns {Function} A function taking a normalized request and resolving to `{ status, headers, body }`
+   */
+  getTransport: function() {
+    if (this.transport) {
+      return this.transport;
+    }
+    
+    const backend = CONFIG.http.backend === "auto" ? (app ? "curl" : "node") : CONFIG.http.backend;
+    
+    if (!this.backends[backend]) {
+      throw new Error(`Unknown HTTP backend "${backend}". Use one of: auto, ${Object.keys(this.backends).join(", ")}`);
+    }
+    
+    return this.backends[backend];
+  },
+  
+  /**
+   * Appends query parameters to a URL, skipping undefined and null values
+   * 
+   * @param {string} url - The base URL
+   * @param {Object} [query] - Query parameters
+   * @returns {string} The URL with the encoded query string
+   */
+  buildUrl: function(url, query) {
+    const params = Object.keys(query || {})
+      .filter(key => query[key] !== undefined && query[key] !== null)
+      .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(query[key])}`);
+    
+    if (params.length === 0) {
+      return url;
+    }
+    
+    return url + (url.indexOf("?") >= 0 ? "&" : "?") + params.join("&");
+  },
+  
+  /**
+   * Builds a response object with lower-cased header names and parsed JSON
+   * 
+   * @param {string} url - The requested URL
+   * @param {number} status - The HTTP status code
+   * @param {Object} headers - Response headers
+   * @param {string} body - The raw response body
+   * @returns {Object} The response: `{ status, ok, headers, body, json, url }`
+   */
+  createResponse: function(url, status, headers, body) {
+    const normalizedHeaders = {};
+    let json = null;
+    
+    Object.keys(headers || {}).forEach(name => {
+      const value = headers[name];
+      normalizedHeaders[name.toLowerCase()] = Array.isArray(value) ? value.join(", ") : String(value);
+    });
+    
+    try {
+      json = body ? JSON.parse(body) : null;
+    } catch (error) {
+      json = null;
+    }
+    
+    return {
+      url: url,
+      status: status,
+      ok: status >= 200 && status < 300,
+      headers: normalizedHeaders,
+      body: body || "",
+      json: json
+    };
+  },
+  
+  /**
+   * Returns the parsed JSON of a successful response, throwing a typed error
+   * for error statuses and bodies that are not JSON
+   * 
+   * @param {Object} response - A response from HTTP.request
+   * @param {string} [service] - Service name ("JIRA", "GitHub") used in errors
+   * @returns {*} The parsed JSON body
+   * @throws {AuthError|NotFoundError|RateLimitError|UnexpectedResponseError} If the response is unusable
+   */
+  expectJson: function(response, service) {
+    const details = {
+      service: service,
+      status: response.status,
+      url: response.url,
+      body: response.body
+    };
+    const serverMessage = response.json && response.json.message ? `: ${response.json.message}` : "";
+    
+    if (this.isRateLimited(response)) {
+      throw new RateLimitError(`Rate limit exceeded (HTTP ${response.status})${serverMessage}`, details);
+    }
+    
+    if (response.status === 401 || response.status === 403) {
+      throw new AuthError(`${service || "Server"} rejected the credentials (HTTP ${response.status})${serverMessage}`, details);
+    }
+    
+    if (response.status === 404) {
+      throw new NotFoundError(`${this.redactUrl(response.url)} was not found (HTTP 404)`, details);
+    }
+    
+    if (!response.ok) {
+      throw new UnexpectedResponseError(`Unexpected HTTP ${response.status} response${serverMessage}`, details);
+    }
+    
+    if (response.json === null) {
+      throw new UnexpectedResponseError(`Expected JSON but received HTTP ${response.status} response from ${this.redactUrl(response.url)}`, details);
+    }
+    
+    return response.json;
+  },
+  
+  /**
+   * Removes credentials from a URL: userinfo and token-like query parameters
+   * 
+   * @param {string} url - The URL to redact
+   * @returns {string} The redacted URL
+   */
+  redactUrl: function(url) {
+    return String(url)
+      .replace(/^([a-z]+:\/\/)[^/@]+@/i, "$1REDACTED@")
+      .replace(/([?&][^=&#]*(?:token|key|secret|password|auth|sig)[^=&#]*=)[^&#]*/gi, "$1REDACTED");
+  },
+  
+  /**
+   * Builds an HTTP Basic `Authorization` header value
+   *
+   * @param {string} username - The user name (e.g. an Atlassian account email)
+   * @param {string} password - The password or API token
+   * @returns {string} The header value, e.g. "Basic dXNlcjpwYXNz"
+   */
+  basicAuth: function(username, password) {
+    return `Basic ${this.base64(`${username}:${password}`)}`;
+  },
+  
+  /**
+   * Base64-encodes a string as UTF-8. JXA has neither `btoa` nor `Buffer`,
+   * so the encoding is done by hand.
+   *
+   * @param {string} text - The text to encode
+   * @returns {string} The Base64 encoding
+   */
+  base64: function(text) {
+    const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+    const bytes = encodeURIComponent(String(text))
+      .replace(/%([0-9A-F]{2})|./g, (match, hex) => String.fromCharCode(hex ? parseInt(hex, 16) : match.charCodeAt(0)));
+    let result = "";
+    
+    for (let i = 0; i < bytes.length; i += 3) {
+      const chunk = (bytes.charCodeAt(i) << 16) | ((bytes.charCodeAt(i + 1) || 0) << 8) | (bytes.charCodeAt(i + 2) || 0);
+      
+      result += alphabet[(chunk >> 18) & 63] + alphabet[(chunk >> 12) & 63] +
+        (i + 1 < bytes.length ? alphabet[(chunk >> 6) & 63] : "=") +
+        (i + 2 < bytes.length ? alphabet[chunk & 63] : "=");
+    }
+    
+    return result;
+  },
+  
+  /**
+   * Shortens a response body for error messages
+   * 
+   * @param {string} body - The response body
+   * @returns {string} At most 200 characters with whitespace collapsed
+   */
+  snippet: function(body) {
+    const text = String(body).replace(/\s+/g, " ").trim();
+    return text.length > 200 ? `${text.substring(0, 200)}...` : text;
+  },
+  
+  /**
+   * Splits raw `curl -D -` output into status, headers and body. Interim
+   * header blocks (e.g. `100 Continue` or proxy CONNECT responses) are skipped.
+   * 
+   * @param {string} output - The raw curl output
+   * @returns {Object} `{ status, headers, body }`
+   */
+  parseRawResponse: function(output) {
+    let rest = output;
+    let status = 0;
+    let headers = {};
+    
+    while (/^HTTP\/[\d.]+ \d{3}/.test(rest)) {
+      const separator = rest.search(/\r?\n\r?\n/);
+      const headerText = separator >= 0 ? rest.substring(0, separator) : rest;
+      const lines = headerText.split(/\r?\n/);
+      
+      status = Number(lines[0].split(" ")[1]);
+      headers = {};
+      lines.slice(1).forEach(line => {
+        const colon = line.indexOf(":");
+        if (colon > 0) {
+          headers[line.substring(0, colon).trim()] = line.substring(colon + 1).trim();
+        }
+      });
+      
+      rest = separator >= 0 ? rest.substring(separator).replace(/^\r?\n\r?\n/, "") : "";
+    }
+    
+    return {
+      status: status,
+      headers: headers,
+      body: rest
+    };
+  },
+  
+  /**
+   * Available transport backends
+   */
+  backends: {
+    /**
+     * Sends a request with curl through `doShellScript` (JXA)
+     * 
+     * @param {Object} request - The normalized request
+     * @returns {Promise<Object>} `{ status, headers, body }`
+     */
+    curl: function(request) {
+      const args = ["curl", "-s", "-S", "-D", "-", "-X", request.method, "--max-time", String(request.timeoutSeconds)];
+      
+      Object.keys(request.headers).forEach(name => {
+        args.push("-H", System.shellQuote(`${name}: ${request.headers[name]}`));
+      });
+      
+      if (request.caBundle) {
+        args.push("--cacert", System.shellQuote(request.caBundle));
+      }
+      
+      if (request.body !== null) {
+        args.push("--data-binary", System.shellQuote(request.body));
+      }
+      
+      args.push(System.shellQuote(request.url));
+      
+      return new Promise((resolve, reject) => {
+        try {
+          resolve(HTTP.parseRawResponse(app.doShellScript(args.join(" "), { alteringLineEndings: false })));
+        } catch (error) {
+          reject(new Error(`Request to ${request.url} failed: ${error.message}`));
+        }
+      });
+    },
+    
+    /**
+     * Sends a request with the Node http/https modules
+     * 
+     * @param {Object} request - The normalized request
+     * @returns {Promise<Object>} `{ status, headers, body }`
+     */
+    node: function(request) {
+      const client = request.url.indexOf("https:") === 0 ? require("https") : require("http");
+      
+      const options = { method: request.method, headers: request.headers };
+      
+      return new Promise((resolve, reject) => {
+        if (request.caBundle) {
+          try {
+            options.ca = require("fs").readFileSync(request.caBundle);
+          } catch (error) {
+            reject(new Error(`Could not read CA bundle ${request.caBundle}: ${error.message}`));
+            return;
+          }
+        }
+        
+        const req = client.request(request.url, options, res => {
+          const chunks = [];
+          
+          res.on("data", chunk => chunks.push(chunk));
+          res.on("end", () => resolve({
+            status: res.statusCode,
+            headers: res.headers,
+            body: Buffer.concat(chunks).toString("utf8")
+          }));
+        });
+        
+        req.setTimeout(request.timeoutSeconds * 1000, () => {
+          req.destroy(new Error(`timed out after ${request.timeoutSeconds} seconds`));
+        });
+        req.on("error", error => reject(new Error(`Request to ${request.url} failed: ${error.message}`)));
+        
+        if (request.body !== null) {
+          req.write(request.body);
+        }
+        
+        req.end();
+      });
+    }
+  }
+};
+
+/**
+ * Keychain utilities for secure credential management
+ */
+const Keychain = {
+  /**
+   * Retrieves a password from the macOS Keychain
+   * 
+   * @param {string} serviceName - The name of the Keychain item
+   * @returns {string} The retrieved password or empty string if not found
+   */
+  getPassword: function(serviceName) {
+    try {
+      const password = System.shell(`security find-generic-password -s ${System.shellQuote(serviceName)} -w`);
+      return password.trim();
+    } catch (error) {
+      console.log(`Error retrieving password from Keychain: ${error.message}`);
+      this.showKeychainError(serviceName, "retrieve");
+      return "";
+    }
+  },
+  
+  /**
+   * Saves an API token to the macOS Keychain
+   * 
+   * @param {string} serviceName - The name of the Keychain item
+   * @param {string} token - The API token to save
+   * @returns {boolean} True if successful, false otherwise
+   */
+  saveToken: function(serviceName, token) {
+    try {
+      // -U updates an existing item, e.g. when a rotated OAuth refresh token is stored
+      System.shell(`security add-generic-password -U -s ${System.shellQuote(serviceName)} -a ${System.shellQuote(serviceName)} -w ${System.shellQuote(token)}`);
+      console.log(`Token saved to Keychain: ${serviceName}`);
+      return true;
+    } catch (error) {
+      console.log(`Error saving token to Keychain: ${error.message}`);
+      this.showKeychainError(serviceName, "save");
+      return false;
+    }
+  },
+  
+  /**
+   * Shows a dialog for Keychain errors with options to fix
+   * 
+   * @param {string} serviceName - The Keychain item name
+   * @param {string} operation - The operation that failed (retrieve|save)
+   */
+  showKeychainError: function(serviceName, operation) {
+    // Dialogs need JXA; under Node the caller falls back to other providers
+    if (!app) {
+      return;
+    }
+    
+    const action = operation === "retrieve" ? "retrieve from" : "save to";
+    const message = `Unable to ${action} Keychain for "${serviceName}". Would you like to enter the token manually?`;
+    
+    const response = app.displayDialog(message, {
+      buttons: ["Cancel", "Enter Token"],
+      defaultButton: "Enter Token",
+      withIcon: "caution"
+    });
+    
+    if (response.buttonReturned === "Enter Token") {
+      const tokenResponse = app.displayDialog(`Enter your ${serviceName}:`, {
+        defaultAnswer: "",
+        buttons: ["Cancel", "Save"],
+        defaultButton: "Save",
+        withIcon: "note",
+        hiddenAnswer: true
+      });
+      
+      if (tokenResponse.buttonReturned === "Save") {
+        this.saveToken(serviceName, tokenResponse.textReturned);
+      }
+    }
+  }
+};
+
+/**
+ * Credential provider chain. Each provider looks up the token for a service
+ * (CONFIG.jira or CONFIG.github) and the first non-empty result wins.
+ */
+const Credentials = {
+  /**
+   * Tokens already resolved this run, keyed by keychain item name
+   */
+  cache: {},
+  
+  /**
+   * Returns the token for a service by trying each configured provider in order
+   * 
+   * @param {Object} service - The service configuration (CONFIG.jira, CONFIG.github or CONFIG.gitlab)
+   * @returns {string} The token, or an empty string if no provider had one
+   */
+  getToken: function(service) {
+    if (this.cache[service.keychainItem]) {
+      return this.cache[service.keychainItem];
+    }
+    
+    for (const name of CONFIG.credentials.providers) {
+      const provider = this.providers[name];
+      
+      if (!provider) {
+        console.log(`Unknown credential provider "${name}", skipping`);
+        continue;
+      }
+      
+      try {
+        const token = provider.call(this, service);
+        
+        if (token) {
+          console.log(`Using ${service.keychainItem} from ${name}`);
+          this.cache[service.keychainItem] = token;
+          return token;
+        }
+      } catch (error) {
+        console.log(`Credential provider "${name}" failed for ${service.keychainItem}: ${error.message}`);
+      }
+    }
+    
+    return "";
+  },
+  
+  /**
+   * Describes where a missing token can be supplied, for error messages
+   * 
+   * @param {Object} service - The service configuration
+   * @returns {string} A short description of the tried sources
+   */
+  describeSources: function(service) {
+    return `tried ${CONFIG.credentials.providers.join(", ")}; set ${service.tokenEnvVar} or store "${service.keychainItem}" in the Keychain`;
+  },
+  
+  /**
+   * Builds a service descriptor for a secret other than the main API token,
+   * so it can be resolved through the same provider chain
+   * 
+   * @param {Object} service - The owning service configuration (for its `baseUrl`)
+   * @param {string} keychainItem - The Keychain item / token file key holding the secret
+   * @param {string} envVar - The environment variable holding the secret
+   * @param {string} [netrcField] - The `.netrc` field holding the secret (default: password)
+   * @returns {Object} A descriptor accepted by getToken
+   */
+  secret: function(service, keychainItem, envVar, netrcField) {
+    return {
+      baseUrl: service.baseUrl,
+      keychainItem: keychainItem,
+      tokenEnvVar: envVar,
+      netrcField: netrcField
+    };
+  },
+  
+  /**
+   * Credential providers, keyed by the names used in CONFIG.credentials.providers
+   */
+  providers: {
+    /**
+     * Reads the token from the service's environment variable
+     */
+    env: function(service) {
+      return service.tokenEnvVar ? System.getEnv(service.tokenEnvVar).trim() : "";
+    },
+    
+    /**
+     * Reads the password (or the field named by `service.netrcField`) of the
+     * `.netrc` entry matching the API host
+     */
+    netrc: function(service) {
+      const contents = System.readFile(CONFIG.credentials.netrcFile);
+      return contents ? this.parseNetrc(contents, HTTP.getHost(service.baseUrl), service.netrcField) : "";
+    },
+    
+    /**
+     * Reads the token from a JSON token file, refusing files others can read
+     */
+    file: function(service) {
+      const contents = System.readFile(CONFIG.credentials.tokenFile);
+      
+      if (!contents) {
+        return "";
+      }
+      
+      if (System.fileMode(CONFIG.credentials.tokenFile) & 0o077) {
+        throw new Error(`${CONFIG.credentials.tokenFile} is readable by other users; run chmod 600 on it`);
+      }
+      
+      return String(JSON.parse(contents)[service.keychainItem] || "").trim();
+    },
+    
+    /**
+     * Runs the configured external command, e.g. a password manager CLI
+     */
+    command: function(service) {
+      if (!CONFIG.credentials.command) {
+        return "";
+      }
+      
+      const command = CONFIG.credentials.command
+        .replace(/\{item\}/g, () => System.shellQuote(service.keychainItem))
+        .replace(/\{host\}/g, () => System.shellQuote(HTTP.getHost(service.baseUrl)));
+      
+      return System.shell(command).trim();
+    },
+    
+    /**
+     * Reads the token from the macOS Keychain
+     */
+    keychain: function(service) {
+      return Keychain.getPassword(service.keychainItem);
+    }
+  },
+  
+  /**
+   * Finds the password for a host in `.netrc` contents, falling back to a
+   * `default` entry
+   * 
+   * @param {string} contents - The `.netrc` file contents
+   * @param {string} host - The host to look up
+   * @param {string} [field="password"] - The entry field to return ("login", "password" or "account")
+   * @returns {string} The field value, or an empty string if no entry matches
+   */
+  parseNetrc: function(contents, host, field = "password") {
+    const tokens = contents.replace(/#.*$/gm, "").split(/\s+/).filter(Boolean);
+    const entries = [];
+    let current = null;
+    
+    for (let i = 0; i < tokens.length; i++) {
+      if (tokens[i] === "machine") {
+        current = { machine: tokens[++i] };
+        entries.push(current);
+      } else if (tokens[i] === "default") {
+        current = { machine: null };
+        entries.push(current);
+      } else if (current && (tokens[i] === "login" || tokens[i] === "password" || tokens[i] === "account")) {
+        current[tokens[i]] = tokens[++i];
+      }
+    }
+    
+    const match = entries.find(entry => entry.machine === host) || entries.find(entry => entry.machine === null);
+    return match && match[field] ? match[field] : "";
+  }
+};
+
+/**
+ * Local cache of the previous run's results, used for incremental sync: GitHub
+ * pages are revalidated with ETags and JIRA queries only fetch issues updated
+ * since the last sync. Entries not used by a run are dropped when it saves.
+ */
+const Cache = {
+  version: 1,
+  
+  /**
+   * Cache file path for the current run
+   */
+  path: "",
+  
+  /**
+   * Entries from the previous run; null when caching is off, the cache is
+   * missing or stale, or a full refresh was requested
+   */
+  data: null,
+  
+  /**
+   * Entries recorded by the current run; null when caching is off
+   */
+  next: null,
+  
+  /**
+   * ISO time the previous run started fetching, when its entries are in use
+   */
+  lastSync: null,
+  
+  /**
+   * Loads the cache stored next to the output file and starts a new one
+   * 
+   * @param {string} outputFilePath - The configured output file path
+   * @param {boolean} [fullRefresh=false] - Ignore cached entries and fetch everything
+   */
+  open: function(outputFilePath, fullRefresh = false) {
+    this.data = null;
+    this.next = null;
+    this.lastSync = null;
+    
+    if (!CONFIG.cache.enabled) {
+      return;
+    }
+    
+    this.path = this.filePath(outputFilePath);
+    this.next = { version: this.version, synced: new Date().toISOString(), jira: {}, github: {} };
+    
+    if (fullRefresh) {
+      console.log("Full refresh requested; ignoring cached results");
+      return;
+    }
+    
+    const contents = System.readFile(this.path);
+    
+    if (!contents) {
+      return;
+    }
+    
+    try {
+      const data = JSON.parse(contents);
+      const ageHours = (Date.now() - Date.parse(data.synced)) / 3600000;
+      
+      if (data.version !== this.version || !(ageHours >= 0)) {
+        return;
+      }
+      
+      if (ageHours > CONFIG.cache.maxAgeHours) {
+        console.log(`Cache is ${Math.round(ageHours)} hours old; fetching everything`);
+        return;
+      }
+      
+      this.data = data;
+      this.lastSync = data.synced;
+    } catch (error) {
+      console.log(`Ignoring unreadable cache ${this.path}: ${error.message}`);
+    }
+  },
+  
+  /**
+   * Returns the cache file path for an output file
+   * 
+   * @param {string} outputFilePath - The configured output file path
+   * @returns {string} The cache file path
+   */
+  filePath: function(outputFilePath) {
+    return `${this.directory(outputFilePath)}/cache.json`;
+  },
+  
+  /**
+   * Returns the cache folder for an output file
+   * 
+   * @param {string} outputFilePath - The configured output file path
+   * @returns {string} The folder path, without a trailing slash
+   */
+  directory: function(outputFilePath) {
+    const slash = outputFilePath.lastIndexOf("/");
+    const directory = CONFIG.cache.directory ||
+      `${slash >= 0 ? outputFilePath.substring(0, slash) : "."}/.jira-github-cache`;
+    
+    return directory.replace(/\/+$/, "");
+  },
+  
+  /**
+   * Returns an entry from the previous run
+   * 
+   * @param {string} section - "jira" or "github"
+   * @param {string} key - The entry key (a query or URL)
+   * @returns {Object|undefined} The cached entry
+   */
+  get: function(section, key) {
+    return this.data && this.data[section] ? this.data[section][key] : undefined;
+  },
+  
+  /**
+   * Records an entry for the next run
+   * 
+   * @param {string} section - "jira" or "github"
+   * @param {string} key - The entry key (a query or URL)
+   * @param {Object} value - The entry
+   */
+  set: function(section, key, value) {
+    if (this.next) {
+      this.next[section][key] = value;
+    }
+  },
+  
+  /**
+   * Minutes since the last sync, rounded up with a minute of slack. JQL
+   * compares `updated` in the user's JIRA time zone, so relative times avoid
+   * converting the timestamp.
+   * 
+   * @returns {number} Whole minutes
+   */
+  minutesSinceSync: function() {
+    return Math.ceil((Date.now() - Date.parse(this.lastSync)) / 60000) + 1;
+  },
+  
+  /**
+   * Writes the entries recorded by this run. Failures are logged, not thrown,
+   * since the fetched data is complete either way.
+   */
+  save: function() {
+    if (!this.next) {
+      return;
+    }
+    
+    try {
+      System.writeFile(this.path, JSON.stringify(this.next));
+    } catch (error) {
+      console.log(`Could not write cache ${this.path}: ${error.message}`);
+    }
+  },
+  
+  /**
+   * Summarizes the cache state for the output metadata
+   * 
+   * @returns {Object} `{ enabled, lastSync, ageSeconds }`; `ageSeconds` is null on a full fetch
+   */
+  describe: function() {
+    return {
+      enabled: Boolean(this.next),
+      lastSync: this.lastSync,
+      ageSeconds: this.lastSync ? Math.round((Date.now() - Date.parse(this.lastSync)) / 1000) : null
+    };
+  }
+};
+
+/**
+ * JIRA integration utilities
+ */
+const JIRA = {
+  /**
+   * Retrieves a list of JIRA tickets using the API token from the credential chain.
+   * Follows `startAt`/`maxResults` pagination until every matching issue has
+   * been fetched or the configured limit is reached.
+   * 
+   * @param {number} [maxResults] - Upper limit on tickets to fetch (default: CONFIG.jira.maxResults)
+   * @param {string} [query] - JQL to run (default: the query configured in CONFIG.jira)
+   * @returns {Promise<Object>} A promise that resolves to an object containing JIRA tickets,
+   *   the server-reported `total` (the fetched count when the API does not report one)
+   *   and a `truncated` flag set when the limit cut results off
+   */
+  getTickets: async function(maxResults, query) {
+    const limit = maxResults || CONFIG.jira.maxResults;
+    const jql = query || this.buildJql(CONFIG.jira);
+    const authorization = await this.getAuthorization();
+    const fields = await this.resolveFields();
+    
+    try {
+      const issues = [];
+      let total = 0;
+      let startAt = 0;
+      let nextPageToken = "";
+      let hasMore = false;
+      
+      do {
+        const cursor = nextPageToken ? { nextPageToken: nextPageToken } : { startAt: startAt };
+        const page = await this.fetchPage(Object.assign({
+          jql: jql,
+          fields: fields.map(field => field.id).join(",")
+        }, cursor, {
+          maxResults: Math.min(CONFIG.jira.pageSize, limit - issues.length)
+        }), authorization);
+        const pageIssues = page.issues || [];
+        
+        issues.push(...pageIssues);
+        startAt += pageIssues.length;
+        
+        if (page.nextPageToken !== undefined || page.isLast !== undefined) {
+          // API v3 `search/jql` pages by token and does not report a total
+          nextPageToken = page.nextPageToken || "";
+          hasMore = Boolean(nextPageToken) && !page.isLast;
+          total = page.total !== undefined ? page.total : issues.length;
+        } else {
+          total = page.total || 0;
+          hasMore = startAt < total;
+        }
+        
+        // Guard against servers that report a larger total than they return
+        if (pageIssues.length === 0) {
+          break;
+        }
+      } while (hasMore && issues.length < limit);
+      
+      return {
+        startAt: 0,
+        maxResults: limit,
+        total: total,
+        issues: issues,
+        truncated: issues.length >= limit && hasMore
+      };
+    } catch (error) {
+      throw IntegrationError.withContext(error, "Error fetching JIRA tickets");
+    }
+  },
+  
+  /**
+   * Retrieves tickets like getTickets, but when the previous run's result for
+   * the same query is cached, only fetches issues updated since then and
+   * merges them into it
+   * 
+   * @param {number} [maxResults] - Upper limit on tickets to fetch
+   * @param {string} jql - JQL to run
+   * @returns {Promise<Object>} A promise that resolves to the same shape as getTickets
+   */
+  getTicketsCached: async function(maxResults, jql) {
+    const limit = maxResults || CONFIG.jira.maxResults;
+    const key = `${CONFIG.jira.baseUrl} ${CONFIG.jira.fields} ${jql}`;
+    const cached = Cache.get("jira", key);
+    
+    // A truncated result cannot be extended reliably, so fetch it in full
+    const result = cached && !cached.truncated && Cache.lastSync ?
+      await this.getUpdatedTickets(limit, jql, cached.issues) :
+      await this.getTickets(limit, jql);
+    
+    Cache.set("jira", key, { issues: result.issues, truncated: result.truncated });
+    return result;
+  },
+  
+  /**
+   * Fetches issues matching a query that changed since the last sync and
+   * merges them into the cached issues. Cached issues that were updated and
+   * no longer match are dropped; deleted issues are only noticed by a full fetch.
+   * The merged issues are sorted by the query's ORDER BY, so they match a
+   * full fetch. The query is fetched in full instead when it has no ORDER BY
+   * (JIRA's default order cannot be reproduced), when an ORDER BY field is not
+   * on the cached issues, or when the merged issues go past the limit.
+   * 
+   * @param {number} limit - Upper limit on tickets
+   * @param {string} jql - JQL to run
+   * @param {Array<Object>} cachedIssues - Issues from the previous run
+   * @returns {Promise<Object>} A promise that resolves to the same shape as getTickets
+   */
+  getUpdatedTickets: async function(limit, jql, cachedIssues) {
+    const match = jql.match(/^([\s\S]*?)(\s*\bORDER\s+BY\b[\s\S]*)?$/i);
+    const where = match[1].trim();
+    const orderBy = (match[2] || "").trim();
+    const order = this.parseOrderBy(orderBy);
+    const since = `updated >= "-${Cache.minutesSinceSync()}m"`;
+    
+    if (order.length === 0) {
+      console.log("JIRA incremental sync: the query has no ORDER BY; fetching in full");
+      return this.getTickets(limit, jql);
+    }
+    
+    const sortable = order.every(term => cachedIssues.every(issue => this.sortValue(issue, term.field) !== undefined));
+    
+    if (!sortable) {
+      console.log(`JIRA incremental sync: cannot sort by "${orderBy}" locally; fetching in full`);
+      return this.getTickets(limit, jql);
+    }
+    
+    const changed = await this.getTickets(limit, `${where ? `(${where}) AND ` : ""}${since} ${orderBy}`);
+    const updated = {};
+    const dropped = {};
+    
+    changed.issues.forEach(issue => {
+      updated[issue.key] = issue;
+    });
+    
+    // Find cached issues that were edited out of the query
+    const remaining = cachedIssues.map(issue => issue.key).filter(issueKey => !updated[issueKey]);
+    
+    for (let i = 0; where && i < remaining.length; i += 50) {
+      const keys = remaining.slice(i, i + 50).join(", ");
+      const left = await this.getTickets(50, `key in (${keys}) AND ${since} AND NOT (${where})`);
+      
+      left.issues.forEach(issue => {
+        dropped[issue.key] = true;
+      });
+    }
+    
+    const cachedKeys = {};
+    
+    cachedIssues.forEach(issue => {
+      cachedKeys[issue.key] = true;
+    });
+    
+    const added = changed.issues.filter(issue => !cachedKeys[issue.key]);
+    const kept = cachedIssues.filter(issue => !dropped[issue.key]).map(issue => updated[issue.key] || issue);
+    const issues = this.sortIssues(added.concat(kept), order);
+    
+    // Issues past the limit were never cached, so only the server knows which come next
+    if (changed.truncated || issues.length > limit) {
+      console.log("JIRA incremental sync: more issues match than the limit; fetching in full");
+      return this.getTickets(limit, jql);
+    }
+    
+    console.log(`JIRA incremental sync: ${changed.issues.length} updated since ${Cache.lastSync}`);
+    
+    // Every match is known here, so the count is the server's total
+    return {
+      startAt: 0,
+      maxResults: limit,
+      total: issues.length,
+      issues: issues,
+      truncated: false
+    };
+  },
+  
+  /**
+   * Parses a JQL ORDER BY clause into sort terms
+   * 
+   * @param {string} orderBy - Clause such as `ORDER BY priority DESC, key`, or ""
+   * @returns {Array<Object>} `{ field, descending }` terms, field names lowercased
+   */
+  parseOrderBy: function(orderBy) {
+    const clause = orderBy.replace(/^\s*ORDER\s+BY\s+/i, "").trim();
+    
+    return clause ? clause.split(",").map(term => {
+      const parts = term.trim().match(/^("?)(.+?)\1(?:\s+(ASC|DESC))?$/i);
+      return { field: parts[2].toLowerCase(), descending: /^desc$/i.test(parts[3] || "") };
+    }) : [];
+  },
+  
+  /**
+   * Reads the value an issue sorts by for an ORDER BY field. Keys sort by
+   * project, then number; other fields by their fetched string or number value.
+   * 
+   * @param {Object} issue - JIRA issue
+   * @param {string} field - Lowercased field name or ID from parseOrderBy
+   * @returns {string|number|null|undefined} The value, null when the field is empty,
+   *   or undefined when it was not fetched or cannot be compared locally (such as priority)
+   */
+  sortValue: function(issue, field) {
+    if (field === "key" || field === "issuekey") {
+      return issue.key.replace(/\d+$/, digits => digits.padStart(12, "0"));
+    }
+    
+    const fields = issue.fields || {};
+    const id = Object.keys(fields).find(name => name.toLowerCase() === field);
+    const value = id === undefined ? undefined : fields[id];
+    
+    return value === null || typeof value === "string" || typeof value === "number" ? value : undefined;
+  },
+  
+  /**
+   * Sorts issues by parsed ORDER BY terms. Empty values sort after all others,
+   * and ties keep their order.
+   * 
+   * @param {Array<Object>} issues - JIRA issues
+   * @param {Array<Object>} order - Terms from parseOrderBy; none leaves the order as is
+   * @returns {Array<Object>} Sorted copy of the issues
+   */
+  sortIssues: function(issues, order) {
+    const compare = (a, b) => {
+      if (a === b) {
+        return 0;
+      }
+      if (a === null) {
+        return 1;
+      }
+      if (b === null) {
+        return -1;
+      }
+      if (typeof a === "string" && typeof b === "string") {
+        return a.toLowerCase() < b.toLowerCase() ? -1 : (a.toLowerCase() > b.toLowerCase() ? 1 : 0);
+      }
+      return a < b ? -1 : (a > b ? 1 : 0);
+    };
+    
+    return issues.map((issue, index) => ({ issue, index })).sort((a, b) => {
+      for (const term of order) {
+        const difference = compare(this.sortValue(a.issue, term.field), this.sortValue(b.issue, term.field));
+        
+        if (difference !== 0) {
+          return term.descending ? -difference : difference;
+        }
+      }
+      return a.index - b.index;
+    }).map(entry => entry.issue);
+  },
+  
+  /**
+   * Runs several named JQL queries and merges their results. Tickets matched by
+   * more than one query appear once in `issues`; `queries` keeps the per-query
+   * grouping by ticket key.
+   * 
+   * @param {Array<Object>} queries - List of `{ name, jql }` entries, see resolveQueries
+   * @param {number} [maxResults] - Upper limit on tickets to fetch per query
+   * @returns {Promise<Object>} A promise that resolves to `{ issues, total, truncated, queries }`
+   */
+  getTicketsByQuery: async function(queries, maxResults) {
+    const merged = {
+      issues: [],
+      total: 0,
+      truncated: false,
+      queries: {}
+    };
+    const seen = {};
+    
+    for (const query of queries) {
+      console.log(`Running JIRA query "${query.name}": ${query.jql}`);
+      
+      const result = await this.getTicketsCached(maxResults, query.jql);
+      
+      merged.total += result.total;
+      merged.truncated = merged.truncated || result.truncated;
+      merged.queries[query.name] = {
+        jql: query.jql,
+        total: result.total,
+        truncated: result.truncated,
+        ticketKeys: result.issues.map(issue => issue.key)
+      };
+      
+      result.issues.forEach(issue => {
+        if (!seen[issue.key]) {
+          seen[issue.key] = true;
+          merged.issues.push(issue);
+        }
+      });
+    }
+    
+    const fields = await this.resolveFields();
+    merged.issues.forEach(issue => {
+      issue.values = this.flattenFields(issue.fields || {}, fields);
+    });
+    
+    return merged;
+  },
+  
+  /**
+   * Builds the JQL for a query definition
+   * 
+   * @param {Object|string} query - Raw JQL, or an object with `jql`, `filterId`
+   *   or `project`/`status` properties
+   * @returns {string} The JQL to send to the search endpoint
+   */
+  buildJql: function(query) {
+    if (typeof query === "string") {
+      return query;
+    }
+    
+    if (query.jql) {
+      return query.jql;
+    }
+    
+    if (query.filterId) {
+      const filterId = String(query.filterId);
+      return /^\d+$/.test(filterId) ? `filter = ${filterId}` : `filter = "${filterId.replace(/"/g, "\\\"")}"`;
+    }
+    
+    return `project = ${query.project || CONFIG.jira.project} AND status = ${query.status || CONFIG.jira.status}`;
+  },
+  
+  /**
+   * Resolves the list of queries to run. Named queries in `options.queries` win,
+   * then a single `options.jql`/`options.filterId`, then the same settings in
+   * CONFIG.jira, and finally the project/status clause.
+   * 
+   * @param {Object} [options] - Options passed to main
+   * @returns {Array<Object>} List of `{ name, jql }` entries
+   */
+  resolveQueries: function(options = {}) {
+    const named = options.queries || CONFIG.jira.queries || {};
+    const names = Object.keys(named);
+    
+    if (names.length > 0) {
+      return names.map(name => ({ name: name, jql: this.buildJql(named[name]) }));
+    }
+    
+    if (options.jql || options.filterId) {
+      return [{ name: "default", jql: this.buildJql({ jql: options.jql, filterId: options.filterId }) }];
+    }
+    
+    return [{ name: "default", jql: this.buildJql(CONFIG.jira) }];
+  },
+  
+  /**
+   * Sends an authenticated request to the JIRA REST API
+   * 
+   * @param {string} method - The HTTP method
+   * @param {string} path - Path relative to CONFIG.jira.baseUrl, e.g. "issue/PROJ-1"
+   * @param {Object} [options] - `query` parameters and a JSON `body`
+   * @returns {Promise<Object|null>} The parsed JSON response, or null for 204 No Content
+   */
+  request: async function(method, path, options = {}) {
+    const response = await HTTP.request({
+      service: "JIRA",
+      method: method,
+      url: CONFIG.jira.baseUrl + path,
+      query: options.query,
+      headers: {
+        "Authorization": await this.getAuthorization(),
+        "Content-Type": "application/json"
+      },
+      body: options.body
+    });
+    
+    return response.status === 204 ? null : HTTP.expectJson(response, "JIRA");
+  },
+  
+  /**
+   * Fetches a single ticket
+   * 
+   * @param {string} key - The ticket key
+   * @param {string} [fields="summary,status,issuetype"] - Comma-separated fields to return
+   * @returns {Promise<Object>} The ticket, shaped like the search results
+   */
+  getTicket: async function(key, fields = "summary,status,issuetype") {
+    return this.request("GET", `issue/${encodeURIComponent(key)}`, { query: { fields: fields } });
+  },
+  
+  /**
+   * Returns a ticket's current status name
+   * 
+   * @param {string} key - The ticket key
+   * @returns {Promise<string>} The status name
+   */
+  getStatus: async function(key) {
+    const issue = await this.request("GET", `issue/${encodeURIComponent(key)}`, { query: { fields: "status" } });
+    return issue.fields.status.name;
+  },
+  
+  /**
+   * Lists the workflow transitions currently available for a ticket
+   * 
+   * @param {string} key - The ticket key
+   * @returns {Promise<Array<Object>>} Transitions with `id`, `name` and target status `to.name`
+   */
+  getTransitions: async function(key) {
+    const result = await this.request("GET", `issue/${encodeURIComponent(key)}/transitions`);
+    return result.transitions || [];
+  },
+  
+  /**
+   * Moves a ticket through a workflow transition
+   * 
+   * @param {string} key - The ticket key
+   * @param {string} transitionId - The transition ID from getTransitions
+   * @returns {Promise<void>}
+   */
+  transitionIssue: async function(key, transitionId) {
+    await this.request("POST", `issue/${encodeURIComponent(key)}/transitions`, { body: { transition: { id: transitionId } } });
+  },
+  
+  /**
+   * Adds a comment to a ticket, or updates the comment carrying the same
+   * marker so repeated calls do not duplicate it
+   * 
+   * @param {string} key - The ticket key
+   * @param {string} text - The comment text; lines become paragraphs
+   * @param {string} marker - Text that identifies the comment; must appear in `text`
+   * @returns {Promise<Object>} `{ id, result }` where result is "created", "updated" or "unchanged"
+   */
+  addComment: async function(key, text, marker) {
+    const path = `issue/${encodeURIComponent(key)}/comment`;
+    const body = this.commentBody(text);
+    let existing = null;
+    let startAt = 0;
+    let total = 0;
+    
+    do {
+      const page = await this.request("GET", path, { query: { startAt: startAt, maxResults: 100 } });
+      const comments = page.comments || [];
+      
+      existing = comments.find(comment => JSON.stringify(comment.body).indexOf(JSON.stringify(marker).slice(1, -1)) >= 0);
+      total = page.total || 0;
+      startAt += comments.length;
+      
+      if (comments.length === 0) {
+        break;
+      }
+    } while (!existing && startAt < total);
+    
+    if (existing && JSON.stringify(existing.body) === JSON.stringify(body)) {
+      return { id: existing.id, result: "unchanged" };
+    }
+    
+    if (existing) {
+      await this.request("PUT", `${path}/${existing.id}`, { body: { body: body } });
+      return { id: existing.id, result: "updated" };
+    }
+    
+    const created = await this.request("POST", path, { body: { body: body } });
+    return { id: created.id, result: "created" };
+  },
+  
+  /**
+   * Builds a comment body: wiki text for API v2, an Atlassian Document Format
+   * document for API v3
+   * 
+   * @param {string} text - The comment text
+   * @returns {string|Object} The `body` value for the comment endpoints
+   */
+  commentBody: function(text) {
+    if (this.getApiVersion() !== 3) {
+      return text;
+    }
+    
+    return {
+      type: "doc",
+      version: 1,
+      content: text.split("\n").map(line => ({
+        type: "paragraph",
+        content: line ? [{ type: "text", text: line }] : []
+      }))
+    };
+  },
+  
+  /**
+   * Fields resolved from CONFIG.jira.fields, kept for the current settings
+   */
+  fieldMap: null,
+  
+  /**
+   * Resolves CONFIG.jira.fields into field IDs. Entries that look like IDs
+   * ("summary", "fixVersions", "customfield_10042") are used as is; others are
+   * display names looked up (case-insensitively) through the field endpoint.
+   * 
+   * @returns {Promise<Array<Object>>} `{ id, name, key }` per field, where `key` is the
+   *   friendly name used in `values`: the ID for system fields, the camel-cased name otherwise
+   * @throws {ConfigError} If a display name matches no field
+   */
+  resolveFields: async function() {
+    const entries = String(CONFIG.jira.fields).split(",").map(entry => entry.trim()).filter(Boolean);
+    const signature = `${CONFIG.jira.baseUrl} ${entries.join(",")}`;
+    
+    if (this.fieldMap && this.fieldMap.signature === signature) {
+      return this.fieldMap.fields;
+    }
+    
+    const isId = entry => /^(customfield_\d+|[a-z][A-Za-z]*)$/.test(entry);
+    const list = entries.every(isId) ? [] : await this.getFieldList();
+    const unknown = [];
+    const fields = entries.map(entry => {
+      if (isId(entry)) {
+        const known = list.find(field => field.id === entry);
+        return { id: entry, name: known ? known.name : entry, key: entry };
+      }
+      
+      const matches = list.filter(field => String(field.name).toLowerCase() === entry.toLowerCase());
+      
+      if (matches.length === 0) {
+        unknown.push(entry);
+        return null;
+      }
+      
+      if (matches.length > 1) {
+        console.log(`JIRA has ${matches.length} fields named "${entry}"; using ${matches[0].id}`);
+      }
+      
+      return { id: matches[0].id, name: matches[0].name, key: matches[0].custom ? this.fieldKey(matches[0].name) : matches[0].id };
+    });
+    
+    if (unknown.length > 0) {
+      throw new ConfigError(`Unknown JIRA field${unknown.length > 1 ? "s" : ""} in jira.fields: ${unknown.map(name => `"${name}"`).join(", ")}`);
+    }
+    
+    this.fieldMap = { signature: signature, fields: fields };
+    return fields;
+  },
+  
+  /**
+   * Lists the instance's fields, from the cache when the previous run fetched them
+   * 
+   * @returns {Promise<Array<Object>>} `{ id, name, custom }` per field
+   */
+  getFieldList: async function() {
+    const cacheKey = `${CONFIG.jira.baseUrl}field`;
+    const cached = Cache.get("jira", cacheKey);
+    const list = cached ? cached.fields : (await this.request("GET", "field"))
+      .map(field => ({ id: field.id, name: field.name, custom: Boolean(field.custom) }));
+    
+    Cache.set("jira", cacheKey, { fields: list });
+    return list;
+  },
+  
+  /**
+   * Turns a field's display name into a camel-cased key, e.g. "Story Points" to "storyPoints"
+   * 
+   * @param {string} name - The display name
+   * @returns {string} The key
+   */
+  fieldKey: function(name) {
+    const key = String(name).replace(/[^A-Za-z0-9]+(.)?/g, (match, next) => next ? next.toUpperCase() : "");
+    return key.charAt(0).toLowerCase() + key.slice(1);
+  },
+  
+  /**
+   * Flattens a ticket's fields into readable values under their friendly keys
+   * 
+   * @param {Object} issueFields - The ticket's `fields`
+   * @param {Array<Object>} fields - Fields from resolveFields
+   * @returns {Object} Values by key, see flattenValue
+   */
+  flattenFields: function(issueFields, fields) {
+    const values = {};
+    
+    fields.forEach(field => {
+      values[field.key] = this.flattenValue(issueFields[field.id]);
+    });
+    
+    return values;
+  },
+  
+  /**
+   * Flattens a field value: users to display names, options to their value
+   * (cascading ones as "Parent / Child"), sprints, statuses and other named
+   * objects to names, linked issues to keys and rich text to plain text
+   * 
+   * @param {*} value - The raw field value
+   * @returns {*} A string, number, boolean, array of those, or null when empty
+   */
+  flattenValue: function(value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    
+    if (Array.isArray(value)) {
+      return value.map(item => this.flattenValue(item)).filter(item => item !== null && item !== "");
+    }
+    
+    if (typeof value === "string") {
+      // Older JIRA Software versions return sprints as "...Sprint@1f2e[id=1,state=ACTIVE,name=Sprint 12,...]"
+      const sprint = value.match(/^com\.atlassian\.greenhopper\.service\.sprint\.Sprint@[^[]*\[.*\bname=([^,\]]*)/);
+      return sprint ? sprint[1] : value;
+    }
+    
+    if (typeof value !== "object") {
+      return value;
+    }
+    
+    if (value.type === "doc") {
+      return this.adfText(value).trim();
+    }
+    
+    if (value.displayName !== undefined) {
+      return value.displayName;
+    }
+    
+    if (value.value !== undefined) {
+      return value.child ? `${value.value} / ${this.flattenValue(value.child)}` : value.value;
+    }
+    
+    if (value.name !== undefined) {
+      return value.name;
+    }
+    
+    return value.key !== undefined ? value.key : value;
+  },
+  
+  /**
+   * Extracts plain text from an Atlassian Document Format node
+   * 
+   * @param {Object} node - The ADF node, e.g. a `doc`
+   * @returns {string} The text; blocks are separated by newlines and list items start with "• "
+   */
+  adfText: function(node) {
+    if (!node) {
+      return "";
+    }
+    
+    if (node.type === "text") {
+      return node.text || "";
+    }
+    
+    if (node.type === "hardBreak") {
+      return "\n";
+    }
+    
+    if (!node.content) {
+      // Mentions, emoji, dates and cards carry their text in attributes
+      return node.attrs ? String(node.attrs.text || node.attrs.shortName || node.attrs.url || "") : "";
+    }
+    
+    const children = node.content.map(child => this.adfText(child));
+    
+    switch (node.type) {
+    case "bulletList":
+    case "orderedList":
+      return children.map(child => `• ${child}`).join("\n");
+    case "tableRow":
+      return children.join(" | ");
+    case "paragraph":
+    case "heading":
+    case "codeBlock":
+    case "tableCell":
+    case "tableHeader":
+      return children.join("");
+    default:
+      return children.join("\n");
+    }
+  },
+  
+  /**
+   * Fetches a single page of JIRA search results
+   * 
+   * @param {Object} query - Search parameters (`jql`, `fields`, `startAt` or `nextPageToken`, `maxResults`)
+   * @param {string} authorization - The `Authorization` header value, see getAuthorization
+   * @returns {Promise<Object>} The parsed JSON response
+   */
+  fetchPage: async function(query, authorization) {
+    const response = await HTTP.request({
+      service: "JIRA",
+      url: CONFIG.jira.baseUrl + this.getSearchPath(),
+      query: query,
+      headers: {
+        "Authorization": authorization,
+        "Content-Type": "application/json"
+      }
+    });
+    
+    return HTTP.expectJson(response, "JIRA");
+  },
+  
+  /**
+   * Extracts the JIRA instance URL from the API base URL
+   * 
+   * @returns {string} The JIRA instance URL
+   */
+  getInstanceUrl: function() {
+    if (CONFIG.jira.siteUrl) {
+      return CONFIG.jira.siteUrl.replace(/\/+$/, "");
+    }
+    
+    const match = CONFIG.jira.baseUrl.match(/^(https?:\/\/[^/]+)/);
+    return match ? match[1] : CONFIG.jira.baseUrl;
+  },
+  
+  /**
+   * Returns the REST API version the base URL points at
+   * 
+   * @returns {number} 3 for `/rest/api/3/` base URLs, 2 otherwise
+   */
+  getApiVersion: function() {
+    return /\/rest\/api\/3\/?$/.test(CONFIG.jira.baseUrl) ? 3 : 2;
+  },
+  
+  /**
+   * Returns the search endpoint relative to the base URL. API v3 on Cloud
+   * replaced `search` with the token-paginated `search/jql`.
+   * 
+   * @returns {string} The configured search path, or the default for the API version
+   */
+  getSearchPath: function() {
+    return CONFIG.jira.searchPath || (this.getApiVersion() === 3 ? "search/jql" : "search");
+  },
+  
+  /**
+   * Resolves the auth mode, detecting JIRA Cloud from the base URL host when
+   * the mode is "auto"
+   * 
+   * @returns {string} "bearer", "basic" or "oauth"
+   */
+  getAuthMode: function() {
+    const mode = CONFIG.jira.auth.mode || "auto";
+    
+    if (mode !== "auto") {
+      if (!["bearer", "basic", "oauth"].includes(mode)) {
+        throw new Error(`Unknown JIRA auth mode "${mode}". Use auto, bearer, basic or oauth.`);
+      }
+      return mode;
+    }
+    
+    const host = HTTP.getHost(CONFIG.jira.baseUrl).toLowerCase();
+    
+    if (host === "api.atlassian.com") {
+      return "oauth";
+    }
+    
+    return /\.atlassian\.net(:\d+)?$/.test(host) ? "basic" : "bearer";
+  },
+  
+  /**
+   * Builds the `Authorization` header for JIRA requests from the credential chain
+   * 
+   * @returns {Promise<string>} A promise that resolves to the header value
+   * @throws {AuthError} If a required credential is missing
+   */
+  getAuthorization: async function() {
+    const mode = this.getAuthMode();
+    
+    if (mode === "oauth") {
+      return `Bearer ${await this.getOAuthAccessToken()}`;
+    }
+    
+    const token = Credentials.getToken(CONFIG.jira);
+    
+    if (!token) {
+      throw new AuthError(`No JIRA API token found (${Credentials.describeSources(CONFIG.jira)})`, { service: "JIRA" });
+    }
+    
+    if (mode === "bearer") {
+      return `Bearer ${token}`;
+    }
+    
+    const auth = CONFIG.jira.auth;
+    const emailSource = Credentials.secret(CONFIG.jira, auth.emailKeychainItem, auth.emailEnvVar, "login");
+    const email = auth.email || Credentials.getToken(emailSource);
+    
+    if (!email) {
+      throw new AuthError(`JIRA Cloud basic auth needs the account email; set jira.auth.email (${Credentials.describeSources(emailSource)})`, { service: "JIRA" });
+    }
+    
+    return HTTP.basicAuth(email, token);
+  },
+  
+  /**
+   * Current OAuth access token and its expiry, refreshed as needed
+   */
+  oauthSession: null,
+  
+  /**
+   * Exchanges the stored OAuth 2.0 refresh token for an access token. The
+   * access token is reused until shortly before it expires; a rotated refresh
+   * token is saved back to the Keychain.
+   * 
+   * @returns {Promise<string>} A promise that resolves to the access token
+   * @throws {AuthError} If the client or refresh token is missing or rejected
+   */
+  getOAuthAccessToken: async function() {
+    if (this.oauthSession && this.oauthSession.expiresAt > Date.now() + 60000) {
+      return this.oauthSession.accessToken;
+    }
+    
+    const oauth = CONFIG.jira.auth.oauth;
+    const secretSource = Credentials.secret({ baseUrl: oauth.tokenUrl }, oauth.clientSecretKeychainItem, oauth.clientSecretEnvVar);
+    const refreshSource = Credentials.secret({ baseUrl: oauth.tokenUrl }, oauth.refreshTokenKeychainItem, oauth.refreshTokenEnvVar);
+    const clientSecret = Credentials.getToken(secretSource);
+    const refreshToken = Credentials.getToken(refreshSource);
+    
+    if (!oauth.clientId || !clientSecret || !refreshToken) {
+      throw new AuthError(`JIRA OAuth needs jira.auth.oauth.clientId, a client secret (${Credentials.describeSources(secretSource)}) and a refresh token (${Credentials.describeSources(refreshSource)})`, { service: "JIRA" });
+    }
+    
+    const response = await HTTP.request({
+      service: "JIRA",
+      method: "POST",
+      url: oauth.tokenUrl,
+      headers: { "Content-Type": "application/json" },
+      body: {
+        grant_type: "refresh_token",
+        client_id: oauth.clientId,
+        client_secret: clientSecret,
+        refresh_token: refreshToken
+      }
+    });
+    
+    // The token endpoint answers a revoked or expired refresh token with 400 invalid_grant
+    if (response.status === 400 || response.status === 401 || response.status === 403) {
+      throw new AuthError(`JIRA OAuth token refresh was rejected (HTTP ${response.status})`, {
+        service: "JIRA",
+        status: response.status,
+        url: response.url,
+        body: response.body
+      });
+    }
+    
+    const json = HTTP.expectJson(response, "JIRA");
+    
+    if (json.refresh_token && json.refresh_token !== refreshToken) {
+      Credentials.cache[oauth.refreshTokenKeychainItem] = json.refresh_token;
+      Keychain.saveToken(oauth.refreshTokenKeychainItem, json.refresh_token);
+    }
+    
+    this.oauthSession = {
+      accessToken: json.access_token,
+      expiresAt: Date.now() + (json.expires_in || 3600) * 1000
+    };
+    
+    return this.oauthSession.accessToken;
+  },
+  
+  /**
+   * Creates a URL for a specific JIRA ticket
+   * 
+   * @param {string} ticketKey - The JIRA ticket key
+   * @returns {string} The URL to view the ticket
+   */
+  getTicketUrl: function(ticketKey) {
+    return `${this.getInstanceUrl()}/browse/${ticketKey}`;
+  }
+};
+
+/**
+ * GitHub integration utilities
+ */
+const GitHub = {
+  /**
+   * Retrieves a list of GitHub pull requests using the API token from the credential chain.
+   * Follows the `Link` header until every page has been fetched or the
+   * configured limit is reached.
+   * 
+   * @param {string} username - The GitHub username
+   * @param {string} repo - The GitHub repository name
+   * @param {number} [maxResults] - Upper limit on pull requests to fetch (default: CONFIG.github.maxResults)
+   * @returns {Promise<Array>} A promise that resolves to an array of GitHub pull requests tagged
+   *   with their `repository`; the array's `truncated` property is set when the limit cut results off.
+   *   With `CONFIG.github.api` set to "graphql" the pull requests come with `details` already set.
+   */
+  getPullRequests: async function(username, repo, maxResults) {
+    username = username || CONFIG.github.defaultUsername;
+    repo = repo || CONFIG.github.defaultRepo;
+    const limit = maxResults || CONFIG.github.maxResults;
+    
+    console.log(`Fetching GitHub pull requests for: ${username}/${repo}`);
+    
+    const token = Credentials.getToken(CONFIG.github);
+    
+    if (!token) {
+      throw new AuthError(`No GitHub API token found (${Credentials.describeSources(CONFIG.github)})`, { service: "GitHub" });
+    }
+    
+    try {
+      if (CONFIG.github.api === "graphql") {
+        return await this.getPullRequestsGraphql(`${username}/${repo}`, limit);
+      }
+      
+      const url = `${CONFIG.github.baseUrl}repos/${username}/${repo}/pulls?state=open&per_page=${CONFIG.github.perPage}`;
+      const page = await this.fetchAll(url, token, limit);
+      const result = page.items.map(pr => Object.assign({ repository: `${username}/${repo}` }, pr));
+      
+      result.truncated = page.truncated;
+      return result;
+    } catch (error) {
+      throw IntegrationError.withContext(error, "Error fetching GitHub pull requests");
+    }
+  },
+  
+  /**
+   * Retrieves open pull requests across several repositories and merges them.
+   * Each pull request is tagged with its `repository` ("owner/repo").
+   * 
+   * @param {Array<string>} repositories - List of "owner/repo" entries
+   * @param {number} [maxResults] - Upper limit on pull requests to fetch across all repositories
+   * @returns {Promise<Array>} A promise that resolves to the merged pull requests; the
+   *   array's `truncated` property is set when the limit cut results off
+   */
+  getPullRequestsForRepos: async function(repositories, maxResults) {
+    const limit = maxResults || CONFIG.github.maxResults;
+    const merged = [];
+    merged.truncated = false;
+    
+    for (const fullName of repositories) {
+      if (merged.length >= limit) {
+        merged.truncated = true;
+        break;
+      }
+      
+      const parts = fullName.split("/");
+      const pullRequests = await this.getPullRequests(parts[0], parts[1], limit - merged.length);
+      
+      merged.push(...pullRequests);
+      merged.truncated = merged.truncated || pullRequests.truncated;
+    }
+    
+    return merged;
+  },
+  
+  /**
+   * Retrieves a single pull request, e.g. to learn whether it was merged
+   * 
+   * @param {string} repository - The "owner/repo" name
+   * @param {number} number - The pull request number
+   * @returns {Promise<Object>} A promise that resolves to the pull request
+   */
+  getPullRequest: async function(repository, number) {
+    const token = Credentials.getToken(CONFIG.github);
+    
+    if (!token) {
+      throw new AuthError(`No GitHub API token found (${Credentials.describeSources(CONFIG.github)})`, { service: "GitHub" });
+    }
+    
+    try {
+      const page = await this.fetchPage(`${CONFIG.github.baseUrl}repos/${repository}/pulls/${number}`, token);
+      return page.body;
+    } catch (error) {
+      throw IntegrationError.withContext(error, `Error fetching ${repository}#${number}`);
+    }
+  },
+  
+  /**
+   * Returns the GraphQL endpoint: `CONFIG.github.graphqlUrl`, or derived from
+   * the REST base (GitHub Enterprise Server serves it at /api/graphql next to /api/v3)
+   * 
+   * @returns {string} The endpoint URL
+   */
+  getGraphqlUrl: function() {
+    if (CONFIG.github.graphqlUrl) {
+      return CONFIG.github.graphqlUrl;
+    }
+    
+    const base = CONFIG.github.baseUrl.replace(/\/+$/, "");
+    return /\/api\/v3$/.test(base) ? base.replace(/\/v3$/, "/graphql") : `${base}/graphql`;
+  },
+  
+  /**
+   * Returns the web address for links: `CONFIG.github.webUrl`, or derived
+   * from the REST base ("https://api.github.com" becomes "https://github.com",
+   * "https://github.example.com/api/v3" becomes "https://github.example.com")
+   * 
+   * @returns {string} The web address without a trailing slash
+   */
+  getWebUrl: function() {
+    if (CONFIG.github.webUrl) {
+      return CONFIG.github.webUrl.replace(/\/+$/, "");
+    }
+    
+    return CONFIG.github.baseUrl
+      .replace(/\/+$/, "")
+      .replace(/\/api\/v3$/, "")
+      .replace(/^(https?:\/\/)api\./, "$1");
+  },
+  
+  /**
+   * Sends an authenticated request to the GitHub REST API
+   * 
+   * @param {string} method - The HTTP method
+   * @param {string} path - Path relative to CONFIG.github.baseUrl, e.g. "repos/owner/repo/issues/1/comments",
+   *   or an absolute URL
+   * @param {Object} [body] - JSON request body
+   * @returns {Promise<Object>} The parsed JSON response
+   */
+  request: async function(method, path, body) {
+    const token = Credentials.getToken(CONFIG.github);
+    
+    if (!token) {
+      throw new AuthError(`No GitHub API token found (${Credentials.describeSources(CONFIG.github)})`, { service: "GitHub" });
+    }
+    
+    const response = await HTTP.request({
+      service: "GitHub",
+      method: method,
+      url: /^https?:\/\//.test(path) ? path : CONFIG.github.baseUrl + path,
+      headers: {
+        "Authorization": `Bearer ${token}`,
+        "Accept": "application/vnd.github.v3+json",
+        "X-GitHub-Api-Version": "2022-11-28"
+      },
+      body: body,
+      caBundle: CONFIG.github.caBundle
+    });
+    
+    return HTTP.expectJson(response, "GitHub");
+  },
+  
+  /**
+   * Adds a comment to a pull request, or updates the comment carrying the
+   * same marker so repeated calls do not duplicate it
+   * 
+   * @param {string} repository - The "owner/repo" name
+   * @param {number} number - The pull request number
+   * @param {string} body - The Markdown comment body
+   * @param {string} marker - Text that identifies the comment, e.g. a hidden HTML comment; must appear in `body`
+   * @returns {Promise<Object>} `{ id, result }` where result is "created", "updated" or "unchanged"
+   */
+  addComment: async function(repository, number, body, marker) {
+    const token = Credentials.getToken(CONFIG.github);
+    
+    if (!token) {
+      throw new AuthError(`No GitHub API token found (${Credentials.describeSources(CONFIG.github)})`, { service: "GitHub" });
+    }
+    
+    // Pull request conversation comments live on the issues endpoints
+    const comments = await this.fetchAll(`${CONFIG.github.baseUrl}repos/${repository}/issues/${number}/comments?per_page=${CONFIG.github.perPage}`, token, Infinity);
+    const existing = comments.items.find(comment => String(comment.body).indexOf(marker) >= 0);
+    
+    if (existing && existing.body === body) {
+      return { id: existing.id, result: "unchanged" };
+    }
+    
+    if (existing) {
+      await this.request("PATCH", `repos/${repository}/issues/comments/${existing.id}`, { body: body });
+      return { id: existing.id, result: "updated" };
+    }
+    
+    const created = await this.request("POST", `repos/${repository}/issues/${number}/comments`, { body: body });
+    return { id: created.id, result: "created" };
+  },
+  
+  /**
+   * Runs a GraphQL query against the GitHub API
+   * 
+   * @param {string} query - The GraphQL query
+   * @param {Object} [variables] - Values for the query's variables
+   * @returns {Promise<Object>} The `data` of the response; errors for parts of the query are logged
+   * @throws {UnexpectedResponseError} If the response has errors and no data
+   */
+  graphql: async function(query, variables) {
+    const body = variables ? { query: query, variables: variables } : { query: query };
+    const response = await this.request("POST", this.getGraphqlUrl(), body);
+    const errors = response.errors || [];
+    
+    if (!response.data) {
+      throw new UnexpectedResponseError(`GitHub GraphQL error: ${errors.length > 0 ? errors[0].message : "no data"}`, { service: "GitHub" });
+    }
+    
+    errors.forEach(error => console.log(`GitHub GraphQL warning: ${error.message}`));
+    return response.data;
+  },
+  
+  /**
+   * Adds review, check and merge details to pull requests as `details`,
+   * fetching a batch of pull requests per GraphQL request. Pull requests that
+   * already have details are skipped. Failures are logged and leave `details` unset.
+   * 
+   * @param {Array<Object>} pullRequests - Pull requests tagged with `repository`
+   * @param {number} [batchSize=CONFIG.github.enrichBatchSize] - Pull requests per request
+   * @returns {Promise<Array<Object>>} The same pull requests, each with `details`: `{ draft,
+   *   requestedReviewers, reviews: [{ reviewer, state }], lastReviewAt, reviewDecision, checks, mergeable, awaitingMe }`
+   */
+  enrichPullRequests: async function(pullRequests, batchSize = CONFIG.github.enrichBatchSize) {
+    if (!CONFIG.github.enrich) {
+      return pullRequests;
+    }
+    
+    const pending = pullRequests.filter(pr => !pr.details);
+    
+    for (let start = 0; start < pending.length; start += batchSize) {
+      const batch = pending.slice(start, start + batchSize);
+      
+      try {
+        const data = await this.graphql(this.detailsQuery(batch));
+        
+        batch.forEach((pr, index) => {
+          const node = data[`pr${index}`] && data[`pr${index}`].pullRequest;
+          
+          if (node) {
+            pr.details = this.parseDetails(node, data.viewer ? data.viewer.login : "");
+          }
+        });
+      } catch (error) {
+        console.log(`Could not load pull request details: ${error.message}`);
+      }
+    }
+    
+    return pullRequests;
+  },
+  
+  /**
+   * Builds the GraphQL query for a batch of pull requests, one alias per pull request
+   * 
+   * @param {Array<Object>} pullRequests - Pull requests tagged with `repository`
+   * @returns {string} The query
+   */
+  detailsQuery: function(pullRequests) {
+    const aliases = pullRequests.map((pr, index) => {
+      const parts = pr.repository.split("/");
+      return `pr${index}: repository(owner: ${JSON.stringify(parts[0])}, name: ${JSON.stringify(parts[1])}) { pullRequest(number: ${Number(pr.number)}) { ${this.detailsFields} } }`;
+    });
+    
+    return `query { viewer { login } ${aliases.join(" ")} }`;
+  },
+  
+  /**
+   * GraphQL pull request fields read by parseDetails
+   */
+  detailsFields: [
+    "isDraft mergeable reviewDecision",
+    "reviewRequests(first: 20) { nodes { requestedReviewer { ... on User { login } ... on Team { combinedSlug } } } }",
+    "latestReviews(first: 20) { nodes { author { login } state submittedAt } }",
+    "commits(last: 1) { nodes { commit { statusCheckRollup { state } } } }"
+  ].join(" "),
+  
+  /**
+   * Retrieves open pull requests of a repository through GraphQL, with their
+   * reviews, checks and labels in the same paginated query. The pull requests
+   * have the REST shape plus `details`.
+   * 
+   * @param {string} repository - The "owner/repo" name
+   * @param {number} limit - Upper limit on pull requests to fetch
+   * @returns {Promise<Array>} The pull requests, newest first; the array's
+   *   `truncated` property is set when the limit cut results off
+   */
+  getPullRequestsGraphql: async function(repository, limit) {
+    const parts = repository.split("/");
+    const query = [
+      "query($owner: String!, $name: String!, $first: Int!, $after: String) { viewer { login }",
+      "repository(owner: $owner, name: $name) {",
+      "pullRequests(states: OPEN, first: $first, after: $after, orderBy: { field: CREATED_AT, direction: DESC }) {",
+      "pageInfo { hasNextPage endCursor } nodes {",
+      "number title url body createdAt updatedAt headRefName baseRefName author { login }",
+      "assignees(first: 20) { nodes { login } } labels(first: 50) { nodes { name } }",
+      `${this.detailsFields} } } } }`
+    ].join(" ");
+    const result = [];
+    let cursor = null;
+    
+    do {
+      const data = await this.graphql(query, {
+        owner: parts[0],
+        name: parts[1],
+        first: Math.min(CONFIG.github.perPage, 100, limit - result.length),
+        after: cursor
+      });
+      const connection = data.repository && data.repository.pullRequests;
+      
+      if (!connection) {
+        throw new UnexpectedResponseError(`Repository ${repository} not found`, { service: "GitHub" });
+      }
+      
+      const viewer = data.viewer ? data.viewer.login : "";
+      connection.nodes.forEach(node => result.push(this.fromGraphql(node, repository, viewer)));
+      cursor = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+    } while (cursor && result.length < limit);
+    
+    result.truncated = Boolean(cursor);
+    return result;
+  },
+  
+  /**
+   * Converts a GraphQL pull request node to the REST shape used elsewhere
+   * 
+   * @param {Object} node - The pull request node
+   * @param {string} repository - The "owner/repo" name
+   * @param {string} viewer - Login of the token's user
+   * @returns {Object} The pull request with `details`
+   */
+  fromGraphql: function(node, repository, viewer) {
+    return {
+      repository: repository,
+      number: node.number,
+      title: node.title,
+      html_url: node.url,
+      url: `${CONFIG.github.baseUrl}repos/${repository}/pulls/${node.number}`,
+      body: node.body || null,
+      state: "open",
+      draft: Boolean(node.isDraft),
+      created_at: node.createdAt,
+      updated_at: node.updatedAt,
+      merged_at: null,
+      // Deleted accounts show up as "ghost", as in the REST API
+      user: { login: node.author ? node.author.login : "ghost" },
+      assignees: (node.assignees ? node.assignees.nodes : []).map(user => ({ login: user.login })),
+      labels: (node.labels ? node.labels.nodes : []).map(label => ({ name: label.name })),
+      head: { ref: node.headRefName },
+      base: { ref: node.baseRefName },
+      details: this.parseDetails(node, viewer)
+    };
+  },
+  
+  /**
+   * Flattens a GraphQL pull request node into the `details` shape
+   * 
+   * @param {Object} node - The pull request node
+   * @param {string} viewer - Login of the token's user
+   * @returns {Object} The details
+   */
+  parseDetails: function(node, viewer) {
+    const lower = value => value ? String(value).toLowerCase() : null;
+    const requestedReviewers = (node.reviewRequests ? node.reviewRequests.nodes : [])
+      .map(request => request.requestedReviewer && (request.requestedReviewer.login || request.requestedReviewer.combinedSlug))
+      .filter(Boolean);
+    const commit = node.commits && node.commits.nodes.length > 0 ? node.commits.nodes[0].commit : null;
+    const reviews = node.latestReviews ? node.latestReviews.nodes : [];
+    const reviewTimes = reviews.map(review => review.submittedAt).filter(Boolean).sort();
+    
+    return {
+      draft: Boolean(node.isDraft),
+      requestedReviewers: requestedReviewers,
+      reviews: reviews
+        .filter(review => review.author)
+        .map(review => ({ reviewer: review.author.login, state: lower(review.state) })),
+      lastReviewAt: reviewTimes.length > 0 ? reviewTimes[reviewTimes.length - 1] : null,
+      reviewDecision: lower(node.reviewDecision),
+      checks: commit && commit.statusCheckRollup ? lower(commit.statusCheckRollup.state) : null,
+      mergeable: lower(node.mergeable),
+      awaitingMe: Boolean(viewer) && requestedReviewers.indexOf(viewer) >= 0
+    };
+  },
+  
+  /**
+   * Creates a branch from the head of another branch using the refs API. An
+   * existing branch is returned as is, without adding the empty commit.
+   * 
+   * @param {string} repository - The "owner/repo" name
+   * @param {string} branch - The new branch name
+   * @param {Object} [options] - Branch options
+   * @param {string} [options.base] - Branch to start from (default: the repository's default branch)
+   * @param {string} [options.commitMessage] - Add an empty commit with this message, so a pull request can be opened right away
+   * @returns {Promise<Object>} `{ branch, base, sha, created }`
+   */
+  createBranch: async function(repository, branch, options = {}) {
+    const existing = async base => {
+      const ref = await this.request("GET", `repos/${repository}/git/ref/heads/${branch}`);
+      return { branch: branch, base: base, sha: ref.object.sha, created: false };
+    };
+    
+    try {
+      const base = options.base || (await this.request("GET", `repos/${repository}`)).default_branch;
+      
+      try {
+        return await existing(base);
+      } catch (error) {
+        if (!(error instanceof NotFoundError)) {
+          throw error;
+        }
+      }
+      
+      const head = await this.request("GET", `repos/${repository}/git/ref/heads/${base}`);
+      let sha = head.object.sha;
+      
+      if (options.commitMessage) {
+        const parent = await this.request("GET", `repos/${repository}/git/commits/${sha}`);
+        const commit = await this.request("POST", `repos/${repository}/git/commits`, {
+          message: options.commitMessage,
+          tree: parent.tree.sha,
+          parents: [sha]
+        });
+        sha = commit.sha;
+      }
+      
+      try {
+        await this.request("POST", `repos/${repository}/git/refs`, { ref: `refs/heads/${branch}`, sha: sha });
+        return { branch: branch, base: base, sha: sha, created: true };
+      } catch (error) {
+        // 422 means the reference was created since the check above
+        if (error.status !== 422) {
+          throw error;
+        }
+        
+        return existing(base);
+      }
+    } catch (error) {
+      throw IntegrationError.withContext(error, `Error creating branch ${branch} in ${repository}`);
+    }
+  },
+  
+  /**
+   * Opens a pull request, or returns the open one for the same head branch
+   * 
+   * @param {string} repository - The "owner/repo" name
+   * @param {Object} pullRequest - The pull request to open
+   * @param {string} pullRequest.title - The title
+   * @param {string} pullRequest.body - The Markdown description
+   * @param {string} pullRequest.head - The branch with the changes
+   * @param {string} pullRequest.base - The branch to merge into
+   * @param {boolean} [pullRequest.draft] - Open it as a draft
+   * @returns {Promise<Object>} The pull request as returned by the API, with `created` set when it is new
+   */
+  createPullRequest: async function(repository, pullRequest) {
+    try {
+      const owner = repository.split("/")[0];
+      const open = await this.request("GET", `repos/${repository}/pulls?state=open&head=${encodeURIComponent(`${owner}:${pullRequest.head}`)}`);
+      
+      if (open.length > 0) {
+        return Object.assign({ created: false }, open[0]);
+      }
+      
+      const created = await this.request("POST", `repos/${repository}/pulls`, {
+        title: pullRequest.title,
+        body: pullRequest.body,
+        head: pullRequest.head,
+        base: pullRequest.base,
+        draft: Boolean(pullRequest.draft)
+      });
+      return Object.assign({ created: true }, created);
+    } catch (error) {
+      throw IntegrationError.withContext(error, `Error opening a pull request for ${pullRequest.head} in ${repository}`);
+    }
+  },
+  
+  /**
+   * Lists the non-archived repositories of a GitHub organization
+   * 
+   * @param {string} org - The organization login
+   * @returns {Promise<Array<string>>} A promise that resolves to "owner/repo" names
+   */
+  listRepositories: async function(org) {
+    console.log(`Listing GitHub repositories for organization: ${org}`);
+    
+    const token = Credentials.getToken(CONFIG.github);
+    
+    if (!token) {
+      throw new AuthError(`No GitHub API token found (${Credentials.describeSources(CONFIG.github)})`, { service: "GitHub" });
+    }
+    
+    try {
+      const url = `${CONFIG.github.baseUrl}orgs/${org}/repos?type=all&per_page=${CONFIG.github.perPage}`;
+      const page = await this.fetchAll(url, token, Infinity);
+      return page.items.filter(repo => !repo.archived).map(repo => repo.full_name);
+    } catch (error) {
+      throw IntegrationError.withContext(error, `Error listing repositories for ${org}`);
+    }
+  },
+  
+  /**
+   * Resolves the repositories to fetch pull requests from. Explicit
+   * `options.githubRepos`/`options.githubOrgs` win, then a single
+   * `options.githubUsername`/`options.githubRepo`, then the lists in
+   * CONFIG.github, and finally the default repository.
+   * 
+   * @param {Object} [options] - Options passed to main
+   * @returns {Promise<Array<string>>} A promise that resolves to unique "owner/repo" names
+   */
+  resolveRepositories: async function(options = {}) {
+    let repositories = options.githubRepos || [];
+    let organizations = options.githubOrgs || [];
+    
+    if (repositories.length === 0 && organizations.length === 0) {
+      if (options.githubUsername || options.githubRepo) {
+        repositories = [`${options.githubUsername || CONFIG.github.defaultUsername}/${options.githubRepo || CONFIG.github.defaultRepo}`];
+      } else {
+        repositories = CONFIG.github.repositories || [];
+        organizations = CONFIG.github.organizations || [];
+      }
+    }
+    
+    if (repositories.length === 0 && organizations.length === 0) {
+      repositories = [`${CONFIG.github.defaultUsername}/${CONFIG.github.defaultRepo}`];
+    }
+    
+    const resolved = repositories.slice();
+    
+    for (const org of organizations) {
+      resolved.push(...await this.listRepositories(org));
+    }
+    
+    return resolved.filter((name, index) => resolved.indexOf(name) === index);
+  },
+  
+  /**
+   * Follows `Link` header pagination from a starting URL
+   * 
+   * @param {string} url - The URL of the first page
+   * @param {string} token - The GitHub API token
+   * @param {number} limit - Stop once this many items have been collected
+   * @returns {Promise<Object>} An object with the collected `items` and a `truncated` flag
+   */
+  fetchAll: async function(url, token, limit) {
+    const items = [];
+    
+    while (url && items.length < limit) {
+      // Revalidate cached pages; a 304 does not count against the rate limit
+      const cached = Cache.get("github", url);
+      const page = await this.fetchPage(url, token, cached && cached.etag);
+      const body = page.notModified ? cached.body : page.body;
+      const next = page.notModified ? cached.next : this.parseLinkHeader(page.headers.link).next;
+      
+      if (!Array.isArray(body)) {
+        throw new UnexpectedResponseError(body.message || "Expected a list from GitHub", { service: "GitHub", url: url });
+      }
+      
+      if (page.notModified || page.headers.etag) {
+        Cache.set("github", url, { etag: page.notModified ? cached.etag : page.headers.etag, body: body, next: next });
+      }
+      
+      items.push(...body);
+      url = next;
+    }
+    
+    return {
+      items: items.slice(0, limit),
+      truncated: items.length > limit || Boolean(url)
+    };
+  },
+  
+  /**
+   * Fetches a single page from the GitHub API along with its response headers
+   * 
+   * @param {string} url - The full API URL
+   * @param {string} token - The GitHub API token
+   * @param {string} [etag] - ETag of the cached page, sent as `If-None-Match`
+   * @returns {Promise<Object>} An object with lower-cased `headers` and the parsed JSON `body`;
+   *   `notModified` is set (and `body` is null) when the cached page is still current
+   */
+  fetchPage: async function(url, token, etag) {
+    const headers = {
+      "Authorization": `Bearer ${token}`,
+      "Accept": "application/vnd.github.v3+json",
+      "X-GitHub-Api-Version": "2022-11-28"
+    };
+    
+    if (etag) {
+      headers["If-None-Match"] = etag;
+    }
+    
+    const response = await HTTP.request({
+      service: "GitHub",
+      url: url,
+      headers: headers,
+      caBundle: CONFIG.github.caBundle
+    });
+    
+    if (etag && response.status === 304) {
+      return { headers: response.headers, body: null, notModified: true };
+    }
+    
+    return {
+      headers: response.headers,
+      body: HTTP.expectJson(response, "GitHub")
+    };
+  },
+  
+  /**
+   * Parses a `Link` header into a map of relation name to URL
+   * 
+   * @param {string} header - The raw Link header value
+   * @returns {Object} Map such as `{ next: "...", last: "..." }`
+   */
+  parseLinkHeader: function(header) {
+    const links = {};
+    
+    (header || "").split(",").forEach(part => {
+      const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+      if (match) {
+        links[match[2]] = match[1];
+      }
+    });
+    
+    return links;
+  }
+};
+
+/**
+ * GitLab integration utilities. Open merge requests are normalized into the
+ * GitHub pull request shape so linking, output and notifications treat them
+ * alike; they carry `source: "gitlab"`.
+ */
+const GitLab = {
+  /**
+   * Whether any GitLab projects or groups are configured
+   * 
+   * @returns {boolean} True when merge requests should be fetched
+   */
+  isConfigured: function() {
+    return CONFIG.gitlab.projects.length > 0 || CONFIG.gitlab.groups.length > 0;
+  },
+  
+  /**
+   * Sends an authenticated request to the GitLab REST API
+   * 
+   * @param {string} method - The HTTP method
+   * @param {string} path - Path relative to CONFIG.gitlab.baseUrl, e.g. "projects/group%2Fapp/merge_requests"
+   * @param {Object} [body] - JSON request body
+   * @returns {Promise<Object>} An object with lower-cased `headers` and the parsed JSON `body`
+   */
+  fetchPage: async function(method, path, body) {
+    const token = Credentials.getToken(CONFIG.gitlab);
+    
+    if (!token) {
+      throw new AuthError(`No GitLab API token found (${Credentials.describeSources(CONFIG.gitlab)})`, { service: "GitLab" });
+    }
+    
+    const response = await HTTP.request({
+      service: "GitLab",
+      method: method,
+      url: CONFIG.gitlab.baseUrl + path,
+      headers: {
+        "PRIVATE-TOKEN": token,
+        "Accept": "application/json"
+      },
+      body: body,
+      caBundle: CONFIG.gitlab.caBundle
+    });
+    
+    return {
+      headers: response.headers,
+      body: HTTP.expectJson(response, "GitLab")
+    };
+  },
+  
+  /**
+   * Sends an authenticated request to the GitLab REST API
+   * 
+   * @param {string} method - The HTTP method
+   * @param {string} path - Path relative to CONFIG.gitlab.baseUrl
+   * @param {Object} [body] - JSON request body
+   * @returns {Promise<Object>} The parsed JSON response
+   */
+  request: async function(method, path, body) {
+    return (await this.fetchPage(method, path, body)).body;
+  },
+  
+  /**
+   * Follows GitLab's `X-Next-Page` pagination
+   * 
+   * @param {string} path - Path of the first page, including its query string
+   * @param {number} limit - Stop once this many items have been collected
+   * @returns {Promise<Object>} An object with the collected `items` and a `truncated` flag
+   */
+  fetchAll: async function(path, limit) {
+    const items = [];
+    let page = 1;
+    
+    while (page && items.length < limit) {
+      const response = await this.fetchPage("GET", `${path}&per_page=${CONFIG.gitlab.perPage}&page=${page}`);
+      
+      if (!Array.isArray(response.body)) {
+        throw new UnexpectedResponseError("Expected a list from GitLab", { service: "GitLab" });
+      }
+      
+      items.push(...response.body);
+      page = Number(response.headers["x-next-page"]) || 0;
+    }
+    
+    return {
+      items: items.slice(0, limit),
+      truncated: items.length > limit || Boolean(page)
+    };
+  },
+  
+  /**
+   * Retrieves open merge requests from the configured projects and groups
+   * (including subgroups), normalized into pull requests
+   * 
+   * @param {number} [maxResults] - Upper limit on merge requests to fetch across all projects and groups
+   * @returns {Promise<Array>} A promise that resolves to the pull requests; the
+   *   array's `truncated` property is set when the limit cut results off
+   */
+  getMergeRequests: async function(maxResults) {
+    const limit = maxResults || CONFIG.gitlab.maxResults;
+    const sources = CONFIG.gitlab.projects.map(project => ({ scope: "projects", path: project }))
+      .concat(CONFIG.gitlab.groups.map(group => ({ scope: "groups", path: group })));
+    const merged = [];
+    const seen = {};
+    merged.truncated = false;
+    
+    for (const source of sources) {
+      if (merged.length >= limit) {
+        merged.truncated = true;
+        break;
+      }
+      
+      console.log(`Fetching GitLab merge requests for: ${source.path}`);
+      
+      try {
+        const query = `state=opened${source.scope === "groups" ? "&include_subgroups=true" : ""}&order_by=created_at&sort=desc`;
+        const page = await this.fetchAll(`${source.scope}/${encodeURIComponent(source.path)}/merge_requests?${query}`, limit - merged.length);
+        
+        // A project can also be reached through one of the groups
+        page.items.forEach(mr => {
+          if (!seen[mr.id]) {
+            seen[mr.id] = true;
+            merged.push(mr);
+          }
+        });
+        merged.truncated = merged.truncated || page.truncated;
+      } catch (error) {
+        throw IntegrationError.withContext(error, `Error fetching GitLab merge requests for ${source.path}`);
+      }
+    }
+    
+    const viewer = merged.length > 0 ? await this.getViewer() : "";
+    const result = merged.map(mr => this.normalize(mr, viewer));
+    
+    result.truncated = merged.truncated;
+    return this.addPipelines(result);
+  },
+  
+  /**
+   * Retrieves a single merge request, e.g. to learn whether it was merged
+   * 
+   * @param {string} project - The project path, e.g. "group/app"
+   * @param {number} iid - The merge request number within the project
+   * @returns {Promise<Object>} A promise that resolves to the merge request as returned by GitLab
+   */
+  getMergeRequest: async function(project, iid) {
+    try {
+      return await this.request("GET", `projects/${encodeURIComponent(project)}/merge_requests/${iid}`);
+    } catch (error) {
+      throw IntegrationError.withContext(error, `Error fetching ${project}!${iid}`);
+    }
+  },
+  
+  /**
+   * Returns the username of the token's user; failures are logged
+   * 
+   * @returns {Promise<string>} The username, or an empty string
+   */
+  getViewer: async function() {
+    try {
+      return (await this.request("GET", "user")).username || "";
+    } catch (error) {
+      console.log(`Could not look up the GitLab user: ${error.message}`);
+      return "";
+    }
+  },
+  
+  /**
+   * Sets `details.checks` from each merge request's latest pipeline, which the
+   * list endpoint leaves out. One request per project loads its most recent
+   * pipelines, matched by head commit or merge request ref; merge requests
+   * whose latest pipeline is older keep checks unset. Failures are logged and
+   * leave that project's checks unset.
+   * 
+   * @param {Array<Object>} pullRequests - Normalized merge requests
+   * @returns {Promise<Array<Object>>} The same pull requests
+   */
+  addPipelines: async function(pullRequests) {
+    if (!CONFIG.gitlab.pipelines) {
+      return pullRequests;
+    }
+    
+    const byProject = {};
+    
+    pullRequests.forEach(pr => {
+      (byProject[pr.repository] = byProject[pr.repository] || []).push(pr);
+    });
+    
+    for (const project of Object.keys(byProject)) {
+      try {
+        // Newest first, so the first match is the merge request's latest pipeline
+        const pipelines = await this.request("GET", `projects/${encodeURIComponent(project)}/pipelines?order_by=id&sort=desc&per_page=100`);
+        
+        byProject[project].forEach(pr => {
+          const refs = [`refs/merge-requests/${pr.number}/head`, `refs/merge-requests/${pr.number}/merge`];
+          const pipeline = pipelines.find(candidate => (pr.head.sha && candidate.sha === pr.head.sha) || refs.indexOf(candidate.ref) >= 0);
+          pr.details.checks = this.pipelineState(pipeline && pipeline.status);
+        });
+      } catch (error) {
+        console.log(`Could not load the pipelines of ${project}: ${error.message}`);
+      }
+    }
+    
+    return pullRequests;
+  },
+  
+  /**
+   * Maps a GitLab pipeline status onto the GitHub check states
+   * 
+   * @param {string} [status] - The pipeline status, e.g. "running"
+   * @returns {string|null} "success", "failure", "error", "pending", or null without a pipeline
+   */
+  pipelineState: function(status) {
+    switch (status) {
+    case "success":
+      return "success";
+    case "failed":
+      return "failure";
+    case "canceled":
+      return "error";
+    case "created":
+    case "waiting_for_resource":
+    case "preparing":
+    case "pending":
+    case "running":
+    case "scheduled":
+    case "manual":
+      return "pending";
+    default:
+      return null;
+    }
+  },
+  
+  /**
+   * Converts a GitLab merge request into the GitHub pull request shape
+   * 
+   * @param {Object} mr - The merge request from the list endpoint
+   * @param {string} viewer - Username of the token's user
+   * @returns {Object} The pull request, tagged with its project path as `repository` and `source: "gitlab"`
+   */
+  normalize: function(mr, viewer) {
+    const reviewers = (mr.reviewers || []).map(user => user.username);
+    const draft = Boolean(mr.draft || mr.work_in_progress);
+    const project = mr.references && mr.references.full ? mr.references.full.split("!")[0] : String(mr.project_id);
+    const checking = ["unchecked", "checking", "preparing"].indexOf(mr.detailed_merge_status) >= 0;
+    
+    return {
+      source: "gitlab",
+      repository: project,
+      number: mr.iid,
+      title: mr.title,
+      html_url: mr.web_url,
+      url: `${CONFIG.gitlab.baseUrl}projects/${mr.project_id}/merge_requests/${mr.iid}`,
+      body: mr.description || null,
+      state: "open",
+      draft: draft,
+      created_at: mr.created_at,
+      updated_at: mr.updated_at,
+      merged_at: mr.merged_at || null,
+      user: { login: mr.author ? mr.author.username : "ghost" },
+      assignees: (mr.assignees || []).map(user => ({ login: user.username })),
+      labels: (mr.labels || []).map(label => ({ name: typeof label === "string" ? label : label.name })),
+      head: { ref: mr.source_branch, sha: mr.sha },
+      base: { ref: mr.target_branch },
+      details: {
+        draft: draft,
+        requestedReviewers: reviewers,
+        reviews: [],
+        lastReviewAt: null,
+        reviewDecision: null,
+        checks: null,
+        mergeable: mr.has_conflicts ? "conflicting" : checking ? "unknown" : "mergeable",
+        awaitingMe: Boolean(viewer) && reviewers.indexOf(viewer) >= 0
+      }
+    };
+  },
+  
+  /**
+   * Adds a note to a merge request, or updates the note carrying the same
+   * marker so repeated calls do not duplicate it
+   * 
+   * @param {string} project - The project path, e.g. "group/app"
+   * @param {number} iid - The merge request number within the project
+   * @param {string} body - The Markdown note body
+   * @param {string} marker - Text that identifies the note; must appear in `body`
+   * @returns {Promise<Object>} `{ id, result }` where result is "created", "updated" or "unchanged"
+   */
+  addComment: async function(project, iid, body, marker) {
+    const path = `projects/${encodeURIComponent(project)}/merge_requests/${iid}/notes`;
+    const notes = await this.fetchAll(`${path}?sort=asc`, Infinity);
+    const existing = notes.items.find(note => !note.system && String(note.body).indexOf(marker) >= 0);
+    
+    if (existing && existing.body === body) {
+      return { id: existing.id, result: "unchanged" };
+    }
+    
+    if (existing) {
+      await this.request("PUT", `${path}/${existing.id}`, { body: body });
+      return { id: existing.id, result: "updated" };
+    }
+    
+    const created = await this.request("POST", path, { body: body });
+    return { id: created.id, result: "created" };
+  }
+};
+
+/**
+ * Cross-referencing between JIRA tickets and GitHub pull requests
+ */
+const Linker = {
+  /**
+   * Builds the regular expression used to find ticket keys in pull requests.
+   * Known project keys are matched case-insensitively so lower-case branch
+   * names such as `proj-123-fix-login` still link. There is no trailing word
+   * boundary, so `PROJ-123_fix` also matches.
+   * 
+   * @param {Array<Object>} tickets - JIRA tickets whose key prefixes are used
+   * @returns {RegExp} A global regular expression capturing ticket keys
+   */
+  buildKeyPattern: function(tickets) {
+    if (CONFIG.jira.keyPattern) {
+      return new RegExp(CONFIG.jira.keyPattern, "gi");
+    }
+    
+    const projectKeys = [];
+    
+    tickets.forEach(ticket => {
+      const prefix = ticket.key.split("-")[0];
+      if (projectKeys.indexOf(prefix) < 0) {
+        projectKeys.push(prefix);
+      }
+    });
+    
+    if (/^[A-Z][A-Z0-9_]+$/.test(CONFIG.jira.project) && projectKeys.indexOf(CONFIG.jira.project) < 0) {
+      projectKeys.push(CONFIG.jira.project);
+    }
+    
+    if (projectKeys.length === 0) {
+      return /\b[A-Z][A-Z0-9_]+-\d+/g;
+    }
+    
+    return new RegExp(`\\b(?:${projectKeys.join("|")})-\\d+`, "gi");
+  },
+  
+  /**
+   * Finds the unique ticket keys mentioned in a pull request's title, head
+   * branch name and body
+   * 
+   * @param {Object} pr - The GitHub pull request
+   * @param {RegExp} pattern - Pattern from buildKeyPattern
+   * @returns {Array<string>} Upper-cased ticket keys in order of first mention
+   */
+  findTicketKeys: function(pr, pattern) {
+    const sources = [pr.title, pr.head && pr.head.ref, pr.body];
+    const keys = [];
+    
+    sources.forEach(text => {
+      (String(text || "").match(pattern) || []).forEach(match => {
+        const key = match.toUpperCase();
+        if (keys.indexOf(key) < 0) {
+          keys.push(key);
+        }
+      });
+    });
+    
+    return keys;
+  },
+  
+  /**
+   * Links pull requests to the tickets they mention. Returns copies of the
+   * inputs where each ticket has `linkedPullRequests` and each pull request
+   * has `linkedTickets`, plus the items on either side that have no link.
+   * 
+   * @param {Array<Object>} tickets - JIRA tickets
+   * @param {Array<Object>} pullRequests - GitHub pull requests
+   * @returns {Object} `{ jiraTickets, githubPullRequests, unlinked: { jiraTickets, githubPullRequests } }`
+   */
+  link: function(tickets, pullRequests) {
+    const pattern = this.buildKeyPattern(tickets);
+    const ticketsByKey = {};
+    
+    const linkedTickets = tickets.map(ticket => {
+      const copy = Object.assign({}, ticket, { linkedPullRequests: [] });
+      ticketsByKey[ticket.key.toUpperCase()] = copy;
+      return copy;
+    });
+    
+    const linkedPullRequests = pullRequests.map(pr => {
+      const keys = this.findTicketKeys(pr, pattern);
+      
+      keys.forEach(key => {
+        if (ticketsByKey[key]) {
+          ticketsByKey[key].linkedPullRequests.push({
+            repository: pr.repository,
+            number: pr.number,
+            title: pr.title,
+            state: pr.state,
+            url: pr.html_url
+          });
+        }
+      });
+      
+      return Object.assign({}, pr, { linkedTickets: keys });
+    });
+    
+    return {
+      jiraTickets: linkedTickets,
+      githubPullRequests: linkedPullRequests,
+      unlinked: {
+        jiraTickets: linkedTickets.filter(ticket => ticket.linkedPullRequests.length === 0).map(ticket => ticket.key),
+        githubPullRequests: linkedPullRequests.filter(pr => pr.linkedTickets.length === 0).map(pr => `${pr.repository}#${pr.number}`)
+      }
+    };
+  }
+};
+
+/**
+ * Change detection between runs. Each run stores a compact snapshot of its
+ * tickets and pull requests; the next run reports what was added, removed,
+ * moved to another status, merged or closed since then.
+ */
+const Changes = {
+  /**
+   * Returns the snapshot file path for an output file. Profiles get separate
+   * snapshots so switching between them does not show spurious changes.
+   * 
+   * @param {string} outputFilePath - The configured output file path
+   * @param {string} [profile] - The active config profile
+   * @returns {string} The snapshot file path
+   */
+  filePath: function(outputFilePath, profile) {
+    return `${Cache.directory(outputFilePath)}/snapshot${profile ? `-${profile}` : ""}.json`;
+  },
+  
+  /**
+   * Reduces combined data to what change detection compares
+   * 
+   * @param {Object} data - The combined data from main
+   * @returns {Object} `{ generated, tickets: { key: { summary, status, merged } }, pullRequests: { id: { title, url, author, tickets } } }`
+   *   with pull requests keyed by pullRequestId
+   */
+  snapshot: function(data) {
+    const snapshot = { generated: data.metadata.generated, tickets: {}, pullRequests: {} };
+    
+    data.jiraTickets.forEach(ticket => {
+      snapshot.tickets[ticket.key] = {
+        summary: ticket.fields.summary,
+        status: ticket.fields.status ? ticket.fields.status.name : ""
+      };
+      
+      if (ticket.mergedPullRequests && ticket.mergedPullRequests.length > 0) {
+        snapshot.tickets[ticket.key].merged = ticket.mergedPullRequests;
+      }
+    });
+    
+    data.githubPullRequests.forEach(pr => {
+      snapshot.pullRequests[this.pullRequestId(pr)] = {
+        title: pr.title,
+        url: pr.html_url,
+        author: pr.user ? pr.user.login : "",
+        tickets: pr.linkedTickets || []
+      };
+    });
+    
+    // Pull requests whose fate could not be looked up stay until a later run can
+    Object.assign(snapshot.pullRequests, data.changes ? data.changes.unresolved : {});
+    
+    return snapshot;
+  },
+  
+  /**
+   * Loads the previous run's snapshot
+   * 
+   * @param {string} filePath - The snapshot file path
+   * @returns {Object|null} The snapshot, or null on the first run
+   */
+  load: function(filePath) {
+    const contents = System.readFile(filePath);
+    
+    if (!contents) {
+      return null;
+    }
+    
+    try {
+      return JSON.parse(contents);
+    } catch (error) {
+      console.log(`Ignoring unreadable snapshot ${filePath}: ${error.message}`);
+      return null;
+    }
+  },
+  
+  /**
+   * Identifies a pull request across runs: "owner/repo#12" for GitHub and
+   * "gitlab:group/app!12" for GitLab merge requests, so the two never collide
+   * 
+   * @param {Object} pr - The pull request, with `repository`, `number` and optional `source`
+   * @returns {string} The id
+   */
+  pullRequestId: function(pr) {
+    return pr.source === "gitlab" ? `gitlab:${pr.repository}!${pr.number}` : `${pr.repository}#${pr.number}`;
+  },
+  
+  /**
+   * Splits an id from pullRequestId. Unprefixed ids are GitHub pull requests.
+   * 
+   * @param {string} id - The id
+   * @returns {Object} `{ source, repository, number }` with source "github" or "gitlab"
+   */
+  parseId: function(id) {
+    const gitlab = /^gitlab:(.+)!(\d+)$/.exec(id);
+    
+    if (gitlab) {
+      return { source: "gitlab", repository: gitlab[1], number: gitlab[2] };
+    }
+    
+    const separator = id.lastIndexOf("#");
+    return { source: "github", repository: id.substring(0, separator), number: id.substring(separator + 1) };
+  },
+  
+  /**
+   * Stores the snapshot for the next run; failures are logged, not thrown
+   * 
+   * @param {string} filePath - The snapshot file path
+   * @param {Object} snapshot - The snapshot from `snapshot`
+   */
+  save: function(filePath, snapshot) {
+    try {
+      System.writeFile(filePath, JSON.stringify(snapshot));
+    } catch (error) {
+      console.log(`Could not write snapshot ${filePath}: ${error.message}`);
+    }
+  },
+  
+  /**
+   * Compares the previous snapshot with this run's data. Pull requests that
+   * are no longer open are looked up to tell merged from closed; one that no
+   * longer exists counts as closed, while one that cannot be looked up (network,
+   * auth or rate-limit errors) is reported in neither and kept for the next run.
+   * Removals are not reported for a source whose results were cut off by the limit.
+   * 
+   * @param {Object|null} previous - The previous snapshot
+   * @param {Object} data - The combined data from main
+   * @returns {Promise<Object>} A promise that resolves to `{ since, baseline, jira: { added, removed,
+   *   statusChanged }, github: { opened, merged, closed, linked }, unresolved }`; `baseline` is set on the first run.
+   *   `linked` lists open pull requests that started mentioning a ticket (all of them on the first run).
+   *   `unresolved` maps the ids of pull requests that could not be looked up to their previous snapshot entries.
+   */
+  detect: async function(previous, data) {
+    const current = this.snapshot(data);
+    const changes = {
+      since: previous ? previous.generated : null,
+      baseline: !previous,
+      jira: { added: [], removed: [], statusChanged: [] },
+      github: { opened: [], merged: [], closed: [], linked: [] },
+      unresolved: {}
+    };
+    
+    Object.keys(current.pullRequests).forEach(id => {
+      const before = previous && previous.pullRequests[id] ? previous.pullRequests[id].tickets || [] : [];
+      
+      current.pullRequests[id].tickets.filter(key => before.indexOf(key) < 0).forEach(key => {
+        changes.github.linked.push(Object.assign({ pullRequest: id, ticket: key }, current.pullRequests[id]));
+      });
+    });
+    
+    if (!previous) {
+      return changes;
+    }
+    
+    Object.keys(current.tickets).forEach(key => {
+      const ticket = current.tickets[key];
+      const before = previous.tickets[key];
+      
+      if (!before) {
+        changes.jira.added.push({ key: key, summary: ticket.summary, status: ticket.status });
+      } else if (before.status !== ticket.status) {
+        changes.jira.statusChanged.push({ key: key, summary: ticket.summary, from: before.status, to: ticket.status });
+      }
+    });
+    
+    if (!data.metadata.truncated.jira) {
+      Object.keys(previous.tickets).filter(key => !current.tickets[key]).forEach(key => {
+        changes.jira.removed.push({ key: key, summary: previous.tickets[key].summary, status: previous.tickets[key].status });
+      });
+    }
+    
+    Object.keys(current.pullRequests).filter(id => !previous.pullRequests[id]).forEach(id => {
+      changes.github.opened.push(Object.assign({ pullRequest: id }, current.pullRequests[id]));
+    });
+    
+    if (!data.metadata.truncated.github) {
+      for (const id of Object.keys(previous.pullRequests).filter(id => !current.pullRequests[id])) {
+        const entry = Object.assign({ pullRequest: id }, previous.pullRequests[id]);
+        const parsed = this.parseId(id);
+        
+        try {
+          const pr = parsed.source === "gitlab" ?
+            await GitLab.getMergeRequest(parsed.repository, parsed.number) :
+            await GitHub.getPullRequest(parsed.repository, parsed.number);
+          changes.github[pr.merged_at ? "merged" : "closed"].push(entry);
+        } catch (error) {
+          if (!(error instanceof NotFoundError)) {
+            // A transient failure says nothing about the pull request; look again next run
+            console.log(`Could not look up ${id}, checking again next run: ${error.message}`);
+            changes.unresolved[id] = previous.pullRequests[id];
+            continue;
+          }
+          
+          // Deleted; it is no longer open either way
+          console.log(`${id} no longer exists: ${error.message}`);
+          changes.github.closed.push(entry);
+        }
+      }
+    }
+    
+    return changes;
+  },
+  
+  /**
+   * Sets `mergedPullRequests` on each ticket: the pull requests mentioning it
+   * that were merged while it was being tracked, carried over between runs in
+   * the snapshot. Only open pull requests are fetched, so this is the only
+   * record of them.
+   * 
+   * @param {Object|null} previous - The previous snapshot
+   * @param {Object} data - The combined data, with `changes` from detect
+   */
+  recordMerged: function(previous, data) {
+    data.jiraTickets.forEach(ticket => {
+      const before = previous && previous.tickets[ticket.key] ? previous.tickets[ticket.key].merged || [] : [];
+      const merged = before.slice();
+      
+      data.changes.github.merged.filter(pr => (pr.tickets || []).indexOf(ticket.key) >= 0).forEach(pr => {
+        if (!merged.some(entry => entry.pullRequest === pr.pullRequest)) {
+          merged.push({ pullRequest: pr.pullRequest, url: pr.url });
+        }
+      });
+      
+      ticket.mergedPullRequests = merged;
+    });
+  },
+  
+  /**
+   * Combines two consecutive change sets, e.g. changes held back during quiet hours
+   * 
+   * @param {Object} earlier - The older change set
+   * @param {Object} later - The newer change set
+   * @returns {Object} A change set covering both, dated from the older one
+   */
+  merge: function(earlier, later) {
+    const merged = { since: earlier.since, baseline: earlier.baseline && later.baseline, jira: {}, github: {} };
+    
+    ["jira", "github"].forEach(source => {
+      Object.keys(later[source]).forEach(kind => {
+        merged[source][kind] = (earlier[source][kind] || []).concat(later[source][kind]);
+      });
+    });
+    
+    return merged;
+  },
+  
+  /**
+   * Counts the changes in a change set
+   * 
+   * @param {Object} changes - The change set from detect
+   * @returns {number} The number of changed items
+   */
+  count: function(changes) {
+    return ["added", "removed", "statusChanged"].reduce((sum, kind) => sum + changes.jira[kind].length, 0) +
+      ["opened", "merged", "closed"].reduce((sum, kind) => sum + changes.github[kind].length, 0);
+  },
+  
+  /**
+   * Describes a change set as notification lines, most notable first
+   * 
+   * @param {Object} changes - The change set from detect
+   * @param {number} [maxLines=5] - Upper limit on item lines
+   * @returns {Array<string>} Lines such as "PROJ-1: Open → In Progress"
+   */
+  describe: function(changes, maxLines = 5) {
+    const lines = [];
+    
+    changes.github.merged.forEach(pr => lines.push(`Merged ${pr.pullRequest}: ${pr.title}`));
+    changes.jira.statusChanged.forEach(ticket => lines.push(`${ticket.key}: ${ticket.from} → ${ticket.to}`));
+    changes.jira.added.forEach(ticket => lines.push(`New ${ticket.key}: ${ticket.summary}`));
+    changes.github.opened.forEach(pr => lines.push(`New ${pr.pullRequest}: ${pr.title}`));
+    changes.github.closed.forEach(pr => lines.push(`Closed ${pr.pullRequest}: ${pr.title}`));
+    changes.jira.removed.forEach(ticket => lines.push(`Gone ${ticket.key}: ${ticket.summary}`));
+    
+    if (lines.length > maxLines) {
+      return lines.slice(0, maxLines).concat(`...and ${lines.length - maxLines} more`);
+    }
+    
+    return lines;
+  }
+};
+
+/**
+ * Workflow automation. Rules from CONFIG.automation move the tickets a pull
+ * request mentions when it is opened, merged or closed, using the transitions
+ * JIRA offers for each ticket's current status.
+ */
+const Automation = {
+  events: ["opened", "merged", "closed"],
+  
+  /**
+   * Checks the configured rules
+   * 
+   * @param {Array<Object>} rules - The rules from CONFIG.automation
+   * @throws {ConfigError} If a rule has an unknown event or no transition
+   */
+  validateRules: function(rules) {
+    const errors = [];
+    
+    rules.forEach((rule, index) => {
+      if (!rule || typeof rule !== "object") {
+        errors.push(`rule ${index + 1} must be an object`);
+        return;
+      }
+      
+      if (!this.events.includes(rule.when)) {
+        errors.push(`rule ${index + 1}: "when" must be one of ${this.events.join(", ")}, got "${rule.when}"`);
+      }
+      
+      if (!rule.transition || [].concat(rule.transition).some(name => typeof name !== "string" || !name)) {
+        errors.push(`rule ${index + 1}: "transition" must be a transition or status name, or a list of them`);
+      }
+    });
+    
+    if (errors.length > 0) {
+      throw new ConfigError(`Invalid automation rules:\n- ${errors.join("\n- ")}`);
+    }
+  },
+  
+  /**
+   * Applies the rules to the pull requests in a change set. Each ticket is
+   * moved at most once per event; failures are recorded, not thrown.
+   * 
+   * @param {Object} changes - The change set from Changes.detect
+   * @param {boolean} [dryRun] - Only report what would change (default: CONFIG.automation.dryRun)
+   * @returns {Promise<Array<Object>>} One entry per matched ticket with `ticket`, `pullRequest`,
+   *   `event`, `from`, `to`, `transition`, `result` ("applied", "dry-run", "skipped" or "failed") and `reason`
+   */
+  apply: async function(changes, dryRun = CONFIG.automation.dryRun) {
+    const rules = CONFIG.automation.rules;
+    const results = [];
+    const handled = {};
+    
+    if (rules.length === 0 || !changes || changes.baseline) {
+      return results;
+    }
+    
+    this.validateRules(rules);
+    
+    for (const event of this.events) {
+      for (const pr of changes.github[event]) {
+        for (const key of pr.tickets || []) {
+          const rule = rules.find(candidate => candidate.when === event &&
+            (!candidate.projects || candidate.projects.includes(key.split("-")[0])));
+          
+          if (rule && !handled[`${event} ${key}`]) {
+            handled[`${event} ${key}`] = true;
+            results.push(await this.transition(key, rule, pr, event, dryRun));
+          }
+        }
+      }
+    }
+    
+    return results;
+  },
+  
+  /**
+   * Moves one ticket according to a rule
+   * 
+   * @param {string} key - The ticket key
+   * @param {Object} rule - The matching rule
+   * @param {Object} pr - The change set entry for the pull request
+   * @param {string} event - "opened", "merged" or "closed"
+   * @param {boolean} dryRun - Only report what would change
+   * @returns {Promise<Object>} The result entry, see apply
+   */
+  transition: async function(key, rule, pr, event, dryRun) {
+    const names = [].concat(rule.transition);
+    const same = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+    const action = { ticket: key, pullRequest: pr.pullRequest, event: event, from: "", to: "", transition: "", result: "skipped", reason: "" };
+    
+    try {
+      action.from = await JIRA.getStatus(key);
+      
+      if (names.some(name => same(name, action.from))) {
+        action.reason = `already ${action.from}`;
+      } else if (rule.from && ![].concat(rule.from).some(name => same(name, action.from))) {
+        action.reason = `rule does not apply to status ${action.from}`;
+      } else {
+        const transitions = await JIRA.getTransitions(key);
+        const match = names
+          .map(name => transitions.find(transition => same(transition.name, name) || (transition.to && same(transition.to.name, name))))
+          .find(Boolean);
+        
+        if (!match) {
+          action.reason = `no "${names.join("\" or \"")}" transition from ${action.from}`;
+        } else {
+          action.transition = match.name;
+          action.to = match.to ? match.to.name : match.name;
+          
+          if (dryRun) {
+            action.result = "dry-run";
+          } else {
+            await JIRA.transitionIssue(key, match.id);
+            action.result = "applied";
+          }
+        }
+      }
+    } catch (error) {
+      action.result = "failed";
+      action.reason = error.message;
+    }
+    
+    const prefix = action.result === "dry-run" ? "[dry run] Would move" : action.result === "applied" ? "Moved" : "Did not move";
+    console.log(`${prefix} ${key}${action.to ? ` from ${action.from} to ${action.to}` : ""} (${pr.pullRequest} ${event})${action.reason ? `: ${action.reason}` : ""}`);
+    
+    if (action.result === "applied" || action.result === "failed") {
+      this.audit(action);
+    }
+    
+    return action;
+  },
+  
+  /**
+   * Appends a transition to the audit log; failures are logged, not thrown
+   * 
+   * @param {Object} action - The result entry, see apply
+   */
+  audit: function(action) {
+    try {
+      System.appendFile(CONFIG.automation.auditLog, `${JSON.stringify(Object.assign({ time: new Date().toISOString() }, action))}\n`);
+    } catch (error) {
+      console.log(`Could not write audit log ${CONFIG.automation.auditLog}: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Comment cross-posting. When a pull request starts mentioning a ticket, the
+ * ticket gets a comment with the pull request's link, author and state, and
+ * the pull request gets one with the ticket's link and summary. Comments carry
+ * a marker and are updated in place, e.g. when the pull request is merged.
+ */
+const Comments = {
+  /**
+   * Marker identifying the JIRA comment for a pull request
+   * 
+   * @param {string} url - The pull request URL
+   * @returns {string} The marker line
+   */
+  jiraMarker: function(url) {
+    return `Linked by jira-github-integration: ${url}`;
+  },
+  
+  /**
+   * Marker identifying the GitHub comment for a ticket, hidden when rendered
+   * 
+   * @param {string} key - The ticket key
+   * @returns {string} The marker
+   */
+  githubMarker: function(key) {
+    return `<!-- jira-github-integration:${key} -->`;
+  },
+  
+  /**
+   * Builds the JIRA comment for a pull request
+   * 
+   * @param {Object} pr - A change set entry (`pullRequest`, `title`, `url`, `author`)
+   * @param {string} state - "open", "merged" or "closed"
+   * @returns {string} The comment text
+   */
+  jiraText: function(pr, state) {
+    return [
+      `Pull request ${pr.pullRequest}: ${pr.title}`,
+      `Author: ${pr.author || "unknown"} · State: ${state}`,
+      this.jiraMarker(pr.url)
+    ].join("\n");
+  },
+  
+  /**
+   * Builds the GitHub comment for a ticket
+   * 
+   * @param {string} key - The ticket key
+   * @param {Object} [ticket] - The fetched ticket, for its summary
+   * @returns {string} The Markdown comment body
+   */
+  githubText: function(key, ticket) {
+    const summary = ticket && ticket.fields && ticket.fields.summary ? `: ${ticket.fields.summary}` : "";
+    return `**[${key}](${JIRA.getTicketUrl(key)})**${summary}\n\n${this.githubMarker(key)}`;
+  },
+  
+  /**
+   * Posts or updates the comments for a run's changes: both sides for new
+   * links, and the JIRA side for pull requests that were merged or closed.
+   * Failures are recorded, not thrown.
+   * 
+   * @param {Object} data - The combined data from main, for ticket summaries
+   * @param {Object} changes - The change set from Changes.detect
+   * @param {boolean} [dryRun] - Only report what would be posted
+   * @returns {Promise<Array<Object>>} One entry per comment with `target` ("jira", "github" or "gitlab"),
+   *   `ticket`, `pullRequest`, `result` ("created", "updated", "unchanged", "dry-run" or "failed") and `reason`
+   */
+  sync: async function(data, changes, dryRun) {
+    const results = [];
+    
+    if (!CONFIG.comments.enabled || !changes) {
+      return results;
+    }
+    
+    const ticketsByKey = {};
+    data.jiraTickets.forEach(ticket => {
+      ticketsByKey[ticket.key] = ticket;
+    });
+    
+    const post = async (target, key, pr, callback) => {
+      const entry = { target: target, ticket: key, pullRequest: pr.pullRequest, result: "dry-run", reason: "" };
+      
+      try {
+        if (!dryRun) {
+          entry.result = (await callback()).result;
+        }
+      } catch (error) {
+        entry.result = "failed";
+        entry.reason = error.message;
+      }
+      
+      const name = { jira: `JIRA ${key}`, github: `GitHub ${pr.pullRequest}`, gitlab: `GitLab ${pr.pullRequest}` }[target];
+      console.log(`${name} comment: ${entry.result}${entry.reason ? ` (${entry.reason})` : ""}`);
+      results.push(entry);
+    };
+    
+    for (const link of changes.github.linked || []) {
+      const parsed = Changes.parseId(link.pullRequest);
+      
+      await post("jira", link.ticket, link, () => JIRA.addComment(link.ticket, this.jiraText(link, "open"), this.jiraMarker(link.url)));
+      const body = this.githubText(link.ticket, ticketsByKey[link.ticket]);
+      
+      if (parsed.source === "gitlab") {
+        await post("gitlab", link.ticket, link, () => GitLab.addComment(parsed.repository, parsed.number, body, this.githubMarker(link.ticket)));
+      } else {
+        await post("github", link.ticket, link, () => GitHub.addComment(parsed.repository, parsed.number, body, this.githubMarker(link.ticket)));
+      }
+    }
+    
+    for (const state of ["merged", "closed"]) {
+      for (const pr of changes.github[state]) {
+        for (const key of pr.tickets || []) {
+          await post("jira", key, pr, () => JIRA.addComment(key, this.jiraText(pr, state), this.jiraMarker(pr.url)));
+        }
+      }
+    }
+    
+    return results;
+  }
+};
+
+/**
+ * Stale work and neglected review detection over the combined data
+ */
+const Findings = {
+  /**
+   * Severity levels, most urgent first
+   */
+  severities: ["critical", "warning", "info"],
+  
+  /**
+   * Flags pull requests open too long or waiting too long for review, tickets
+   * in progress without a pull request, and open tickets whose pull requests
+   * have all been merged
+   * 
+   * @param {Object} data - The combined data from main
+   * @param {Date} [now] - Reference time for ages
+   * @returns {Array<Object>} `{ severity, kind, item, url, title, message, days }` entries, most
+   *   severe and oldest first; empty when CONFIG.findings.enabled is off
+   */
+  analyze: function(data, now = new Date()) {
+    const settings = CONFIG.findings;
+    const findings = [];
+    
+    if (!settings.enabled) {
+      return findings;
+    }
+    
+    const daysSince = timestamp => timestamp ? Math.floor((now - Date.parse(timestamp)) / 86400000) : null;
+    const inProgress = settings.inProgressStatuses.map(status => status.toLowerCase());
+    
+    data.githubPullRequests.forEach(pr => {
+      const item = { item: `${pr.repository}#${pr.number}`, url: pr.html_url, title: pr.title };
+      const details = pr.details || {};
+      const draft = Boolean(pr.draft || details.draft);
+      const age = daysSince(pr.created_at);
+      
+      if (age !== null && age > settings.stalePullRequestDays) {
+        findings.push(Object.assign({
+          severity: draft ? "info" : age > settings.stalePullRequestDays * 2 ? "critical" : "warning",
+          kind: "stale-pull-request",
+          message: `${draft ? "Draft open" : "Open"} for ${age} days`,
+          days: age
+        }, item));
+      }
+      
+      // Review activity is only known when the pull request was enriched
+      if (pr.details && !draft && age !== null && age > settings.reviewNeglectedDays) {
+        const idle = details.lastReviewAt ? daysSince(details.lastReviewAt) : age;
+        
+        if (idle > settings.reviewNeglectedDays) {
+          findings.push(Object.assign({
+            severity: "warning",
+            kind: "review-neglected",
+            message: `No review activity for ${idle} days${details.requestedReviewers.length === 0 ? " and no reviewers requested" : ""}`,
+            days: idle
+          }, item));
+        }
+      }
+    });
+    
+    data.jiraTickets.forEach(ticket => {
+      const status = ticket.fields && ticket.fields.status ? ticket.fields.status : null;
+      const item = { item: ticket.key, url: JIRA.getTicketUrl(ticket.key), title: ticket.fields ? ticket.fields.summary : "" };
+      const open = (ticket.linkedPullRequests || []).length;
+      const merged = ticket.mergedPullRequests || [];
+      
+      if (!status) {
+        return;
+      }
+      
+      if (open === 0 && inProgress.indexOf(String(status.name).toLowerCase()) >= 0) {
+        findings.push(Object.assign({
+          severity: "warning",
+          kind: "in-progress-without-pr",
+          message: `${status.name} with no open pull request`,
+          days: null
+        }, item));
+      }
+      
+      if (open === 0 && merged.length > 0 && !this.isDone(status)) {
+        findings.push(Object.assign({
+          severity: "warning",
+          kind: "merged-but-open",
+          message: `Still ${status.name} though ${merged.map(pr => pr.pullRequest).join(", ")} ${merged.length > 1 ? "were" : "was"} merged`,
+          days: null
+        }, item));
+      }
+    });
+    
+    return findings.sort((a, b) =>
+      this.severities.indexOf(a.severity) - this.severities.indexOf(b.severity) || (b.days || 0) - (a.days || 0));
+  },
+  
+  /**
+   * Tells whether a ticket status means the work is finished
+   * 
+   * @param {Object} status - The ticket's status field
+   * @returns {boolean} True for the "done" status category, or a name in CONFIG.findings.doneStatuses
+   */
+  isDone: function(status) {
+    if (status.statusCategory && status.statusCategory.key) {
+      return status.statusCategory.key === "done";
+    }
+    
+    return CONFIG.findings.doneStatuses.some(name => name.toLowerCase() === String(status.name).toLowerCase());
+  },
+  
+  /**
+   * Describes findings for a notification
+   * 
+   * @param {Array<Object>} findings - Findings from analyze
+   * @param {number} [maxLines=3] - Upper limit on item lines
+   * @returns {Array<string>} A count line such as "Findings: 1 critical, 2 warning" and the
+   *   most severe items; empty when there are no findings
+   */
+  describe: function(findings, maxLines = 3) {
+    if (!findings || findings.length === 0) {
+      return [];
+    }
+    
+    const counts = this.severities
+      .map(severity => [severity, findings.filter(finding => finding.severity === severity).length])
+      .filter(entry => entry[1] > 0)
+      .map(entry => `${entry[1]} ${entry[0]}`);
+    const lines = findings.slice(0, maxLines).map(finding => `⚠ ${finding.item}: ${finding.message}`);
+    
+    if (findings.length > maxLines) {
+      lines.push(`⚠ ...and ${findings.length - maxLines} more`);
+    }
+    
+    return [`Findings: ${counts.join(", ")}`].concat(lines);
+  }
+};
+
+/**
+ * Filter and sort expressions over the combined results, e.g.
+ * `status != Done and assignee = me`, `pr.draft = false and age > 3d` or
+ * `sort: -updated`. Clauses apply to the item types that have their field
+ * (`jira.` and `pr.` prefixes restrict them to one) and are left out for the
+ * others.
+ */
+const Filter = {
+  /**
+   * Fields by item type. `type` decides how values are parsed and compared:
+   * string, number, boolean, date, duration, list or user (a list of
+   * identities that also matches `me`). `field` is the JIRA field it reads.
+   */
+  fields: {
+    jira: {
+      key: { type: "string", get: ticket => ticket.key },
+      project: { type: "string", get: ticket => ticket.key.split("-")[0] },
+      summary: { type: "string", field: "summary", get: ticket => ticket.fields.summary },
+      title: { type: "string", field: "summary", get: ticket => ticket.fields.summary },
+      status: { type: "string", field: "status", get: ticket => ticket.fields.status && ticket.fields.status.name },
+      type: { type: "string", field: "issuetype", get: ticket => ticket.fields.issuetype && ticket.fields.issuetype.name },
+      priority: { type: "string", field: "priority", get: ticket => ticket.fields.priority && ticket.fields.priority.name },
+      assignee: { type: "user", field: "assignee", get: ticket => Filter.jiraUser(ticket.fields.assignee) },
+      reporter: { type: "user", field: "reporter", get: ticket => Filter.jiraUser(ticket.fields.reporter) },
+      labels: { type: "list", field: "labels", get: ticket => ticket.fields.labels },
+      created: { type: "date", field: "created", get: ticket => ticket.fields.created },
+      updated: { type: "date", field: "updated", get: ticket => ticket.fields.updated },
+      age: { type: "duration", field: "created", get: ticket => ticket.fields.created },
+      idle: { type: "duration", field: "updated", get: ticket => ticket.fields.updated },
+      prs: { type: "number", get: ticket => (ticket.linkedPullRequests || []).length }
+    },
+    pr: {
+      number: { type: "number", get: pr => pr.number },
+      title: { type: "string", get: pr => pr.title },
+      repo: { type: "string", get: pr => pr.repository },
+      author: { type: "user", get: pr => pr.user ? [pr.user.login] : [] },
+      state: { type: "string", get: pr => Formatter.pullRequestStatus(pr).state },
+      draft: { type: "boolean", get: pr => Boolean(pr.draft || (pr.details && pr.details.draft)) },
+      created: { type: "date", get: pr => pr.created_at },
+      updated: { type: "date", get: pr => pr.updated_at },
+      age: { type: "duration", get: pr => pr.created_at },
+      idle: { type: "duration", get: pr => pr.updated_at },
+      review: { type: "string", get: pr => pr.details && pr.details.reviewDecision },
+      checks: { type: "string", get: pr => pr.details && pr.details.checks },
+      mergeable: { type: "string", get: pr => pr.details && pr.details.mergeable },
+      reviewers: { type: "user", get: pr => pr.details ? pr.details.requestedReviewers : [] },
+      assignee: { type: "user", get: pr => (pr.assignees || []).map(user => user.login) },
+      labels: { type: "list", get: pr => (pr.labels || []).map(label => label.name) },
+      tickets: { type: "list", get: pr => pr.linkedTickets || [] }
+    }
+  },
+  
+  /**
+   * Duration units in milliseconds
+   */
+  units: { m: 60000, h: 3600000, d: 86400000, w: 604800000 },
+  
+  /**
+   * Parses an expression: an optional filter of `field op value` clauses
+   * joined with `and`/`or`/`not` and parentheses, then an optional
+   * `sort: field, -field` clause. Operators are =, !=, >, >=, <, <=, ~
+   * (contains) and !~; values are words or quoted strings, plus `me` and
+   * `empty`.
+   * 
+   * @param {string} text - The expression
+   * @returns {Object|null} `{ text, where, sort, usesMe }`, or null for an empty expression
+   * @throws {FilterError} If the expression is invalid
+   */
+  parse: function(text) {
+    text = String(text || "").trim();
+    
+    if (!text) {
+      return null;
+    }
+    
+    const tokens = this.tokenize(text);
+    const parsed = { text: text, where: null, sort: [], usesMe: false };
+    let index = 0;
+    
+    const peek = () => tokens[index];
+    const isWord = (token, word) => token && token.type === "word" && token.value.toLowerCase() === word;
+    const isSort = token => isWord(token, "sort:");
+    const fail = (token, message) => {
+      throw this.error(text, token ? token.position : text.length, message);
+    };
+    
+    const parseClause = () => {
+      const field = tokens[index++];
+      
+      if (!field || field.type !== "word" || ["and", "or", "not"].indexOf(field.value.toLowerCase()) >= 0 || isSort(field)) {
+        fail(field, field ? `Expected a field name but found "${field.value}"` : "Expected a field name");
+      }
+      
+      const op = tokens[index++];
+      
+      if (!op || op.type !== "op") {
+        fail(op, `Expected an operator (=, !=, >, >=, <, <=, ~, !~) after "${field.value}"`);
+      }
+      
+      const value = tokens[index++];
+      
+      if (!value || (value.type !== "word" && value.type !== "string") || isSort(value)) {
+        fail(value, `Expected a value after "${op.value}"`);
+      }
+      
+      const clause = Object.assign({
+        type: "clause",
+        op: op.value,
+        value: value.value,
+        quoted: value.type === "string",
+        position: field.position,
+        valuePosition: value.position
+      }, this.splitField(field.value));
+      
+      this.check(text, clause);
+      parsed.usesMe = parsed.usesMe || (!clause.quoted && clause.value.toLowerCase() === "me");
+      return clause;
+    };
+    
+    const parseUnary = () => {
+      if (isWord(peek(), "not")) {
+        index++;
+        return { type: "not", expression: parseUnary() };
+      }
+      
+      if (peek() && peek().value === "(" && peek().type === "punct") {
+        const open = tokens[index++];
+        const expression = parseOr();
+        
+        if (!peek() || peek().value !== ")") {
+          fail(peek() || open, peek() ? `Expected ")" but found "${peek().value}"` : "Missing \")\" for the \"(\" here");
+        }
+        
+        index++;
+        return expression;
+      }
+      
+      return parseClause();
+    };
+    
+    const parseAnd = () => {
+      let expression = parseUnary();
+      
+      while (isWord(peek(), "and")) {
+        index++;
+        expression = { type: "and", left: expression, right: parseUnary() };
+      }
+      
+      return expression;
+    };
+    
+    const parseOr = () => {
+      let expression = parseAnd();
+      
+      while (isWord(peek(), "or")) {
+        index++;
+        expression = { type: "or", left: expression, right: parseAnd() };
+      }
+      
+      return expression;
+    };
+    
+    if (peek() && !isSort(peek())) {
+      parsed.where = parseOr();
+    }
+    
+    const parseSortKey = () => {
+      const key = tokens[index++];
+      
+      if (!key || key.type !== "word") {
+        fail(key, "Expected a field to sort by");
+      }
+      
+      const name = key.value.replace(/^[-+]/, "");
+      parsed.sort.push(Object.assign({ descending: key.value.charAt(0) === "-", position: key.position }, this.splitField(name)));
+    };
+    
+    if (isSort(peek())) {
+      index++;
+      parseSortKey();
+      
+      while (peek() && peek().type === "punct" && peek().value === ",") {
+        index++;
+        parseSortKey();
+      }
+    }
+    
+    if (peek()) {
+      fail(peek(), peek().value === ")" ? "Unexpected \")\"" : `Expected "and", "or" or "sort:" but found "${peek().value}"`);
+    }
+    
+    return parsed;
+  },
+  
+  /**
+   * Splits an expression into tokens
+   * 
+   * @param {string} text - The expression
+   * @returns {Array<Object>} `{ type, value, position }` with type "op", "punct", "string" or "word"
+   * @throws {FilterError} On an unterminated string or a stray character
+   */
+  tokenize: function(text) {
+    const pattern = /\s+|(!=|>=|<=|!~|=|>|<|~)|([(),])|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^\s()=!<>~,"']+)/y;
+    const tokens = [];
+    let position = 0;
+    
+    while (position < text.length) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(text);
+      
+      if (!match) {
+        const quote = text.charAt(position) === "\"" || text.charAt(position) === "'";
+        throw this.error(text, position, quote ? "Unterminated string" : `Unexpected "${text.charAt(position)}"`);
+      }
+      
+      if (match[1]) {
+        tokens.push({ type: "op", value: match[1], position: position });
+      } else if (match[2]) {
+        tokens.push({ type: "punct", value: match[2], position: position });
+      } else if (match[3] !== undefined || match[4] !== undefined) {
+        const value = match[3] !== undefined ? match[3] : match[4];
+        tokens.push({ type: "string", value: value.replace(/\\(.)/g, "$1"), position: position });
+      } else if (match[5]) {
+        tokens.push({ type: "word", value: match[5], position: position });
+      }
+      
+      position = pattern.lastIndex;
+    }
+    
+    return tokens;
+  },
+  
+  /**
+   * Splits a field reference into its scope prefix and name
+   * 
+   * @param {string} name - "status", "jira.status" or "pr.draft"
+   * @returns {Object} `{ scope, field }`; scope is "jira", "pr" or null for both
+   */
+  splitField: function(name) {
+    const match = name.match(/^(jira|pr)\.(.+)$/i);
+    return match ? { scope: match[1].toLowerCase(), field: match[2] } : { scope: null, field: name };
+  },
+  
+  /**
+   * Checks a clause's operator and value against the types of the built-in
+   * fields it names; other fields are checked once the data is known
+   * 
+   * @param {string} text - The expression, for error messages
+   * @param {Object} clause - The clause
+   * @throws {FilterError} If the operator or value does not fit the field
+   */
+  check: function(text, clause) {
+    ["jira", "pr"].forEach(scope => {
+      const definition = clause.scope && clause.scope !== scope ? null : this.fields[scope][clause.field];
+      
+      if (definition) {
+        this.convert(text, clause, definition.type);
+      }
+    });
+  },
+  
+  /**
+   * Converts a clause's value for a field type
+   * 
+   * @param {string} text - The expression, for error messages
+   * @param {Object} clause - The clause
+   * @param {string} type - The field type
+   * @returns {*} The value to compare with: a number (milliseconds for dates and durations),
+   *   boolean or string, or the `me`/`empty` markers
+   * @throws {FilterError} If the operator or value does not fit the type
+   */
+  convert: function(text, clause, type) {
+    const raw = clause.value;
+    const word = clause.quoted ? "" : raw.toLowerCase();
+    const op = clause.op;
+    const ordering = [">", ">=", "<", "<="].indexOf(op) >= 0;
+    const fail = message => {
+      throw this.error(text, clause.valuePosition, message);
+    };
+    
+    if (word === "empty") {
+      if (op !== "=" && op !== "!=") {
+        fail(`Use = or != with empty, not ${op}`);
+      }
+      return { empty: true };
+    }
+    
+    if ((op === "~" || op === "!~") && ["string", "list", "user"].indexOf(type) < 0) {
+      fail(`${op} only applies to text and list fields; "${clause.field}" is a ${type}`);
+    }
+    
+    if (ordering && (type === "list" || type === "user" || type === "boolean")) {
+      fail(`${op} does not apply to "${clause.field}", which is a ${type}`);
+    }
+    
+    switch (type) {
+    case "number": {
+      const number = Number(raw);
+      if (raw.trim() === "" || !isFinite(number)) {
+        fail(`"${raw}" is not a number`);
+      }
+      return number;
+    }
+    case "boolean":
+      if (["true", "yes"].indexOf(raw.toLowerCase()) >= 0) {
+        return true;
+      }
+      if (["false", "no"].indexOf(raw.toLowerCase()) >= 0) {
+        return false;
+      }
+      return fail(`"${clause.field}" is true or false, not "${raw}"`);
+    case "duration": {
+      const match = raw.match(/^(\d+(?:\.\d+)?)([mhdw])$/i);
+      if (!match) {
+        fail(`"${raw}" is not a duration such as 30m, 4h, 3d or 2w`);
+      }
+      return Number(match[1]) * this.units[match[2].toLowerCase()];
+    }
+    case "date": {
+      const time = Date.parse(raw);
+      if (isNaN(time)) {
+        fail(/^\d+(\.\d+)?[mhdw]$/i.test(raw) ?
+          `Compare "${clause.field}" with a date such as 2024-05-01; use age or idle for durations like ${raw}` :
+          `"${raw}" is not a date such as 2024-05-01`);
+      }
+      return time;
+    }
+    default:
+      if (word === "me" && type !== "user") {
+        fail("me only applies to people fields such as assignee, author and reviewers");
+      }
+      return word === "me" ? { me: true } : raw;
+    }
+  },
+  
+  /**
+   * Filters and sorts the tickets and pull requests of the combined data
+   * 
+   * @param {Object} parsed - The result of parse
+   * @param {Object} data - The combined data from main
+   * @param {Date} [now] - Reference time for ages
+   * @returns {Promise<Object>} `{ jiraTickets, githubPullRequests }`, filtered and sorted
+   * @throws {FilterError} If a field is unknown or a JIRA field it needs was not fetched
+   */
+  apply: async function(parsed, data, now = new Date()) {
+    const valueKeys = (data.metadata && data.metadata.fields || []).map(field => field.key);
+    const lists = { jira: data.jiraTickets, pr: data.githubPullRequests };
+    
+    // Resolve every field up front so unknown or missing fields fail even on empty lists
+    const definitions = new Map();
+    const clauses = [];
+    const collect = node => {
+      if (!node) {
+        return;
+      }
+      
+      if (node.type === "clause") {
+        clauses.push(node);
+      }
+      
+      collect(node.left);
+      collect(node.right);
+      collect(node.expression);
+    };
+    collect(parsed.where);
+    
+    clauses.concat(parsed.sort).forEach(node => {
+      const resolved = ["jira", "pr"].map(scope => this.resolve(parsed.text, node, scope, valueKeys, lists[scope]));
+      definitions.set(node, { jira: resolved[0], pr: resolved[1] });
+      
+      if (!resolved[0] && !resolved[1] && !this.fields.jira[node.field] && !this.fields.pr[node.field]) {
+        const names = Object.keys(this.fields.jira).concat(Object.keys(this.fields.pr), valueKeys)
+          .filter((name, index, all) => all.indexOf(name) === index);
+        throw this.error(parsed.text, node.position, `Unknown field "${node.field}"; use one of ${names.join(", ")}`);
+      }
+    });
+    
+    // Only look `me` up for the item types a `me` clause applies to
+    const usesMe = scope => lists[scope].length > 0 &&
+      clauses.some(node => !node.quoted && node.value.toLowerCase() === "me" && definitions.get(node)[scope]);
+    const me = parsed.usesMe ? await this.identities({
+      jira: usesMe("jira"),
+      github: usesMe("pr") && lists.pr.some(pr => pr.source !== "gitlab"),
+      gitlab: usesMe("pr") && GitLab.isConfigured()
+    }) : { jira: [], pr: [] };
+    
+    const result = {};
+    
+    ["jira", "pr"].forEach(scope => {
+      const items = lists[scope].filter(item => this.evaluate(parsed, parsed.where, item, definitions, scope, me[scope], now) !== false);
+      result[scope === "jira" ? "jiraTickets" : "githubPullRequests"] = this.sort(parsed, items, definitions, scope, now);
+    });
+    
+    return result;
+  },
+  
+  /**
+   * Finds the field a clause or sort key refers to for an item type
+   * 
+   * @param {string} text - The expression, for error messages
+   * @param {Object} node - The clause or sort key
+   * @param {string} scope - "jira" or "pr"
+   * @param {Array<string>} valueKeys - Keys of the tickets' flattened `values`
+   * @param {Array<Object>} [items] - The items, to check that a JIRA field was fetched
+   * @returns {Object|null} The field definition, or null when it does not apply to the type
+   * @throws {FilterError} If a JIRA field the expression needs is not in jira.fields
+   */
+  resolve: function(text, node, scope, valueKeys, items) {
+    if (node.scope && node.scope !== scope) {
+      return null;
+    }
+    
+    if (scope === "jira" && valueKeys.indexOf(node.field) >= 0 && !this.fields.jira[node.field]) {
+      return { type: "auto", get: ticket => ticket.values ? ticket.values[node.field] : null };
+    }
+    
+    const definition = this.fields[scope][node.field] || null;
+    
+    if (definition && definition.field && items && items.length > 0 &&
+        items.every(item => !item.fields || !(definition.field in item.fields))) {
+      // Fields pull requests also have (e.g. age) just skip tickets unless asked for explicitly
+      if (!node.scope && this.fields.pr[node.field]) {
+        return null;
+      }
+      
+      throw this.error(text, node.position, `"${node.field}" needs the JIRA field "${definition.field}"; add it to jira.fields`);
+    }
+    
+    return definition;
+  },
+  
+  /**
+   * Evaluates a filter for one item. Clauses that do not apply to the item's
+   * type yield null, which `and`/`or` skip.
+   * 
+   * @param {Object} parsed - The result of parse
+   * @param {Object} node - The expression node to evaluate
+   * @param {Object} item - The ticket or pull request
+   * @param {Map} definitions - Field definitions by node and type, see resolve
+   * @param {string} scope - "jira" or "pr"
+   * @param {Array<string>} me - Identities matched by `me`
+   * @param {Date} now - Reference time for ages
+   * @returns {boolean|null} Whether the item matches, or null when no clause applies
+   */
+  evaluate: function(parsed, node, item, definitions, scope, me, now) {
+    if (!node) {
+      return null;
+    }
+    
+    if (node.type === "not") {
+      const value = this.evaluate(parsed, node.expression, item, definitions, scope, me, now);
+      return value === null ? null : !value;
+    }
+    
+    if (node.type === "and" || node.type === "or") {
+      const left = this.evaluate(parsed, node.left, item, definitions, scope, me, now);
+      const right = this.evaluate(parsed, node.right, item, definitions, scope, me, now);
+      
+      if (left === null || right === null) {
+        return left === null ? right : left;
+      }
+      
+      return node.type === "and" ? left && right : left || right;
+    }
+    
+    const definition = definitions.get(node)[scope];
+    
+    if (!definition) {
+      return null;
+    }
+    
+    const actual = this.value(definition, item, now);
+    let type = definition.type;
+    
+    if (type === "auto") {
+      type = Array.isArray(actual) ? "list" : typeof actual === "number" ? "number" : typeof actual === "boolean" ? "boolean" : "string";
+    }
+    
+    const expected = this.convert(parsed.text, node, type);
+    return this.compare(actual, node.op, expected, type, me);
+  },
+  
+  /**
+   * Reads a field from an item; dates become timestamps and durations the time since them
+   * 
+   * @param {Object} definition - The field definition
+   * @param {Object} item - The ticket or pull request
+   * @param {Date} now - Reference time for durations
+   * @returns {*} The value, or null when missing
+   */
+  value: function(definition, item, now) {
+    const value = definition.get(item);
+    
+    if (value === undefined || value === null || value === "") {
+      return null;
+    }
+    
+    if (definition.type === "date" || definition.type === "duration") {
+      const time = Date.parse(value);
+      return isNaN(time) ? null : definition.type === "date" ? time : now - time;
+    }
+    
+    return value;
+  },
+  
+  /**
+   * Compares a field value with a clause's value
+   * 
+   * @param {*} actual - The field value, see value
+   * @param {string} op - The operator
+   * @param {*} expected - The clause value, see convert
+   * @param {string} type - The field type
+   * @param {Array<string>} me - Identities matched by `me`
+   * @returns {boolean} Whether the clause holds
+   */
+  compare: function(actual, op, expected, type, me) {
+    const negated = op === "!=" || op === "!~";
+    
+    if (expected && expected.empty) {
+      const empty = actual === null || (Array.isArray(actual) && actual.length === 0);
+      return negated ? !empty : empty;
+    }
+    
+    const text = value => String(value).toLowerCase();
+    const matches = value => {
+      if (expected && expected.me) {
+        return me.some(identity => text(identity) === text(value));
+      }
+      
+      return op === "~" || op === "!~" ? text(value).indexOf(text(expected)) >= 0 : text(value) === text(expected);
+    };
+    
+    if (type === "list" || type === "user") {
+      const found = (actual || []).some(matches);
+      return negated ? !found : found;
+    }
+    
+    if (actual === null) {
+      return negated;
+    }
+    
+    if (op === "=" || op === "!=" || op === "~" || op === "!~") {
+      const found = type === "string" ? matches(actual) : actual === expected;
+      return negated ? !found : found;
+    }
+    
+    const left = type === "string" ? text(actual) : actual;
+    const right = type === "string" ? text(expected) : expected;
+    
+    switch (op) {
+    case ">":
+      return left > right;
+    case ">=":
+      return left >= right;
+    case "<":
+      return left < right;
+    default:
+      return left <= right;
+    }
+  },
+  
+  /**
+   * Sorts items by the sort keys that apply to their type; missing values go last
+   * 
+   * @param {Object} parsed - The result of parse
+   * @param {Array<Object>} items - The tickets or pull requests
+   * @param {Map} definitions - Field definitions by node and type, see resolve
+   * @param {string} scope - "jira" or "pr"
+   * @param {Date} now - Reference time for ages
+   * @returns {Array<Object>} A sorted copy
+   */
+  sort: function(parsed, items, definitions, scope, now) {
+    const keys = parsed.sort
+      .map(key => ({ key: key, definition: definitions.get(key)[scope] }))
+      .filter(entry => entry.definition);
+    
+    if (keys.length === 0) {
+      return items;
+    }
+    
+    const comparable = value => Array.isArray(value) ? value.join(", ") : value;
+    const rows = items.map((item, index) => ({
+      item: item,
+      index: index,
+      values: keys.map(entry => comparable(this.value(entry.definition, item, now)))
+    }));
+    
+    rows.sort((a, b) => {
+      for (let i = 0; i < keys.length; i++) {
+        const left = a.values[i];
+        const right = b.values[i];
+        
+        if (left === right) {
+          continue;
+        }
+        
+        if (left === null || right === null) {
+          return left === null ? 1 : -1;
+        }
+        
+        const order = typeof left === "number" && typeof right === "number" ? left - right :
+          String(left).localeCompare(String(right), undefined, { numeric: true, sensitivity: "base" });
+        
+        if (order !== 0) {
+          return keys[i].key.descending ? -order : order;
+        }
+      }
+      
+      return a.index - b.index;
+    });
+    
+    return rows.map(row => row.item);
+  },
+  
+  /**
+   * Identities of a JIRA user, any of which can be matched
+   * 
+   * @param {Object} user - The user object from a ticket field
+   * @returns {Array<string>} Display name, account ID, user name and email, when present
+   */
+  jiraUser: function(user) {
+    return user ? [user.displayName, user.accountId, user.name, user.emailAddress].filter(Boolean) : [];
+  },
+  
+  /**
+   * Looks up who `me` is in the services that need it. A failed lookup, such
+   * as one without a GitHub token, is logged and matches nobody there.
+   * 
+   * @param {Object} needed - `{ jira, github, gitlab }` flags for the services to ask
+   * @returns {Promise<Object>} `{ jira, pr }` lists of identities; `pr` holds the
+   *   GitHub and GitLab user names
+   */
+  identities: async function(needed) {
+    const lookup = async (service, wanted, find) => {
+      if (!wanted) {
+        return [];
+      }
+      
+      try {
+        return await find();
+      } catch (error) {
+        console.log(`Could not look up "me" in ${service}: ${error.message}`);
+        return [];
+      }
+    };
+    
+    const jira = await lookup("JIRA", needed.jira, async () => this.jiraUser(await JIRA.request("GET", "myself")));
+    const github = await lookup("GitHub", needed.github, async () => [(await GitHub.request("GET", "user")).login]);
+    const gitlab = await lookup("GitLab", needed.gitlab, async () => [(await GitLab.request("GET", "user")).username]);
+    
+    return { jira: jira, pr: github.concat(gitlab).filter(Boolean) };
+  },
+  
+  /**
+   * Builds a FilterError pointing at a position in the expression
+   * 
+   * @param {string} text - The expression
+   * @param {number} position - Offset of the problem
+   * @param {string} message - What is wrong
+   * @returns {FilterError} The error; the message shows the expression with a caret under the position
+   */
+  error: function(text, position, message) {
+    return new FilterError(`${message} (at column ${position + 1})\n  ${text}\n  ${" ".repeat(position)}^`, position);
+  }
+};
+
+/**
+ * Output formatting for the combined data
+ */
+const Formatter = {
+  /**
+   * File extensions used for each supported format
+   */
+  extensions: {
+    json: ".json",
+    markdown: ".md",
+    html: ".html"
+  },
+  
+  /**
+   * Renders the combined data in the requested format
+   * 
+   * @param {Object} data - The combined data from JIRA and GitHub
+   * @param {string} [format] - Output format (default: "json")
+   * @returns {string} The rendered output
+   */
+  render: function(data, format) {
+    switch (this.validateFormat(format)) {
+    case "markdown":
+      return this.toMarkdown(data);
+    case "html":
+      return this.toHtml(data);
+    default:
+      return JSON.stringify(data, null, 2);
+    }
+  },
+  
+  /**
+   * Checks that an output format is supported
+   * 
+   * @param {string} [format] - Output format (default: "json")
+   * @returns {string} The validated format
+   * @throws {Error} If the format is not supported
+   */
+  validateFormat: function(format) {
+    format = format || "json";
+    
+    if (!this.extensions[format]) {
+      throw new Error(`Unsupported output format "${format}". Use one of: ${Object.keys(this.extensions).join(", ")}`);
+    }
+    
+    return format;
+  },
+  
+  /**
+   * Replaces the extension of the output file path to match the format
+   * 
+   * @param {string} filePath - The configured output file path
+   * @param {string} [format] - Output format (default: "json")
+   * @returns {string} The file path with the matching extension
+   */
+  outputPath: function(filePath, format) {
+    const extension = this.extensions[format || "json"];
+    
+    if (!extension || filePath.slice(-extension.length) === extension) {
+      return filePath;
+    }
+    
+    return /\.[^./]+$/.test(filePath) ? filePath.replace(/\.[^./]+$/, extension) : filePath + extension;
+  },
+  
+  /**
+   * Renders a Markdown report with a section per source
+   * 
+   * @param {Object} data - The combined data from JIRA and GitHub
+   * @returns {string} The Markdown report
+   */
+  toMarkdown: function(data) {
+    const generated = data.metadata.generated;
+    const lines = [
+      "# JIRA and GitHub Report",
+      "",
+      `_Generated ${generated}_`,
+      ""
+    ];
+    
+    if (data.findings && data.findings.length > 0) {
+      lines.push(`## Findings (${data.findings.length})`, "");
+      lines.push("| Severity | Item | Finding |");
+      lines.push("| --- | --- | --- |");
+      data.findings.forEach(finding => {
+        lines.push(`| ${finding.severity} | [${finding.item}](${finding.url}) ${this.escapeCell(finding.title)} | ${this.escapeCell(finding.message)} |`);
+      });
+      lines.push("");
+    }
+    
+    lines.push(`## JIRA Tickets (${data.jiraTickets.length})`, "");
+    
+    if (data.jiraTickets.length > 0) {
+      const extra = this.extraFields(data);
+      lines.push(`| Key | Summary | Status | ${extra.map(field => `${this.escapeCell(field.name)} | `).join("")}Pull Requests |`);
+      lines.push(`| --- | --- | --- | ${extra.map(() => "--- | ").join("")}--- |`);
+      data.jiraTickets.forEach(ticket => {
+        const fields = ticket.fields || {};
+        const pullRequests = (ticket.linkedPullRequests || []).map(pr => `[#${pr.number}](${pr.url})`).join(", ");
+        const values = extra.map(field => `${this.escapeCell(this.fieldText(ticket, field))} | `).join("");
+        lines.push(`| [${ticket.key}](${JIRA.getTicketUrl(ticket.key)}) | ${this.escapeCell(fields.summary)} | ${this.escapeCell(fields.status && fields.status.name)} | ${values}${pullRequests} |`);
+      });
+    } else {
+      lines.push("No JIRA tickets found.");
+    }
+    
+    lines.push("", `## GitHub Pull Requests (${data.githubPullRequests.length})`, "");
+    
+    if (data.githubPullRequests.length > 0) {
+      lines.push("| PR | Title | Author | Age | State | Review | Checks | Tickets |");
+      lines.push("| --- | --- | --- | --- | --- | --- | --- | --- |");
+      data.githubPullRequests.forEach(pr => {
+        const label = pr.repository ? `${pr.repository}#${pr.number}` : `#${pr.number}`;
+        const tickets = (pr.linkedTickets || []).map(key => `[${key}](${JIRA.getTicketUrl(key)})`).join(", ");
+        const status = this.pullRequestStatus(pr);
+        lines.push(`| [${label}](${pr.html_url}) | ${this.escapeCell(pr.title)} | ${this.escapeCell(pr.user && pr.user.login)} | ${this.formatAge(pr.created_at, generated)} | ` +
+          `${[status.state, status.mergeable].filter(Boolean).join(", ")} | ${this.escapeCell(status.review)} | ${status.checks} | ${tickets} |`);
+      });
+    } else {
+      lines.push("No GitHub pull requests found.");
+    }
+    
+    return lines.join("\n") + "\n";
+  },
+  
+  /**
+   * Renders a self-contained HTML dashboard with sortable, filterable tables.
+   * All CSS and JavaScript are inlined so the file works offline.
+   * 
+   * @param {Object} data - The combined data from JIRA and GitHub
+   * @returns {string} The HTML document
+   */
+  toHtml: function(data) {
+    const generated = data.metadata.generated;
+    const esc = value => this.escapeHtml(value);
+    
+    const extra = this.extraFields(data);
+    const ticketRows = data.jiraTickets.map(ticket => {
+      const fields = ticket.fields || {};
+      const status = fields.status || {};
+      const category = status.statusCategory ? status.statusCategory.key : "";
+      const pullRequests = (ticket.linkedPullRequests || []).map(pr => `<a href="${esc(pr.url)}">#${esc(pr.number)}</a>`).join(", ");
+      
+      return `<tr><td data-sort="${esc(ticket.key)}"><a href="${esc(JIRA.getTicketUrl(ticket.key))}">${esc(ticket.key)}</a></td>` +
+        `<td>${esc(fields.summary)}</td>` +
+        `<td><span class="badge ${esc(this.badgeClass(category || status.name))}">${esc(status.name)}</span></td>` +
+        extra.map(field => `<td>${esc(this.fieldText(ticket, field))}</td>`).join("") +
+        `<td>${pullRequests}</td></tr>`;
+    });
+    
+    const badge = value => value ? `<span class="badge ${esc(this.badgeClass(value))}">${esc(value)}</span>` : "";
+    const prRows = data.githubPullRequests.map(pr => {
+      const label = pr.repository ? `${pr.repository}#${pr.number}` : `#${pr.number}`;
+      const status = this.pullRequestStatus(pr);
+      const tickets = (pr.linkedTickets || []).map(key => `<a href="${esc(JIRA.getTicketUrl(key))}">${esc(key)}</a>`).join(", ");
+      
+      return `<tr><td data-sort="${esc(label)}"><a href="${esc(pr.html_url)}">${esc(label)}</a></td>` +
+        `<td>${esc(pr.title)}</td>` +
+        `<td>${esc(pr.user && pr.user.login)}</td>` +
+        `<td>${badge(status.state)} ${badge(status.mergeable)}</td>` +
+        `<td data-sort="${esc(pr.created_at)}">${esc(this.formatAge(pr.created_at, generated))}</td>` +
+        `<td>${badge(status.decision)} ${esc(status.waitingOn)}</td>` +
+        `<td>${badge(status.checks)}</td>` +
+        `<td>${tickets}</td></tr>`;
+    });
+    
+    const findingRows = (data.findings || []).map(finding =>
+      `<tr><td data-sort="${this.severityRank(finding.severity)}">${badge(finding.severity)}</td>` +
+      `<td><a href="${esc(finding.url)}">${esc(finding.item)}</a> ${esc(finding.title)}</td>` +
+      `<td>${esc(finding.message)}</td></tr>`);
+    
+    const table = (id, title, headings, rows, empty) => [
+      `<section><h2>${esc(title)} (${rows.length})</h2>`,
+      `<input type="search" placeholder="Filter ${esc(title.toLowerCase())}..." data-filter="${id}">`,
+      rows.length > 0 ?
+        `<table id="${id}"><thead><tr>${headings.map(heading => `<th>${esc(heading)}</th>`).join("")}</tr></thead><tbody>\n${rows.join("\n")}\n</tbody></table>` :
+        `<p class="empty">${esc(empty)}</p>`,
+      "</section>"
+    ].join("\n");
+    
+    return [
+      "<!DOCTYPE html>",
+      "<html lang=\"en\">",
+      "<head>",
+      "<meta charset=\"utf-8\">",
+      "<title>JIRA and GitHub Dashboard</title>",
+      "<style>",
+      "body { font: 14px -apple-system, BlinkMacSystemFont, \"Helvetica Neue\", sans-serif; margin: 2em; color: #1d1d1f; }",
+      "table { border-collapse: collapse; width: 100%; margin-top: 0.5em; }",
+      "th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #e5e5e5; }",
+      "th { cursor: pointer; user-select: none; background: #f5f5f7; }",
+      "th.asc::after { content: \" \\25B2\"; } th.desc::after { content: \" \\25BC\"; }",
+      "input[type=search] { padding: 4px 8px; width: 20em; }",
+      ".badge { display: inline-block; padding: 1px 8px; border-radius: 10px; font-size: 12px; background: #e5e5ea; }",
+      ".badge.new, .badge.open { background: #dbeafe; } .badge.indeterminate, .badge.in-progress { background: #fef3c7; }",
+      ".badge.done, .badge.merged { background: #dcfce7; } .badge.draft, .badge.closed { background: #f3f4f6; color: #6b7280; }",
+      ".badge.approved, .badge.success { background: #dcfce7; } .badge.pending, .badge.expected, .badge.review-required { background: #fef3c7; }",
+      ".badge.failure, .badge.error, .badge.changes-requested, .badge.conflicts, .badge.critical { background: #fee2e2; }",
+      ".badge.warning { background: #ffedd5; } .badge.info { background: #e0f2fe; }",
+      ".meta, .empty { color: #6e6e73; }",
+      "</style>",
+      "</head>",
+      "<body>",
+      "<h1>JIRA and GitHub Dashboard</h1>",
+      `<p class="meta">Generated ${esc(generated)}</p>`,
+      findingRows.length > 0 ? table("findings", "Findings", ["Severity", "Item", "Finding"], findingRows, "") : "",
+      table("jira-tickets", "JIRA Tickets", ["Key", "Summary", "Status"].concat(extra.map(field => field.name), ["Pull Requests"]), ticketRows, "No JIRA tickets found."),
+      table("github-pull-requests", "GitHub Pull Requests", ["PR", "Title", "Author", "State", "Age", "Review", "Checks", "Tickets"], prRows, "No GitHub pull requests found."),
+      "<script>",
+      "document.querySelectorAll(\"input[data-filter]\").forEach(function(input) {",
+      "  input.addEventListener(\"input\", function() {",
+      "    var table = document.getElementById(input.getAttribute(\"data-filter\"));",
+      "    var needle = input.value.toLowerCase();",
+      "    if (!table) { return; }",
+      "    table.querySelectorAll(\"tbody tr\").forEach(function(row) {",
+      "      row.style.display = row.textContent.toLowerCase().indexOf(needle) >= 0 ? \"\" : \"none\";",
+      "    });",
+      "  });",
+      "});",
+      "document.querySelectorAll(\"th\").forEach(function(th) {",
+      "  th.addEventListener(\"click\", function() {",
+      "    var table = th.closest(\"table\");",
+      "    var index = Array.prototype.indexOf.call(th.parentNode.children, th);",
+      "    var ascending = !th.classList.contains(\"asc\");",
+      "    var value = function(row) { var cell = row.children[index]; return cell.getAttribute(\"data-sort\") || cell.textContent; };",
+      "    var rows = Array.prototype.slice.call(table.querySelectorAll(\"tbody tr\"));",
+      "    rows.sort(function(a, b) { return value(a).localeCompare(value(b), undefined, { numeric: true }) * (ascending ? 1 : -1); });",
+      "    rows.forEach(function(row) { table.tBodies[0].appendChild(row); });",
+      "    th.parentNode.querySelectorAll(\"th\").forEach(function(other) { other.classList.remove(\"asc\", \"desc\"); });",
+      "    th.classList.add(ascending ? \"asc\" : \"desc\");",
+      "  });",
+      "});",
+      "</script>",
+      "</body>",
+      "</html>",
+      ""
+    ].join("\n");
+  },
+  
+  /**
+   * Lists the configured JIRA fields shown besides the summary and status
+   * 
+   * @param {Object} data - The combined data; fields come from `metadata.fields`
+   * @returns {Array<Object>} `{ key, name }` per field
+   */
+  extraFields: function(data) {
+    return (data.metadata.fields || []).filter(field => field.key !== "summary" && field.key !== "status");
+  },
+  
+  /**
+   * Returns a ticket's flattened field value as text
+   * 
+   * @param {Object} ticket - The ticket with `values`
+   * @param {Object} field - The field from extraFields
+   * @returns {string} The value; lists are comma-separated
+   */
+  fieldText: function(ticket, field) {
+    const value = ticket.values ? ticket.values[field.key] : null;
+    
+    if (value === null || value === undefined) {
+      return "";
+    }
+    
+    return Array.isArray(value) ? value.join(", ") : String(value);
+  },
+  
+  /**
+   * Describes a pull request's state, review and checks for display, using
+   * `details` from GitHub.enrichPullRequests when present
+   * 
+   * @param {Object} pr - The pull request
+   * @returns {Object} `{ state, mergeable, decision, waitingOn, review, checks }` as display strings
+   *   (empty when unknown); `review` combines the decision and the requested reviewers
+   */
+  pullRequestStatus: function(pr) {
+    const details = pr.details || {};
+    const decision = details.reviewDecision ? details.reviewDecision.replace(/_/g, " ") : "";
+    const waitingOn = details.requestedReviewers && details.requestedReviewers.length > 0 ?
+      `waiting on ${details.requestedReviewers.join(", ")}` : "";
+    
+    return {
+      state: details.draft || pr.draft ? "draft" : (pr.state || "open"),
+      mergeable: details.mergeable === "conflicting" ? "conflicts" : "",
+      decision: decision,
+      waitingOn: waitingOn,
+      review: [decision, waitingOn].filter(Boolean).join(", "),
+      checks: details.checks || ""
+    };
+  },
+  
+  /**
+   * Summarizes the pull requests that need attention, e.g. for notifications
+   * 
+   * @param {Array<Object>} pullRequests - Pull requests with `details`
+   * @returns {string} Text such as "2 awaiting your review · 1 failing checks", or "" when none need attention
+   */
+  attentionSummary: function(pullRequests) {
+    const count = test => pullRequests.filter(pr => pr.details && test(pr.details)).length;
+    const parts = [
+      [count(details => details.awaitingMe), "awaiting your review"],
+      [count(details => details.checks === "failure" || details.checks === "error"), "failing checks"],
+      [count(details => details.reviewDecision === "changes_requested"), "with changes requested"],
+      [count(details => details.mergeable === "conflicting"), "with conflicts"]
+    ];
+    
+    return parts.filter(part => part[0] > 0).map(part => `${part[0]} ${part[1]}`).join(" · ");
+  },
+  
+  /**
+   * Orders severities for sorting the findings table
+   * 
+   * @param {string} severity - The finding severity
+   * @returns {number} 0 for the most severe
+   */
+  severityRank: function(severity) {
+    return Findings.severities.indexOf(severity);
+  },
+  
+  /**
+   * Converts a status or state name into a CSS badge class
+   * 
+   * @param {string} name - Status name, status category key or PR state
+   * @returns {string} A lower-case, hyphenated class name
+   */
+  badgeClass: function(name) {
+    return String(name || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  },
+  
+  /**
+   * Escapes text for safe inclusion in HTML content and attributes
+   * 
+   * @param {*} value - The value to escape
+   * @returns {string} The escaped text
+   */
+  escapeHtml: function(value) {
+    return String(value === undefined || value === null ? "" : value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  },
+  
+  /**
+   * Escapes a value for use inside a Markdown table cell
+   * 
+   * @param {*} value - The cell value
+   * @returns {string} The escaped text
+   */
+  escapeCell: function(value) {
+    return String(value === undefined || value === null ? "" : value)
+      .replace(/\|/g, "\\|")
+      .replace(/\r?\n/g, " ");
+  },
+  
+  /**
+   * Formats the time elapsed since a timestamp as a compact age such as "3d"
+   * 
+   * @param {string} timestamp - ISO 8601 timestamp
+   * @param {string} [now] - ISO 8601 reference time (default: current time)
+   * @returns {string} The age in days, hours or minutes
+   */
+  formatAge: function(timestamp, now) {
+    if (!timestamp) {
+      return "";
+    }
+    
+    const minutes = Math.max(0, Math.floor(((now ? new Date(now) : new Date()) - new Date(timestamp)) / 60000));
+    
+    if (minutes >= 1440) {
+      return `${Math.floor(minutes / 1440)}d`;
+    }
+    
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}h` : `${minutes}m`;
+  }
+};
+
+/**
+ * macOS system integration utilities
+ */
+const System = {
+  /**
+   * Opens the specified URL in the default web browser
+   * 
+   * @param {string} url - The URL to open
+   */
+  openUrl: function(url) {
+    app.openLocation(url);
+  },
+  
+  /**
+   * Runs a shell command and returns its output, under JXA or Node
+   * 
+   * @param {string} command - The command to run
+   * @returns {string} The output without its trailing newline
+   * @throws {Error} If the command exits with a non-zero status
+   */
+  shell: function(command) {
+    if (app) {
+      return app.doShellScript(command, { alteringLineEndings: false }).replace(/\n$/, "");
+    }
+    
+    return require("child_process")
+      .execSync(command, { encoding: "utf8", stdio: ["ignore", "pipe", "pipe"] })
+      .replace(/\n$/, "");
+  },
+  
+  /**
+   * Quotes a value for safe use as a single shell argument
+   * 
+   * @param {string} value - The value to quote
+   * @returns {string} The single-quoted value
+   */
+  shellQuote: function(value) {
+    return `'${String(value).replace(/'/g, "'\\''")}'`;
+  },
+  
+  /**
+   * Reads an environment variable
+   * 
+   * @param {string} name - The variable name
+   * @returns {string} The value, or an empty string if unset
+   */
+  getEnv: function(name) {
+    return app ? app.systemAttribute(name) || "" : process.env[name] || "";
+  },
+  
+  /**
+   * Reads the command-line arguments given to the script
+   * 
+   * @returns {Array<string>} The arguments after the script path under Node; none under JXA
+   */
+  getArguments: function() {
+    return app ? [] : process.argv.slice(2);
+  },
+  
+  /**
+   * Expands a leading tilde to the user's home folder
+   * 
+   * @param {string} filePath - The path to expand
+   * @returns {string} The expanded path
+   */
+  expandPath: function(filePath) {
+    const home = app ? app.pathTo("home folder").toString() : require("os").homedir();
+    return filePath.replace(/^~(?=$|\/)/, home);
+  },
+  
+  /**
+   * Reads a text file
+   * 
+   * @param {string} filePath - The file path (a leading tilde is expanded)
+   * @returns {string|null} The file contents, or null if it cannot be read
+   */
+  readFile: function(filePath) {
+    const expandedPath = this.expandPath(filePath);
+    
+    try {
+      return app ? this.shell(`cat ${this.shellQuote(expandedPath)}`) : require("fs").readFileSync(expandedPath, "utf8");
+    } catch (error) {
+      return null;
+    }
+  },
+  
+  /**
+   * Writes a text file, creating its folder if needed
+   * 
+   * @param {string} filePath - The file path (a leading tilde is expanded)
+   * @param {string} contents - The text to write
+   * @returns {string} The expanded path
+   */
+  writeFile: function(filePath, contents) {
+    const expandedPath = this.expandPath(filePath);
+    const dirPath = expandedPath.substring(0, expandedPath.lastIndexOf("/")) || ".";
+    
+    if (app) {
+      // Written through Foundation, since large contents exceed the shell's argument limit
+      $.NSFileManager.defaultManager.createDirectoryAtPathWithIntermediateDirectoriesAttributesError($(dirPath), true, $(), null);
+      
+      if (!$.NSString.alloc.initWithUTF8String(contents).writeToFileAtomicallyEncodingError($(expandedPath), true, $.NSUTF8StringEncoding, null)) {
+        throw new Error(`Unable to write ${expandedPath}`);
+      }
+    } else {
+      require("fs").mkdirSync(dirPath, { recursive: true });
+      require("fs").writeFileSync(expandedPath, contents);
+    }
+    
+    return expandedPath;
+  },
+  
+  /**
+   * Appends text to a file, creating the file and its folder if needed
+   * 
+   * @param {string} filePath - The file path (a leading tilde is expanded)
+   * @param {string} text - The text to append
+   * @returns {string} The expanded path
+   */
+  appendFile: function(filePath, text) {
+    const expandedPath = this.expandPath(filePath);
+    const dirPath = expandedPath.substring(0, expandedPath.lastIndexOf("/")) || ".";
+    
+    if (app) {
+      this.shell(`mkdir -p ${this.shellQuote(dirPath)} && printf %s ${this.shellQuote(text)} >> ${this.shellQuote(expandedPath)}`);
+    } else {
+      require("fs").mkdirSync(dirPath, { recursive: true });
+      require("fs").appendFileSync(expandedPath, text);
+    }
+    
+    return expandedPath;
+  },
+  
+  /**
+   * Returns the permission bits of a file
+   * 
+   * @param {string} filePath - The file path (a leading tilde is expanded)
+   * @returns {number} The permission bits, e.g. 0o600
+   */
+  fileMode: function(filePath) {
+    const expandedPath = this.expandPath(filePath);
+    
+    if (app) {
+      return parseInt(this.shell(`stat -f %Lp ${this.shellQuote(expandedPath)}`), 8);
+    }
+    
+    return require("fs").statSync(expandedPath).mode & 0o777;
+  },
+  
+  /**
+   * Saves data to a file and opens it in the specified application
+   * 
+   * @param {string} data - The data to save
+   * @param {string} filePath - The file path to save the data
+   * @param {string} appName - The name of the application to open the file with
+   * @returns {string} The expanded file path
+   */
+  saveDataToFile: function(data, filePath, appName) {
+    // Expand the tilde in the file path if it exists
+    const expandedPath = this.expandPath(filePath);
+    
+    try {
+      // Creates the directory as needed, and avoids the shell's argument limit
+      this.writeFile(expandedPath, data);
+      
+      // Open the file with the specified application; under Node there is no app to open it with
+      if (app && appName) {
+        app.doShellScript(`open -a ${this.shellQuote(appName)} ${this.shellQuote(expandedPath)}`);
+      }
+      
+      return expandedPath;
+    } catch (error) {
+      console.error(`Error saving data to file: ${error.message}`);
+      throw error;
+    }
+  },
+  
+  /**
+   * Displays a notification using the macOS Notification Center
+   * 
+   * @param {string} title - The title of the notification
+   * @param {string} message - The message of the notification
+   * @param {string} [sound] - Optional sound name to play
+   */
+  displayNotification: function(title, message, sound) {
+    // Under Node, e.g. in watch mode, notifications go to the log
+    if (!app) {
+      console.log(`${title}: ${message}`);
+      return;
+    }
+    
+    const options = { 
+      withTitle: title 
+    };
+    
+    if (sound) {
+      options.soundName = sound;
+    }
+    
+    app.displayNotification(message, options);
+  },
+  
+  /**
+   * Lets the user pick entries from a list in a dialog (JXA only)
+   * 
+   * @param {Array<string>} labels - The entries, which must be unique
+   * @param {string} prompt - Text shown above the list
+   * @returns {Array<number>} Indexes of the chosen entries; empty when cancelled
+   */
+  chooseFromList: function(labels, prompt) {
+    const chosen = app.chooseFromList(labels, {
+      withPrompt: prompt,
+      multipleSelectionsAllowed: true,
+      emptySelectionAllowed: true
+    });
+    
+    return chosen === false ? [] : chosen.map(label => labels.indexOf(label));
+  },
+  
+  /**
+   * Asks a question on the terminal (Node only)
+   * 
+   * @param {string} question - The question
+   * @returns {Promise<string|null>} The answer, or null when input is not a terminal
+   */
+  prompt: function(question) {
+    if (!process.stdin.isTTY) {
+      return Promise.resolve(null);
+    }
+    
+    const readline = require("readline").createInterface({ input: process.stdin, output: process.stdout });
+    
+    return new Promise(resolve => readline.question(question, answer => {
+      readline.close();
+      resolve(answer);
+    }));
+  },
+  
+  /**
+   * Performs Spotlight indexing on the specified file path
+   * 
+   * @param {string} filePath - The file path to index
+   */
+  indexWithSpotlight: function(filePath) {
+    if (!app) {
+      return;
+    }
+    
+    app.doShellScript(`mdimport "${filePath}"`);
+  },
+  
+  /**
+   * Terminates the process with the given exit code
+   * 
+   * @param {number} code - The exit code, see EXIT_CODES
+   */
+  exit: function(code) {
+    if (app) {
+      ObjC.import("stdlib");
+      $.exit(code);
+    } else {
+      process.exit(code);
+    }
+  },
+  
+  /**
+   * Sets the exit code reported once the script finishes. Node keeps running
+   * until then; osascript reports 0 unless the script exits, so under JXA this
+   * exits right away and should only be called once the run is over.
+   * 
+   * @param {number} code - Exit code, one of EXIT_CODES
+   */
+  setExitCode: function(code) {
+    if (app) {
+      this.exit(code);
+    } else {
+      process.exitCode = code;
+    }
+  }
+};
+
+/**
+ * Config loader. Layers the config file (written by the `--configure` wizard),
+ * an optional named profile from that file and environment variables onto the
+ * built-in defaults in DEFAULT_CONFIG; `main(options)` takes precedence over all of them.
+ */
+const Config = {
+  /**
+   * Config file locations, tried in order; JIRA_GITHUB_CONFIG or
+   * `options.configFile` replace the list
+   */
+  files: ["~/.config/jira-github-integration/config.json", "~/.jira-github-config.json"],
+  fileEnvVar: "JIRA_GITHUB_CONFIG",
+  profileEnvVar: "JIRA_GITHUB_PROFILE",
+  
+  /**
+   * Environment variables overriding single settings, keyed by setting path
+   */
+  envVars: {
+    "jira.baseUrl": "JIRA_BASE_URL",
+    "jira.project": "JIRA_PROJECT",
+    "jira.status": "JIRA_STATUS",
+    "jira.jql": "JIRA_JQL",
+    "jira.auth.mode": "JIRA_AUTH_MODE",
+    "jira.auth.email": "JIRA_EMAIL",
+    "github.baseUrl": "GITHUB_API_URL",
+    "github.defaultUsername": "GITHUB_USERNAME",
+    "github.defaultRepo": "GITHUB_REPO",
+    "github.repositories": "GITHUB_REPOSITORIES",
+    "github.organizations": "GITHUB_ORGANIZATIONS",
+    "output.filePath": "JIRA_GITHUB_OUTPUT_FILE",
+    "output.format": "JIRA_GITHUB_FORMAT"
+  },
+  
+  /**
+   * Names the wizard writes that differ from the CONFIG keys
+   */
+  aliases: {
+    github: { username: "defaultUsername", repo: "defaultRepo" }
+  },
+  
+  /**
+   * Settings whose values are free-form maps rather than fixed keys
+   */
+  freeform: ["jira.queries"],
+  
+  /**
+   * Allowed values for enumerated settings
+   */
+  enums: {
+    "jira.auth.mode": ["auto", "bearer", "basic", "oauth"],
+    "http.backend": ["auto", "curl", "node"],
+    "github.api": ["rest", "graphql"],
+    "output.format": ["json", "markdown", "html"],
+    "output.open.mode": ["all", "none", "top", "changed", "choose"]
+  },
+  
+  /**
+   * The file and profile applied by the last load
+   */
+  loaded: null,
+  
+  /**
+   * Rebuilds CONFIG from a fresh copy of the defaults with the config file,
+   * the selected profile and environment variables applied, so settings
+   * removed since an earlier load (e.g. between watch runs) fall back to their
+   * defaults. Empty strings in the file or environment leave the default in place.
+   * CONFIG is only replaced once every layer is valid.
+   * 
+   * @param {Object} [options] - The options passed to main
+   * @param {string} [options.configFile] - Config file to read instead of the default locations
+   * @param {string} [options.profile] - Named profile to apply (default: JIRA_GITHUB_PROFILE or the file's `defaultProfile`)
+   * @returns {Object} The new CONFIG
+   * @throws {ConfigError} If the file cannot be parsed, the profile does not exist or a setting is invalid
+   */
+  load: function(options = {}) {
+    const file = this.readConfigFile(options.configFile || System.getEnv(this.fileEnvVar));
+    const data = file ? file.data : {};
+    const profile = options.profile || System.getEnv(this.profileEnvVar) || data.defaultProfile || "";
+    const layers = [];
+    
+    if (file) {
+      const base = Object.assign({}, data);
+      delete base.profiles;
+      delete base.defaultProfile;
+      layers.push({ source: file.path, settings: base });
+    }
+    
+    if (profile) {
+      const profiles = data.profiles || {};
+      
+      if (!Object.prototype.hasOwnProperty.call(profiles, profile)) {
+        const available = Object.keys(profiles);
+        throw new ConfigError(file ?
+          `Profile "${profile}" not found in ${file.path} (available: ${available.length > 0 ? available.join(", ") : "none"})` :
+          `Profile "${profile}" requested but no config file was found (looked in ${this.files.join(", ")})`);
+      }
+      
+      layers.push({ source: `${file.path} (profile "${profile}")`, settings: profiles[profile] });
+    }
+    
+    layers.push({ source: "environment", settings: this.fromEnv() });
+    
+    const merged = this.defaults();
+    
+    for (const layer of layers) {
+      const settings = this.normalize(layer.settings);
+      const errors = this.validate(settings, merged, "");
+      
+      if (errors.length > 0) {
+        throw new ConfigError(`Invalid configuration in ${layer.source}:\n- ${errors.join("\n- ")}`);
+      }
+      
+      this.merge(merged, settings);
+    }
+    
+    CONFIG = merged;
+    this.loaded = { file: file ? file.path : "", profile: profile };
+    return CONFIG;
+  },
+  
+  /**
+   * Returns a deep copy of the built-in defaults
+   * 
+   * @returns {Object} A copy of DEFAULT_CONFIG
+   */
+  defaults: function() {
+    return JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+  },
+  
+  /**
+   * Resets CONFIG to the built-in defaults, forgetting the last load
+   */
+  reset: function() {
+    CONFIG = this.defaults();
+    this.loaded = null;
+  },
+  
+  /**
+   * Reads and parses the first config file that exists
+   * 
+   * @param {string} [filePath] - Explicit path; it must exist when given
+   * @returns {Object|null} `{ path, data }`, or null when no default file exists
+   * @throws {ConfigError} If the file is missing (explicit path only) or is not a JSON object
+   */
+  readConfigFile: function(filePath) {
+    const candidates = filePath ? [filePath] : this.files;
+    
+    for (const candidate of candidates) {
+      const contents = System.readFile(candidate);
+      
+      // Missing and empty files carry no settings
+      if (contents === null || !contents.trim()) {
+        continue;
+      }
+      
+      let data;
+      
+      try {
+        data = JSON.parse(contents);
+      } catch (error) {
+        throw new ConfigError(`${candidate} is not valid JSON: ${error.message}`);
+      }
+      
+      if (!data || typeof data !== "object" || Array.isArray(data)) {
+        throw new ConfigError(`${candidate} must contain a JSON object`);
+      }
+      
+      return { path: candidate, data: data };
+    }
+    
+    if (filePath) {
+      throw new ConfigError(`Config file ${filePath} not found`);
+    }
+    
+    return null;
+  },
+  
+  /**
+   * Builds a settings object from the environment variables in `envVars`,
+   * converting values to the type of the default
+   * 
+   * @returns {Object} Nested settings, e.g. `{ jira: { project: "PROJ" } }`
+   */
+  fromEnv: function() {
+    const settings = {};
+    
+    Object.keys(this.envVars).forEach(path => {
+      const value = System.getEnv(this.envVars[path]).trim();
+      
+      if (!value) {
+        return;
+      }
+      
+      const keys = path.split(".");
+      const defaultValue = keys.reduce((node, key) => node[key], DEFAULT_CONFIG);
+      let target = settings;
+      
+      keys.slice(0, -1).forEach(key => {
+        target = target[key] = target[key] || {};
+      });
+      
+      if (Array.isArray(defaultValue)) {
+        target[keys[keys.length - 1]] = value.split(",").map(item => item.trim()).filter(Boolean);
+      } else if (typeof defaultValue === "number") {
+        // Non-numeric values stay strings so validation reports them
+        target[keys[keys.length - 1]] = isNaN(Number(value)) ? value : Number(value);
+      } else if (typeof defaultValue === "boolean") {
+        target[keys[keys.length - 1]] = /^(1|true|yes)$/i.test(value);
+      } else {
+        target[keys[keys.length - 1]] = value;
+      }
+    });
+    
+    return settings;
+  },
+  
+  /**
+   * Builds main options from command-line arguments, for running the script
+   * directly under Node: `--watch` and `--interval <minutes>`
+   * 
+   * @param {Array<string>} args - The arguments, see System.getArguments
+   * @returns {Object} Options for main, e.g. `{ watch: true, intervalMinutes: 5 }`
+   * @throws {ConfigError} If an argument is unknown or the interval is not a positive number
+   */
+  fromArgs: function(args) {
+    const options = {};
+    
+    for (let i = 0; i < args.length; i++) {
+      switch (args[i]) {
+      case "--watch":
+        options.watch = true;
+        break;
+      case "--interval": {
+        const minutes = Number(args[++i]);
+        
+        if (!(minutes > 0)) {
+          throw new ConfigError(`--interval needs a positive number of minutes, not "${args[i] || ""}"`);
+        }
+        options.intervalMinutes = minutes;
+        break;
+      }
+      default:
+        throw new ConfigError(`Unknown argument "${args[i]}"; use --watch and --interval <minutes>`);
+      }
+    }
+    
+    return options;
+  },
+  
+  /**
+   * Renames the wizard's keys to CONFIG keys
+   * 
+   * @param {Object} settings - Settings from one layer
+   * @returns {Object} A copy with aliases resolved
+   */
+  normalize: function(settings) {
+    const result = Object.assign({}, settings);
+    
+    Object.keys(this.aliases).forEach(section => {
+      if (!result[section] || typeof result[section] !== "object") {
+        return;
+      }
+      
+      const copy = Object.assign({}, result[section]);
+      
+      Object.keys(this.aliases[section]).forEach(alias => {
+        if (copy[alias] !== undefined) {
+          if (copy[this.aliases[section][alias]] === undefined) {
+            copy[this.aliases[section][alias]] = copy[alias];
+          }
+          delete copy[alias];
+        }
+      });
+      
+      result[section] = copy;
+    });
+    
+    return result;
+  },
+  
+  /**
+   * Checks settings against the shape of the defaults: known keys, matching
+   * types, allowed enum values, http(s) URLs and non-negative numbers
+   * 
+   * @param {Object} settings - Settings to check
+   * @param {Object} defaults - The matching part of CONFIG
+   * @param {string} prefix - Path of `settings`, e.g. "jira."
+   * @returns {Array<string>} One message per problem
+   */
+  validate: function(settings, defaults, prefix) {
+    const errors = [];
+    
+    if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+      return [`${prefix ? prefix.slice(0, -1) : "settings"} must be an object`];
+    }
+    
+    Object.keys(settings).forEach(key => {
+      const path = prefix + key;
+      const value = settings[key];
+      const defaultValue = defaults[key];
+      const expected = Array.isArray(defaultValue) ? "array" : typeof defaultValue;
+      const actual = Array.isArray(value) ? "array" : value === null ? "null" : typeof value;
+      
+      if (!Object.prototype.hasOwnProperty.call(defaults, key)) {
+        errors.push(`unknown setting "${path}"`);
+      } else if (value === "") {
+        return;
+      } else if (actual !== expected) {
+        errors.push(`"${path}" must be ${expected === "array" || expected === "object" ? "an" : "a"} ${expected}, got ${actual}`);
+      } else if (expected === "object" && !this.freeform.includes(path)) {
+        errors.push(...this.validate(value, defaultValue, `${path}.`));
+      } else if (this.enums[path] && !this.enums[path].includes(value)) {
+        errors.push(`"${path}" must be one of ${this.enums[path].join(", ")}, got "${value}"`);
+      } else if (expected === "number" && !(value >= 0 && isFinite(value))) {
+        errors.push(`"${path}" must be a non-negative number, got ${value}`);
+      } else if (/Url$/.test(key) && !/^https?:\/\/[^/]+/.test(value)) {
+        errors.push(`"${path}" must be an http(s) URL, got "${value}"`);
+      }
+    });
+    
+    return errors;
+  },
+  
+  /**
+   * Deep-merges validated settings into a target, skipping empty strings
+   * 
+   * @param {Object} target - The object to update (the config being built or a section)
+   * @param {Object} settings - Validated settings
+   */
+  merge: function(target, settings) {
+    Object.keys(settings).forEach(key => {
+      const value = settings[key];
+      
+      if (value === "") {
+        return;
+      }
+      
+      if (value && typeof value === "object" && !Array.isArray(value) && target[key] && typeof target[key] === "object" && !Array.isArray(target[key])) {
+        this.merge(target[key], value);
+      } else {
+        target[key] = value;
+      }
+    });
+  }
+};
+
+/**
+ * Watch mode: re-runs the integration on an interval and only notifies about
+ * changes, holding notifications back during quiet hours and past the hourly cap
+ */
+const Watcher = {
+  /**
+   * Set by SIGINT/SIGTERM (under Node) to end the loop after the current run
+   */
+  stopped: false,
+  
+  /**
+   * Times (ms) of notifications shown in the last hour
+   */
+  sent: [],
+  
+  /**
+   * Changes held back by quiet hours or the cap, shown with the next notification
+   */
+  pending: null,
+  
+  /**
+   * Runs the integration until stopped
+   * 
+   * @param {Object} options - The options passed to main
+   * @param {number} [options.intervalMinutes] - Minutes between runs (default: CONFIG.watch.intervalMinutes)
+   * @returns {Promise<Object|null>} A promise that resolves to the last run's data once stopped
+   * @throws {ConfigError} If the configuration is invalid; other failures are retried next interval
+   */
+  run: async function(options) {
+    const signals = typeof process !== "undefined" && process.on ? ["SIGINT", "SIGTERM"] : [];
+    const stop = signal => {
+      console.log(`Received ${signal}, stopping watch mode after the current run`);
+      this.stopped = true;
+    };
+    let last = null;
+    
+    this.stopped = false;
+    this.sent = [];
+    this.pending = null;
+    signals.forEach(signal => process.on(signal, stop));
+    
+    try {
+      while (!this.stopped) {
+        try {
+          last = await this.runOnce(Object.assign({}, options, { watch: false, watching: true }));
+        } catch (error) {
+          if (error instanceof ConfigError) {
+            throw error;
+          }
+          console.log(`Watch run failed, retrying next interval: ${error.message}`);
+        }
+        
+        const minutes = options.intervalMinutes || CONFIG.watch.intervalMinutes;
+        console.log(`Next check in ${minutes} minute(s)`);
+        await this.wait(minutes * 60);
+      }
+    } finally {
+      signals.forEach(signal => process.removeListener(signal, stop));
+    }
+    
+    console.log("Watch mode stopped");
+    return last;
+  },
+  
+  /**
+   * Runs the integration once; separate so tests can replace it
+   * 
+   * @param {Object} options - The options for main
+   * @returns {Promise<Object>} The combined data
+   */
+  runOnce: function(options) {
+    return main(options);
+  },
+  
+  /**
+   * Sleeps in short steps so a stop request ends the wait promptly
+   * 
+   * @param {number} seconds - Seconds to wait
+   * @returns {Promise<void>} Resolves when the time is up or the watcher was stopped
+   */
+  wait: async function(seconds) {
+    let remaining = seconds;
+    
+    while (remaining > 0 && !this.stopped) {
+      const step = Math.min(remaining, 1);
+      await HTTP.sleep(step);
+      remaining -= step;
+    }
+  },
+  
+  /**
+   * Checks whether a time falls within the configured quiet hours
+   * 
+   * @param {Date} date - The time to check
+   * @returns {boolean} True during quiet hours; ranges may wrap past midnight
+   * @throws {ConfigError} If a quiet hours value is not "HH:MM"
+   */
+  isQuietTime: function(date) {
+    const quietHours = CONFIG.watch.quietHours;
+    
+    if (!quietHours.start || !quietHours.end) {
+      return false;
+    }
+    
+    const toMinutes = value => {
+      const match = String(value).match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+      
+      if (!match) {
+        throw new ConfigError(`"watch.quietHours" times must be "HH:MM", got "${value}"`);
+      }
+      
+      return Number(match[1]) * 60 + Number(match[2]);
+    };
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    const now = date.getHours() * 60 + date.getMinutes();
+    
+    return start <= end ? now >= start && now < end : now >= start || now < end;
+  },
+  
   /**
-   * Retrieves a password from the macOS Keychain
+   * Checks quiet hours and the hourly cap, and records the notification if allowed
    * 
-   * @param {string} serviceName - The name of the Keychain item
-   * @returns {string} The retrieved password or empty string if not found
+   * @param {Date} [now] - The current time
+   * @returns {boolean} True if a notification may be shown now
    */
-  getPassword: function(serviceName) {
-    try {
-      const password = app.doShellScript(`security find-generic-password -s "${serviceName}" -w`);
-      return password.trim();
-    } catch (error) {
-      console.log(`Error retrieving password from Keychain: ${error.message}`);
-      this.showKeychainError(serviceName, "retrieve");
-      return "";
+  allowNotification: function(now = new Date()) {
+    if (this.isQuietTime(now)) {
+      return false;
+    }
+    
+    this.sent = this.sent.filter(time => now.getTime() - time < 3600000);
+    
+    if (CONFIG.watch.maxNotificationsPerHour > 0 && this.sent.length >= CONFIG.watch.maxNotificationsPerHour) {
+      return false;
     }
+    
+    this.sent.push(now.getTime());
+    return true;
   },
   
   /**
-   * Saves an API token to the macOS Keychain
+   * Shows a notification if allowed; otherwise it is dropped
    * 
-   * @param {string} serviceName - The name of the Keychain item
-   * @param {string} token - The API token to save
-   * @returns {boolean} True if successful, false otherwise
+   * @param {string} title - The notification title
+   * @param {string} message - The notification message
+   * @param {string} [sound] - The sound name
+   * @returns {boolean} True if the notification was shown
    */
-  saveToken: function(serviceName, token) {
-    try {
-      app.doShellScript(`security add-generic-password -s "${serviceName}" -a "${serviceName}" -w "${token}"`);
-      console.log(`Token saved to Keychain: ${serviceName}`);
-      return true;
-    } catch (error) {
-      console.log(`Error saving token to Keychain: ${error.message}`);
-      this.showKeychainError(serviceName, "save");
+  notify: function(title, message, sound) {
+    if (!this.allowNotification()) {
+      console.log(`Notification held back: ${title}`);
       return false;
     }
+    
+    System.displayNotification(title, message, sound);
+    return true;
   },
   
   /**
-   * Shows a dialog for Keychain errors with options to fix
+   * Notifies about a run's changes, together with any held back earlier.
+   * Runs without changes stay silent.
    * 
-   * @param {string} serviceName - The Keychain item name
-   * @param {string} operation - The operation that failed (retrieve|save)
+   * @param {Object} data - The combined data from main
+   * @param {Date} [now] - The current time
+   * @returns {boolean} True if a notification was shown
    */
-  showKeychainError: function(serviceName, operation) {
-    const action = operation === "retrieve" ? "retrieve from" : "save to";
-    const message = `Unable to ${action} Keychain for "${serviceName}". Would you like to enter the token manually?`;
+  notifyChanges: function(data, now = new Date()) {
+    const changes = this.pending ? Changes.merge(this.pending, data.changes) : data.changes;
     
-    const response = app.displayDialog(message, {
-      buttons: ["Cancel", "Enter Token"],
-      defaultButton: "Enter Token",
-      withIcon: "caution"
-    });
+    if (changes.baseline || Changes.count(changes) === 0) {
+      return false;
+    }
     
-    if (response.buttonReturned === "Enter Token") {
-      const tokenResponse = app.displayDialog(`Enter your ${serviceName}:`, {
-        defaultAnswer: "",
-        buttons: ["Cancel", "Save"],
-        defaultButton: "Save",
-        withIcon: "note",
-        hiddenAnswer: true
-      });
-      
-      if (tokenResponse.buttonReturned === "Save") {
-        this.saveToken(serviceName, tokenResponse.textReturned);
-      }
+    if (!this.allowNotification(now)) {
+      console.log(`Holding back ${Changes.count(changes)} change(s) until notifications are allowed`);
+      this.pending = changes;
+      return false;
     }
+    
+    this.pending = null;
+    showRichSummaryNotification(Object.assign({}, data, { changes: changes }));
+    return true;
   }
 };
 
 /**
- * JIRA integration utilities
+ * Starting work on a ticket: a branch named after the ticket on the
+ * configured repository, and optionally a draft pull request for it
  */
-const JIRA = {
+const Starter = {
   /**
-   * Retrieves a list of JIRA tickets using the API token from the Keychain
+   * Derives a branch name from a ticket, e.g. "PROJ-123-fix-login-page-alignment"
    * 
-   * @returns {Promise<Object>} A promise that resolves to an object containing JIRA tickets
+   * @param {Object} ticket - The ticket from JIRA.getTicket
+   * @param {number} [maxLength=CONFIG.start.maxBranchLength] - Upper limit on the name's length
+   * @returns {string} The branch name
    */
-  getTickets: function() {
-    const url = CONFIG.jira.baseUrl + "search";
-    const jql = encodeURIComponent(`project = ${CONFIG.jira.project} AND status = ${CONFIG.jira.status}`);
-    const fields = encodeURIComponent(CONFIG.jira.fields);
-    const token = Keychain.getPassword(CONFIG.jira.keychainItem);
+  branchName: function(ticket, maxLength = CONFIG.start.maxBranchLength) {
+    const words = String(ticket.fields.summary || "")
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+    let name = ticket.key;
     
-    if (!token) {
-      return Promise.reject(new Error("No JIRA API token found in Keychain"));
+    // Whole words only, so names are not cut mid-word
+    for (const word of words) {
+      if (name.length + 1 + word.length > maxLength) {
+        break;
+      }
+      name += `-${word}`;
     }
     
-    const curlCommand = `curl -s -X GET "${url}?jql=${jql}&fields=${fields}" -H "Authorization: Bearer ${token}" -H "Content-Type: application/json"`;
-    
-    return new Promise((resolve, reject) => {
-      try {
-        const response = app.doShellScript(curlCommand);
-        const jsonResponse = JSON.parse(response);
-        resolve(jsonResponse);
-      } catch (error) {
-        reject(new Error(`Error fetching JIRA tickets: ${error.message}`));
-      }
-    });
+    return name;
   },
   
   /**
-   * Extracts the JIRA instance URL from the API base URL
+   * Fills a template with a ticket's fields
    * 
-   * @returns {string} The JIRA instance URL
+   * @param {string} template - Text with {key}, {summary}, {status}, {type} and {url} placeholders
+   * @param {Object} ticket - The ticket from JIRA.getTicket
+   * @returns {string} The filled-in text
    */
-  getInstanceUrl: function() {
-    const match = CONFIG.jira.baseUrl.match(/^(https?:\/\/[^\/]+)/);
-    return match ? match[1] : CONFIG.jira.baseUrl;
+  render: function(template, ticket) {
+    const fields = ticket.fields || {};
+    const values = {
+      key: ticket.key,
+      summary: fields.summary || "",
+      status: fields.status ? fields.status.name : "",
+      type: fields.issuetype ? fields.issuetype.name : "",
+      url: JIRA.getTicketUrl(ticket.key)
+    };
+    
+    return template.replace(/\{(key|summary|status|type|url)\}/g, (match, name) => values[name]);
   },
   
   /**
-   * Creates a URL for a specific JIRA ticket
+   * Creates the branch (and draft pull request) for a ticket
    * 
-   * @param {string} ticketKey - The JIRA ticket key
-   * @returns {string} The URL to view the ticket
+   * @param {Object} options - Options passed to main
+   * @param {string} options.start - The ticket key
+   * @param {string} [options.repository] - "owner/repo" to use instead of CONFIG.start.repository
+   * @param {boolean} [options.draftPullRequest] - Open a draft pull request (default: CONFIG.start.draftPullRequest)
+   * @returns {Promise<Object>} `{ ticket, repository, branch, base, created, pullRequest }` where
+   *   `pullRequest` is `{ number, url, created }` or null
+   * @throws {ConfigError} If the key is not a ticket key
    */
-  getTicketUrl: function(ticketKey) {
-    return `${this.getInstanceUrl()}/browse/${ticketKey}`;
+  run: async function(options) {
+    const key = String(options.start).trim().toUpperCase();
+    
+    if (!/^[A-Z][A-Z0-9_]*-\d+$/.test(key)) {
+      throw new ConfigError(`"${options.start}" is not a JIRA ticket key such as PROJ-123`);
+    }
+    
+    const ticket = await JIRA.getTicket(key);
+    const repository = options.repository || CONFIG.start.repository || (await GitHub.resolveRepositories(options))[0];
+    const draft = options.draftPullRequest !== undefined ? options.draftPullRequest : CONFIG.start.draftPullRequest;
+    const branch = this.branchName(ticket);
+    
+    // GitHub refuses pull requests without commits, so a draft needs one to start from
+    const created = await GitHub.createBranch(repository, branch, {
+      commitMessage: draft ? `Start ${key}: ${ticket.fields.summary}` : ""
+    });
+    console.log(`${created.created ? "Created" : "Using existing"} branch ${branch} in ${repository} from ${created.base}`);
+    
+    let pullRequest = null;
+    
+    if (draft) {
+      const pr = await GitHub.createPullRequest(repository, {
+        title: this.render(CONFIG.start.pullRequestTitle, ticket),
+        body: this.render(CONFIG.start.pullRequestBody, ticket),
+        head: branch,
+        base: created.base,
+        draft: true
+      });
+      pullRequest = { number: pr.number, url: pr.html_url, created: pr.created };
+      console.log(`${pr.created ? "Opened draft" : "Found open"} pull request ${pr.html_url}`);
+    }
+    
+    console.log(`Check it out with: git fetch origin && git checkout ${branch}`);
+    
+    return {
+      ticket: key,
+      repository: repository,
+      branch: branch,
+      base: created.base,
+      created: created.created,
+      pullRequest: pullRequest
+    };
   }
 };
 
 /**
- * GitHub integration utilities
+ * Choosing which tickets and pull requests to open in the browser. The
+ * selection works on the combined data; only `choose` asks the user.
  */
-const GitHub = {
+const Opener = {
   /**
-   * Retrieves a list of GitHub pull requests using the API token from the Keychain
+   * Merges the configured open settings with command-line options
    * 
-   * @param {string} username - The GitHub username
-   * @param {string} repo - The GitHub repository name
-   * @returns {Promise<Array>} A promise that resolves to an array of GitHub pull requests
+   * @param {Object} [options] - Options from main
+   * @param {string} [options.open] - Mode, overriding CONFIG.output.open.mode
+   * @param {number} [options.openLimit] - Items of each kind for "top", overriding CONFIG.output.open.limit
+   * @returns {Object} `{ mode, limit, sort }` where `sort` is parsed (see Filter.parse)
+   * @throws {ConfigError} If the mode or limit is invalid
+   * @throws {FilterError} If the sort key is invalid
    */
-  getPullRequests: function(username, repo) {
-    username = username || CONFIG.github.defaultUsername;
-    repo = repo || CONFIG.github.defaultRepo;
-    
-    console.log(`Fetching GitHub pull requests for: ${username}/${repo}`);
+  settings: function(options = {}) {
+    const mode = options.open || CONFIG.output.open.mode;
+    const limit = options.openLimit !== undefined ? Number(options.openLimit) : CONFIG.output.open.limit;
     
-    const url = `${CONFIG.github.baseUrl}repos/${username}/${repo}/pulls?state=open`;
-    const token = Keychain.getPassword(CONFIG.github.keychainItem);
+    if (Config.enums["output.open.mode"].indexOf(mode) < 0) {
+      throw new ConfigError(`Unknown open mode "${mode}"; use one of ${Config.enums["output.open.mode"].join(", ")}`);
+    }
     
-    if (!token) {
-      return Promise.reject(new Error("No GitHub API token found in Keychain"));
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw new ConfigError(`The number of items to open must be a whole number, got "${options.openLimit !== undefined ? options.openLimit : limit}"`);
     }
     
-    const curlCommand = `curl -s -X GET "${url}" -H "Authorization: Bearer ${token}" -H "Accept: application/vnd.github.v3+json" -H "X-GitHub-Api-Version: 2022-11-28"`;
+    return {
+      mode: mode,
+      limit: limit,
+      sort: mode === "top" ? Filter.parse(`sort: ${CONFIG.output.open.sort}`) : null
+    };
+  },
+  
+  /**
+   * Lists the tickets and pull requests that can be opened, tickets first
+   * 
+   * @param {Object} data - The combined data from main
+   * @returns {Array<Object>} `{ id, label, url }` per item; `id` is the ticket key or Changes.pullRequestId
+   */
+  candidates: function(data) {
+    const tickets = data.jiraTickets.map(ticket => ({
+      id: ticket.key,
+      label: `${ticket.key}: ${ticket.fields && ticket.fields.summary || ""}`,
+      url: JIRA.getTicketUrl(ticket.key)
+    }));
+    const pullRequests = data.githubPullRequests.filter(pr => pr.html_url).map(pr => ({
+      id: Changes.pullRequestId(pr),
+      label: `${pr.repository}#${pr.number}: ${pr.title}`,
+      url: pr.html_url
+    }));
     
-    return new Promise((resolve, reject) => {
-      try {
-        const response = app.doShellScript(curlCommand);
-        const jsonResponse = JSON.parse(response);
-        resolve(jsonResponse);
-      } catch (error) {
-        reject(new Error(`Error fetching GitHub pull requests: ${error.message}`));
-      }
-    });
-  }
-};
-
-/**
- * macOS system integration utilities
- */
-const System = {
+    return tickets.concat(pullRequests);
+  },
+  
   /**
-   * Opens the specified URL in the default web browser
+   * Selects the items to open for a mode. For "choose" every item is
+   * returned so the user can pick from them.
    * 
-   * @param {string} url - The URL to open
+   * @param {Object} data - The combined data from main, with `changes`
+   * @param {Object} settings - The result of settings
+   * @returns {Promise<Array<Object>>} The selected candidates
    */
-  openUrl: function(url) {
-    app.openLocation(url);
+  select: async function(data, settings) {
+    switch (settings.mode) {
+    case "none":
+      return [];
+    case "top": {
+      const sorted = await Filter.apply(settings.sort, data);
+      
+      return this.candidates({
+        jiraTickets: sorted.jiraTickets.slice(0, settings.limit),
+        githubPullRequests: sorted.githubPullRequests.slice(0, settings.limit)
+      });
+    }
+    case "changed": {
+      const changed = this.changedIds(data.changes);
+      return this.candidates(data).filter(candidate => changed.indexOf(candidate.id) >= 0);
+    }
+    default:
+      return this.candidates(data);
+    }
   },
   
   /**
-   * Saves data to a file and opens it in the specified application
+   * Collects the tickets and pull requests that changed since the last run:
+   * added tickets, status changes, opened pull requests and new links. The
+   * first run has nothing to compare with, so nothing counts as changed.
    * 
-   * @param {string} data - The data to save
-   * @param {string} filePath - The file path to save the data
-   * @param {string} appName - The name of the application to open the file with
-   * @returns {string} The expanded file path
+   * @param {Object} [changes] - The result of Changes.detect
+   * @returns {Array<string>} Ticket keys and pull request ids (see Changes.pullRequestId)
    */
-  saveDataToFile: function(data, filePath, appName) {
-    // Expand the tilde in the file path if it exists
-    const expandedPath = filePath.replace(/^~/, app.pathTo("home folder"));
+  changedIds: function(changes) {
+    if (!changes || changes.baseline) {
+      return [];
+    }
     
-    try {
-      // Ensure the directory exists
-      const dirPath = expandedPath.substring(0, expandedPath.lastIndexOf("/"));
-      app.doShellScript(`mkdir -p "${dirPath}"`);
-      
-      // Write the data to the file
-      app.doShellScript(`echo '${data.replace(/'/g, "'\\''")}' > "${expandedPath}"`);
+    return changes.jira.added.concat(changes.jira.statusChanged).map(ticket => ticket.key)
+      .concat(changes.github.opened.concat(changes.github.linked).map(pr => pr.pullRequest))
+      .filter((id, index, all) => all.indexOf(id) === index);
+  },
+  
+  /**
+   * Parses a terminal answer such as "1, 3-5" or "all" into item indexes
+   * 
+   * @param {string} text - The answer; empty selects nothing
+   * @param {number} count - Number of items offered
+   * @returns {Array<number>|null} Zero-based indexes in the order given, or null if the answer is invalid
+   */
+  parseChoice: function(text, count) {
+    text = String(text || "").trim().toLowerCase();
+    
+    if (text === "all" || text === "a") {
+      return Array.from({ length: count }, (value, index) => index);
+    }
+    
+    const indexes = [];
+    
+    for (const part of text.split(/[\s,]+/).filter(Boolean)) {
+      const range = part.match(/^(\d+)(?:-(\d+))?$/);
+      const first = range ? Number(range[1]) : 0;
+      const last = range && range[2] ? Number(range[2]) : first;
       
-      // Open the file with the specified application
-      if (appName) {
-        app.doShellScript(`open -a "${appName}" "${expandedPath}"`);
+      if (!range || first < 1 || last > count || last < first) {
+        return null;
       }
       
-      return expandedPath;
-    } catch (error) {
-      console.error(`Error saving data to file: ${error.message}`);
-      throw error;
+      for (let number = first; number <= last; number++) {
+        if (indexes.indexOf(number - 1) < 0) {
+          indexes.push(number - 1);
+        }
+      }
     }
+    
+    return indexes;
   },
   
   /**
-   * Displays a notification using the macOS Notification Center
+   * Lets the user pick from the candidates: a list dialog under JXA, a
+   * numbered prompt under Node. Without a terminal nothing is picked.
    * 
-   * @param {string} title - The title of the notification
-   * @param {string} message - The message of the notification
-   * @param {string} [sound] - Optional sound name to play
+   * @param {Array<Object>} candidates - The candidates
+   * @returns {Promise<Array<Object>>} The chosen candidates
    */
-  displayNotification: function(title, message, sound) {
-    const options = { 
-      withTitle: title 
-    };
+  choose: async function(candidates) {
+    if (candidates.length === 0) {
+      return [];
+    }
     
-    if (sound) {
-      options.soundName = sound;
+    const prompt = "Open which tickets and pull requests?";
+    
+    if (app) {
+      return System.chooseFromList(candidates.map(candidate => candidate.label), prompt).map(index => candidates[index]);
     }
     
-    app.displayNotification(message, options);
+    candidates.forEach((candidate, index) => console.log(`${String(index + 1).padStart(3)}. ${candidate.label}`));
+    
+    for (;;) {
+      const answer = await System.prompt(`${prompt} (e.g. 1,3-5 or all; empty for none) `);
+      
+      if (answer === null) {
+        console.log("Not running in a terminal; opening nothing");
+        return [];
+      }
+      
+      const indexes = this.parseChoice(answer, candidates.length);
+      
+      if (indexes) {
+        return indexes.map(index => candidates[index]);
+      }
+      
+      console.log(`Enter numbers between 1 and ${candidates.length}, ranges such as 2-4, or "all"`);
+    }
   },
   
   /**
-   * Performs Spotlight indexing on the specified file path
+   * Selects, optionally lets the user choose, and opens items in the browser
    * 
-   * @param {string} filePath - The file path to index
+   * @param {Object} data - The combined data from main
+   * @param {Object} settings - The result of settings
+   * @returns {Promise<Array<Object>>} The opened candidates
    */
-  indexWithSpotlight: function(filePath) {
-    app.doShellScript(`mdimport "${filePath}"`);
+  run: async function(data, settings) {
+    let selected = await this.select(data, settings);
+    
+    if (settings.mode === "choose") {
+      selected = await this.choose(selected);
+    }
+    
+    selected.forEach(candidate => System.openUrl(candidate.url));
+    console.log(`Opened ${selected.length} of ${data.jiraTickets.length + data.githubPullRequests.length} items in the browser (${settings.mode})`);
+    
+    return selected;
   }
 };
 
@@ -284,125 +6013,322 @@ const System = {
  * @param {Object} options - Configuration options
  * @param {string} options.githubUsername - GitHub username
  * @param {string} options.githubRepo - GitHub repository name
+ * @param {Array<string>} options.githubRepos - List of "owner/repo" entries to fetch pull requests from
+ * @param {Array<string>} options.githubOrgs - Organizations whose repositories are all included
  * @param {boolean} options.openInBrowser - Whether to open items in browser
+ * @param {string} options.open - Which items to open: "all", "none", "top", "changed" or "choose" (default: CONFIG.output.open.mode)
+ * @param {number} options.openLimit - Tickets and pull requests to open each with "top" (default: CONFIG.output.open.limit)
  * @param {string} options.outputFilePath - Output file path
  * @param {string} options.outputApp - App to open the output file
+ * @param {string} options.format - Output format: "json", "markdown" or "html"
  * @param {boolean} options.summaryOnly - Only generate summary, don't open files
  * @param {boolean} options.richNotifications - Use rich notifications with clickable buttons
- * @returns {Promise<Object>} The combined data
+ * @param {number} options.maxResults - Upper limit on tickets and pull requests fetched per source
+ * @param {string} options.jql - Raw JQL to run instead of the configured project/status query
+ * @param {string|number} options.filterId - Saved JIRA filter to run instead of the configured query
+ * @param {Object} options.queries - Named queries (name to JQL string or `{ jql }`/`{ filterId }`) run together
+ * @param {string} options.profile - Named profile from the config file to apply
+ * @param {string} options.configFile - Config file to read instead of the default locations
+ * @param {boolean} options.fullRefresh - Ignore cached results and fetch everything
+ * @param {boolean} options.dryRun - Report the ticket transitions and comments that would be made without applying them or remembering the run's changes
+ * @param {boolean} options.watch - Keep running, re-fetching every `intervalMinutes` and only notifying about changes
+ * @param {number} options.intervalMinutes - Minutes between runs in watch mode (default: CONFIG.watch.intervalMinutes)
+ * @param {string} options.filter - Filter and sort expression for the output (see Filter.parse; default: CONFIG.output.filter)
+ * @param {string} options.start - Start work on this ticket instead: create its branch (see Starter.run)
+ * @param {boolean} options.draftPullRequest - With `start`, also open a draft pull request
+ * @returns {Promise<Object>} The combined data (in watch mode, from the last run once stopped; with `start`, the Starter.run result)
+ * @throws {Error} Rejects with the failure; `error.exitCode` holds the matching EXIT_CODES value
  */
 async function main(options = {}) {
-  // Merge options with defaults from CONFIG
-  const config = {
-    githubUsername: options.githubUsername || CONFIG.github.defaultUsername,
-    githubRepo: options.githubRepo || CONFIG.github.defaultRepo,
-    openInBrowser: options.openInBrowser !== undefined ? options.openInBrowser : CONFIG.output.openInBrowser,
-    outputFilePath: options.outputFilePath || CONFIG.output.filePath,
-    outputApp: options.outputApp || CONFIG.output.appName,
-    summaryOnly: options.summaryOnly || false,
-    richNotifications: options.richNotifications !== undefined ? options.richNotifications : true
-  };
+  if (options.watch) {
+    return Watcher.run(options);
+  }
+  
+  // Watch runs stay quiet apart from changes, within quiet hours and the hourly cap
+  const notify = options.watching ?
+    (title, message, sound) => Watcher.notify(title, message, sound) :
+    (title, message, sound) => System.displayNotification(title, message, sound);
   
   try {
+    // Apply the config file, profile and environment before reading CONFIG below
+    Config.load(options);
+    
+    if (options.start) {
+      const started = await Starter.run(options);
+      
+      System.displayNotification(
+        `Started ${started.ticket}`,
+        `Branch ${started.branch} in ${started.repository}` +
+          (started.pullRequest ? `\nDraft pull request #${started.pullRequest.number}` : ""),
+        "Glass"
+      );
+      
+      if (options.openInBrowser !== false) {
+        System.openUrl(started.pullRequest ? started.pullRequest.url :
+          `${GitHub.getWebUrl()}/${started.repository}/tree/${started.branch}`);
+      }
+      
+      return started;
+    }
+    
+    // Merge options with defaults from CONFIG
+    const config = {
+      openInBrowser: options.watching ? false : options.openInBrowser !== undefined ? options.openInBrowser : CONFIG.output.openInBrowser,
+      format: options.format || CONFIG.output.format,
+      outputFilePath: options.outputFilePath || CONFIG.output.filePath,
+      // HTML dashboards open in the default browser unless an app is given explicitly
+      outputApp: options.outputApp || ((options.format || CONFIG.output.format) === "html" ? "" : CONFIG.output.appName),
+      summaryOnly: options.summaryOnly || false,
+      richNotifications: options.richNotifications !== undefined ? options.richNotifications : true,
+      maxResults: options.maxResults
+    };
+    
+    // Fail fast on an unknown output format, bad rules or a bad filter before fetching anything
+    Formatter.validateFormat(config.format);
+    Automation.validateRules(CONFIG.automation.rules);
+    const filter = Filter.parse(options.filter !== undefined ? options.filter : CONFIG.output.filter);
+    const openSettings = config.openInBrowser ? Opener.settings(options) : null;
+    
+    // Load the previous run's results for incremental sync
+    Cache.open(config.outputFilePath, options.fullRefresh);
+    
     // Show starting notification
-    System.displayNotification(
-      "Data Retrieval Started", 
-      "Fetching data from JIRA and GitHub..."
-    );
+    if (!options.watching) {
+      System.displayNotification(
+        "Data Retrieval Started", 
+        "Fetching data from JIRA and GitHub..."
+      );
+    }
     
-    // Retrieve JIRA tickets
-    const jiraData = await JIRA.getTickets();
+    // Retrieve JIRA tickets for every configured query
+    const jiraData = await JIRA.getTicketsByQuery(JIRA.resolveQueries(options), config.maxResults);
     const ticketCount = jiraData.issues ? jiraData.issues.length : 0;
     console.log(`JIRA tickets retrieved: ${ticketCount}`);
     
-    // Open JIRA tickets in the browser if configured
-    if (config.openInBrowser && jiraData.issues && jiraData.issues.length > 0) {
-      jiraData.issues.forEach(ticket => {
-        const ticketUrl = JIRA.getTicketUrl(ticket.key);
-        System.openUrl(ticketUrl);
-      });
-    }
-    
-    // Retrieve GitHub pull requests
-    const githubData = await GitHub.getPullRequests(config.githubUsername, config.githubRepo);
+    // Retrieve GitHub pull requests across every configured repository
+    const githubRepos = await GitHub.resolveRepositories(options);
+    const githubData = await GitHub.getPullRequestsForRepos(githubRepos, config.maxResults);
     console.log(`GitHub pull requests retrieved: ${githubData.length}`);
     
-    // Open GitHub pull requests in the browser if configured
-    if (config.openInBrowser && githubData.length > 0) {
-      githubData.forEach(pr => {
-        if (pr.html_url) {
-          System.openUrl(pr.html_url);
-        }
-      });
+    // Reviewers, checks and mergeability come from GraphQL, a batch of pull requests at a time
+    await GitHub.enrichPullRequests(githubData);
+    
+    // GitLab merge requests join the pull requests in the same shape
+    if (GitLab.isConfigured()) {
+      const gitlabData = await GitLab.getMergeRequests(config.maxResults);
+      console.log(`GitLab merge requests retrieved: ${gitlabData.length}`);
+      githubData.push(...gitlabData);
+      githubData.truncated = githubData.truncated || gitlabData.truncated;
+    }
+    
+    // Warn when the remaining GitHub API quota is running low
+    const githubRateLimit = HTTP.getRateLimit(CONFIG.github.baseUrl);
+    if (githubRateLimit && githubRateLimit.remaining < CONFIG.github.rateLimitWarningThreshold) {
+      const resetTime = new Date(githubRateLimit.reset * 1000).toLocaleTimeString();
+      notify(
+        "GitHub Rate Limit Low",
+        `Only ${githubRateLimit.remaining} of ${githubRateLimit.limit} GitHub API requests left until ${resetTime}.`,
+        "Basso"
+      );
     }
     
+    // Everything was fetched, so the cache can serve the next run
+    Cache.save();
+    
+    // Cross-reference pull requests with the tickets they mention
+    const linked = Linker.link(jiraData.issues || [], githubData);
+    
     // Combine and format the data
     const combinedData = {
       metadata: {
         generated: new Date().toISOString(),
         jiraProject: CONFIG.jira.project,
-        githubRepo: `${config.githubUsername}/${config.githubRepo}`
+        githubRepo: githubRepos,
+        gitlabProjects: CONFIG.gitlab.projects.concat(CONFIG.gitlab.groups),
+        truncated: {
+          jira: Boolean(jiraData.truncated),
+          github: Boolean(githubData.truncated)
+        },
+        githubRateLimit: githubRateLimit,
+        cache: Cache.describe(),
+        // Friendly keys and display names of the ticket `values`
+        fields: (JIRA.fieldMap ? JIRA.fieldMap.fields : []).map(field => ({ key: field.key, name: field.name }))
       },
-      jiraTickets: jiraData.issues || [],
-      githubPullRequests: githubData
+      // Filled in by Findings.analyze; listed first so reports lead with it
+      findings: [],
+      jiraTickets: linked.jiraTickets,
+      jiraQueries: jiraData.queries,
+      githubPullRequests: linked.githubPullRequests,
+      unlinked: linked.unlinked
     };
     
-    // Convert to formatted JSON string
-    const dataString = JSON.stringify(combinedData, null, 2);
+    // Report what changed since the previous run
+    const snapshotPath = Changes.filePath(config.outputFilePath, Config.loaded && Config.loaded.profile);
+    const previousSnapshot = Changes.load(snapshotPath);
+    combinedData.changes = await Changes.detect(previousSnapshot, combinedData);
+    Changes.recordMerged(previousSnapshot, combinedData);
+    
+    // Move tickets whose pull requests were opened, merged or closed
+    const dryRun = options.dryRun !== undefined ? options.dryRun : CONFIG.automation.dryRun;
+    combinedData.transitions = await Automation.apply(combinedData.changes, dryRun);
+    
+    // Cross-post comments between newly linked tickets and pull requests
+    combinedData.comments = await Comments.sync(combinedData, combinedData.changes, dryRun);
+    
+    // Remember this run only once its changes were acted on, so dry runs and
+    // failed transitions or comments leave them for the next run to retry
+    const failed = combinedData.transitions.concat(combinedData.comments).filter(entry => entry.result === "failed");
+    
+    if (dryRun) {
+      console.log("Dry run; keeping the previous snapshot");
+    } else if (failed.length > 0) {
+      console.log(`${failed.length} transitions or comments failed; keeping the previous snapshot so they are retried`);
+    } else {
+      Changes.save(snapshotPath, Changes.snapshot(combinedData));
+    }
+    
+    // Narrow down and sort what is shown; changes and automation above saw everything
+    if (filter) {
+      const total = { jira: combinedData.jiraTickets.length, github: combinedData.githubPullRequests.length };
+      Object.assign(combinedData, await Filter.apply(filter, combinedData));
+      combinedData.metadata.filter = {
+        expression: filter.text,
+        matched: { jira: combinedData.jiraTickets.length, github: combinedData.githubPullRequests.length },
+        total: total
+      };
+      console.log(`Filter kept ${combinedData.jiraTickets.length} of ${total.jira} tickets and ${combinedData.githubPullRequests.length} of ${total.github} pull requests`);
+    }
+    
+    // Flag stale work and neglected reviews among what is shown
+    combinedData.findings = Findings.analyze(combinedData);
+    
+    // Open the selected JIRA tickets and GitHub pull requests in the browser if configured
+    if (openSettings) {
+      await Opener.run(combinedData, openSettings);
+    }
+    
+    // Render the data in the requested output format
+    const dataString = Formatter.render(combinedData, config.format);
+    const outputFilePath = Formatter.outputPath(config.outputFilePath, config.format);
     
     // Create rich notification with summary if enabled
-    if (config.richNotifications && !config.summaryOnly) {
+    if (options.watching) {
+      Watcher.notifyChanges(combinedData);
+    } else if (config.richNotifications && !config.summaryOnly) {
       showRichSummaryNotification(combinedData);
     }
     
     // If we're only generating summary, just save the data and return
     if (config.summaryOnly) {
       if (config.outputFilePath) {
-        System.saveDataToFile(dataString, config.outputFilePath);
+        System.saveDataToFile(dataString, outputFilePath);
       }
       return combinedData;
     }
     
-    // Save data to a file and open it
-    const savedFilePath = System.saveDataToFile(dataString, config.outputFilePath, config.outputApp);
+    // Save data to a file and open it (watch runs only refresh the file)
+    const savedFilePath = System.saveDataToFile(dataString, outputFilePath, options.watching ? "" : config.outputApp);
+    
+    if (config.format === "html" && !config.outputApp && !options.watching) {
+      System.openUrl(`file://${savedFilePath}`);
+    }
     
     // Index the output file with Spotlight if enabled
     if (CONFIG.output.enableSpotlightIndexing) {
       System.indexWithSpotlight(savedFilePath);
     }
     
-    // Display a success notification
-    System.displayNotification(
-      "Data Retrieval Complete", 
-      `Retrieved ${ticketCount} JIRA tickets and ${githubData.length} GitHub pull requests.`,
-      "Glass"
-    );
+    // Display a success notification, flagging any source the limit cut off
+    const ticketSummary = jiraData.truncated ?
+      `${ticketCount} JIRA tickets (limit reached, ${jiraData.total > ticketCount ? `${jiraData.total}` : "more"} available)` :
+      `${ticketCount} JIRA tickets`;
+    const prSummary = githubData.truncated ?
+      `${githubData.length} GitHub pull requests (limit reached, more available)` :
+      `${githubData.length} GitHub pull requests`;
+    
+    const filterSummary = combinedData.metadata.filter ?
+      ` Showing ${combinedData.metadata.filter.matched.jira} tickets and ${combinedData.metadata.filter.matched.github} pull requests matching the filter.` : "";
+    const moved = combinedData.transitions.filter(action => action.result === "applied" || action.result === "dry-run");
+    const movedSummary = moved.length === 0 ? "" :
+      combinedData.transitions.some(action => action.result === "dry-run") ?
+        ` ${moved.length} ticket(s) would be moved (dry run).` :
+        ` Moved ${moved.length} ticket(s).`;
+    
+    if (!options.watching) {
+      System.displayNotification(
+        "Data Retrieval Complete", 
+        `Retrieved ${ticketSummary} and ${prSummary}.${filterSummary}${movedSummary}`,
+        "Glass"
+      );
+    }
     
     return combinedData;
   } catch (error) {
     console.error("Error:", error.message);
     
-    // Display an error notification
-    System.displayNotification(
-      "Error", 
-      `Failed to retrieve data: ${error.message}`,
+    if (error instanceof IntegrationError) {
+      console.error(`Status: ${error.status || "n/a"}, URL: ${error.url || "n/a"}`);
+      if (error.snippet) {
+        console.error(`Response: ${error.snippet}`);
+      }
+    }
+    
+    // Display an error notification with a specific title and next step
+    notify(
+      error.title || "Error", 
+      `Failed to retrieve data: ${error.message}${error.hint ? `\n${error.hint}` : ""}`,
       "Basso"
     );
     
+    error.exitCode = error.exitCode || EXIT_CODES.failure;
     throw error;
   }
 }
 
 /**
- * Shows a rich notification with summary data and interactive buttons
+ * Shows a rich notification with what changed since the previous run, or a
+ * summary of the first items on the first run
  * 
  * @param {Object} data - The combined data from JIRA and GitHub
  */
 function showRichSummaryNotification(data) {
   const jiraCount = data.jiraTickets.length;
   const prCount = data.githubPullRequests.length;
+  const changes = data.changes;
+  
+  // Findings come first, most severe on top
+  const findingsLines = Findings.describe(data.findings);
+  const findingsText = findingsLines.length > 0 ? `${findingsLines.join("\n")}\n\n` : "";
+  
+  if (changes && !changes.baseline) {
+    const since = new Date(changes.since).toLocaleString();
+    
+    if (Changes.count(changes) === 0) {
+      System.displayNotification(
+        "No Changes",
+        `${findingsText}Nothing changed since ${since}.\n${jiraCount} JIRA tickets, ${prCount} GitHub PRs.`
+      );
+      return;
+    }
+    
+    const counts = (labels, source) => Object.keys(labels)
+      .filter(kind => source[kind].length > 0)
+      .map(kind => `${source[kind].length} ${labels[kind]}`)
+      .join(", ");
+    const jiraCounts = counts({ added: "new", statusChanged: "moved", removed: "gone" }, changes.jira);
+    const githubCounts = counts({ opened: "new", merged: "merged", closed: "closed" }, changes.github);
+    const header = [jiraCounts && `JIRA: ${jiraCounts}`, githubCounts && `GitHub: ${githubCounts}`].filter(Boolean).join(" · ");
+    const attention = Formatter.attentionSummary(data.githubPullRequests);
+    
+    System.displayNotification(
+      `What's New Since ${since}`,
+      `${findingsText}${header}\n${attention ? `PRs: ${attention}\n` : ""}${Changes.describe(changes).map(line => `• ${line}`).join("\n")}`,
+      "Glass"
+    );
+    return;
+  }
   
-  let summaryText = "";
+  let summaryText = findingsText;
   
   // Add JIRA ticket summary
   if (jiraCount > 0) {
@@ -417,11 +6343,17 @@ function showRichSummaryNotification(data) {
     summaryText += "No JIRA tickets found.\n";
   }
   
-  // Add GitHub PR summary
+  // Add GitHub PR summary, leading with the ones that need attention
   if (prCount > 0) {
+    const attention = Formatter.attentionSummary(data.githubPullRequests);
     summaryText += `\nGitHub PRs (${prCount}):\n`;
+    if (attention) {
+      summaryText += `${attention}\n`;
+    }
     data.githubPullRequests.slice(0, 3).forEach(pr => {
-      summaryText += `• #${pr.number}: ${pr.title}\n`;
+      const status = Formatter.pullRequestStatus(pr);
+      const notes = [status.checks === "failure" ? "checks failing" : "", status.decision, status.mergeable].filter(Boolean);
+      summaryText += `• #${pr.number}: ${pr.title}${notes.length > 0 ? ` (${notes.join(", ")})` : ""}\n`;
     });
     if (prCount > 3) {
       summaryText += `• ...and ${prCount - 3} more\n`;
@@ -441,19 +6373,60 @@ function showRichSummaryNotification(data) {
   // but if we could, we would add buttons to open all tickets/PRs or view the detailed JSON
 }
 
-// Run the main function when executed directly
-if (typeof module === 'undefined' || !module.parent) {
-  main();
+// Run the main function when executed directly. Callers that pass their own
+// options (such as jira-github-integration.sh) set JIRA_GITHUB_MANUAL_RUN first
+// and call main themselves, so only their run happens. main has already shown
+// the failure's notification by the time the exit code is set
+if (typeof JIRA_GITHUB_MANUAL_RUN === "undefined" && (typeof module === 'undefined' || !module.parent)) {
+  let directOptions = null;
+  
+  try {
+    directOptions = Config.fromArgs(System.getArguments());
+  } catch (error) {
+    console.error(error.message);
+    System.setExitCode(error.exitCode);
+  }
+  
+  if (directOptions) {
+    main(directOptions).catch(error => System.setExitCode(error.exitCode || EXIT_CODES.failure));
+  }
 }
 
 // Export the functions for testing and reuse
 if (typeof module !== 'undefined') {
   module.exports = {
+    EXIT_CODES,
+    IntegrationError,
+    AuthError,
+    NotFoundError,
+    NetworkError,
+    RateLimitError,
+    UnexpectedResponseError,
+    ConfigError,
+    FilterError,
+    HTTP,
     Keychain,
+    Credentials,
+    Cache,
+    Config,
     JIRA,
     GitHub,
+    GitLab,
+    Linker,
+    Changes,
+    Automation,
+    Comments,
+    Findings,
+    Filter,
+    Watcher,
+    Starter,
+    Opener,
+    Formatter,
     System,
     main,
-    CONFIG
+    // A getter, since Config.load replaces CONFIG
+    get CONFIG() {
+      return CONFIG;
+    }
   };
 }
\ No newline at end of file
@@ -8,12 +8,15 @@
  * @license MIT
  */
 
-// Import the required modules
-const app = Application.currentApplication();
-app.includeStandardAdditions = true;
+// Import the required modules (the suite can also run under Node, without JXA)
+const app = typeof Application !== "undefined" ? Application.currentApplication() : null;
+if (app) {
+  app.includeStandardAdditions = true;
+}
 
 // Import the main script for mocking
 const MAIN_SCRIPT_PATH = '../src/js/JIRAGitHubIntegration.js';
+const SHORTCUT_SCRIPT_PATH = "../JIRAGitHubIntegrationShortcut.js";
 
 // Mock data for testing
 const MOCK_DATA = {
@@ -105,6 +108,82 @@ const TestUtils = {
     };
   },
   
+  /**
+   * Loads the real integration modules without running `main`
+   * 
+   * @returns {Object} The module exports of the main script
+   */
+  loadModules: function() {
+    if (this.modules) {
+      return this.modules;
+    }
+    
+    if (typeof require === "function") {
+      this.modules = require(MAIN_SCRIPT_PATH);
+      return this.modules;
+    }
+    
+    // Under JXA, resolve the main script relative to this test file and
+    // evaluate it with a `module` shim so it exports instead of running
+    const args = ObjC.deepUnwrap($.NSProcessInfo.processInfo.arguments);
+    const testScript = args[args.length - 1];
+    const testDir = testScript.lastIndexOf("/") >= 0 ? testScript.substring(0, testScript.lastIndexOf("/")) : ".";
+    const source = app.doShellScript(`cat "${testDir}/${MAIN_SCRIPT_PATH}"`, { alteringLineEndings: false });
+    const moduleShim = { parent: this, exports: {} };
+    
+    new Function("module", source.replace(/^#!.*\n/, ""))(moduleShim);
+    this.modules = moduleShim.exports;
+    return this.modules;
+  },
+  
+  /**
+   * Loads the legacy Shortcut script without running its `main`, sharing the
+   * modules from loadModules so stubbing HTTP also covers its requests
+   * 
+   * @returns {Object} The module exports of the Shortcut script
+   */
+  loadShortcut: function() {
+    if (typeof require === "function") {
+      this.loadModules();
+      return require(SHORTCUT_SCRIPT_PATH);
+    }
+    
+    // Under JXA, hand the script the loaded modules through a `require` shim
+    const args = ObjC.deepUnwrap($.NSProcessInfo.processInfo.arguments);
+    const testScript = args[args.length - 1];
+    const testDir = testScript.lastIndexOf("/") >= 0 ? testScript.substring(0, testScript.lastIndexOf("/")) : ".";
+    const source = app.doShellScript(`cat "${testDir}/${SHORTCUT_SCRIPT_PATH}"`, { alteringLineEndings: false });
+    const moduleShim = { parent: this, exports: {} };
+    
+    new Function("module", "require", source.replace(/^#!.*\n/, ""))(moduleShim, () => this.loadModules());
+    return moduleShim.exports;
+  },
+  
+  /**
+   * Temporarily replaces methods on an object, restoring them after the callback
+   * 
+   * @param {Object} target - The object whose methods to replace
+   * @param {Object} overrides - Map of method name to replacement
+   * @param {Function} callback - Async function to run while overridden
+   * @returns {Promise<*>} The callback's result
+   */
+  withOverrides: async function(target, overrides, callback) {
+    const originals = {};
+    
+    Object.keys(overrides).forEach(key => {
+      originals[key] = target[key];
+      target[key] = overrides[key];
+    });
+    
+    try {
+      return await callback();
+    } finally {
+      Object.keys(originals).forEach(key => {
+        target[key] = originals[key];
+      });
+    }
+  },
+  
   /**
    * Writes test results to a file
    * 
@@ -186,6 +265,34 @@ const TestSuite = {
       results.tests.keychainTest = await this.testKeychain();
       results.tests.jiraTest = await this.testJiraIntegration();
       results.tests.githubTest = await this.testGithubIntegration();
+      results.tests.credentialsTest = await this.testCredentialChain();
+      results.tests.jiraAuthTest = await this.testJiraAuth();
+      results.tests.configTest = await this.testConfigLoader();
+      results.tests.httpTest = await this.testHttpTransport();
+      results.tests.retryTest = await this.testRetryAndRateLimits();
+      results.tests.errorModelTest = await this.testErrorModel();
+      results.tests.shortcutTest = await this.testShortcutRequests();
+      results.tests.paginationTest = await this.testPagination();
+      results.tests.incrementalSyncTest = await this.testIncrementalSync();
+      results.tests.incrementalFallbackTest = await this.testIncrementalSyncFallbacks();
+      results.tests.jqlQueriesTest = await this.testJqlQueries();
+      results.tests.multiRepoTest = await this.testMultipleRepositories();
+      results.tests.linkerTest = await this.testLinker();
+      results.tests.changesTest = await this.testChangeDetection();
+      results.tests.watchTest = await this.testWatchMode();
+      results.tests.automationTest = await this.testAutomation();
+      results.tests.commentsTest = await this.testCrossPostComments();
+      results.tests.pendingChangesTest = await this.testPendingChanges();
+      results.tests.startWorkTest = await this.testStartWork();
+      results.tests.pullRequestDetailsTest = await this.testPullRequestDetails();
+      results.tests.enterpriseTest = await this.testGitHubEnterprise();
+      results.tests.gitlabTest = await this.testGitLabMergeRequests();
+      results.tests.fieldMappingTest = await this.testFieldMapping();
+      results.tests.filterTest = await this.testFilterExpressions();
+      results.tests.findingsTest = await this.testFindings();
+      results.tests.openSelectionTest = await this.testOpenSelection();
+      results.tests.markdownTest = await this.testMarkdownReport();
+      results.tests.htmlTest = await this.testHtmlDashboard();
       results.tests.systemTest = await this.testSystemIntegration();
       results.tests.mainTest = await this.testMainFunction();
       
@@ -299,6 +406,2265 @@ const TestSuite = {
     }
   },
   
+  /**
+   * Tests the credential provider chain order and each provider
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testCredentialChain: async function() {
+    console.log("Testing credential chain...");
+    const modules = TestUtils.loadModules();
+    
+    try {
+      const jira = modules.CONFIG.jira;
+      const github = modules.CONFIG.github;
+      const files = {
+        "~/.netrc": "machine jira.example.com login me password netrc-token\ndefault login anon password default-token\n",
+        "~/tokens.json": JSON.stringify({ "GitHub API Token": "file-token" })
+      };
+      const system = {
+        getEnv: name => (name === "JIRA_API_TOKEN" ? "env-token" : ""),
+        readFile: path => (files[path] === undefined ? null : files[path]),
+        fileMode: () => 0o600,
+        shell: command => `command-token for ${command}`
+      };
+      const resolve = (providers, service, overrides) =>
+        TestUtils.withOverrides(modules.CONFIG.credentials, Object.assign({ providers, tokenFile: "~/tokens.json", netrcFile: "~/.netrc", command: "pass show {item}" }, overrides), () =>
+          TestUtils.withOverrides(modules.Credentials, { cache: {} }, () => modules.Credentials.getToken(service))
+        );
+      
+      const results = await TestUtils.withOverrides(modules.System, system, async () => ({
+        env: await resolve(["env", "netrc"], jira),
+        netrc: await resolve(["netrc", "env"], jira),
+        netrcDefault: await resolve(["netrc"], github),
+        file: await resolve(["env", "file"], github),
+        command: await resolve(["env", "command"], github),
+        quotedCommand: await resolve(["command"], { keychainItem: "Team's $(whoami) Token", baseUrl: github.baseUrl }, { command: "pass show {item} --host {host}" }),
+        insecureFile: await TestUtils.withOverrides(modules.System, { fileMode: () => 0o644 }, () => resolve(["file"], github)),
+        none: await resolve(["env"], github)
+      }));
+      
+      const success = results.env === "env-token" &&
+                     results.netrc === "netrc-token" &&
+                     results.netrcDefault === "default-token" &&
+                     results.file === "file-token" &&
+                     results.command === "command-token for pass show 'GitHub API Token'" &&
+                     results.quotedCommand === "command-token for pass show 'Team'\\''s $(whoami) Token' --host 'api.github.com'" &&
+                     results.insecureFile === "" &&
+                     results.none === "";
+      
+      return {
+        success,
+        message: success ? "Credential chain working correctly" : "Credential chain failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Tests JIRA auth modes (bearer, Cloud basic, OAuth refresh) and API v3
+   * token pagination
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testJiraAuth: async function() {
+    console.log("Testing JIRA auth modes...");
+    const modules = TestUtils.loadModules();
+    
+    try {
+      const jira = modules.CONFIG.jira;
+      const secrets = {
+        "JIRA API Token": "api-token",
+        "JIRA Email": "me@example.com",
+        "JIRA OAuth Client Secret": "client-secret",
+        "JIRA OAuth Refresh Token": "refresh-1"
+      };
+      const credentials = { cache: {}, getToken: service => secrets[service.keychainItem] || "" };
+      const withJira = (overrides, callback) =>
+        TestUtils.withOverrides(jira, overrides, () =>
+          TestUtils.withOverrides(modules.Credentials, credentials, () =>
+            TestUtils.withOverrides(modules.JIRA, { oauthSession: null }, callback)
+          )
+        );
+      const auth = mode => Object.assign({}, jira.auth, { mode });
+      
+      // Auto-detection from the base URL host
+      const modes = [
+        await withJira({ baseUrl: "https://jira.example.com/rest/api/2/" }, () => modules.JIRA.getAuthMode()),
+        await withJira({ baseUrl: "https://acme.atlassian.net/rest/api/3/" }, () => modules.JIRA.getAuthMode()),
+        await withJira({ baseUrl: "https://api.atlassian.com/ex/jira/cloud-id/rest/api/3/" }, () => modules.JIRA.getAuthMode())
+      ];
+      const basic = await withJira({ auth: auth("basic") }, () => modules.JIRA.getAuthorization());
+      
+      // API v3 search/jql pages by token instead of startAt/total
+      const requests = [];
+      const pages = [
+        { issues: MOCK_DATA.jira.issues.slice(0, 1), nextPageToken: "page-2", isLast: false },
+        { issues: MOCK_DATA.jira.issues.slice(1), isLast: true }
+      ];
+      const v3 = await withJira({ baseUrl: "https://acme.atlassian.net/rest/api/3/", auth: auth("auto") }, () =>
+        TestUtils.withOverrides(modules.HTTP, {
+          transport: request => {
+            requests.push(request);
+            return Promise.resolve({ status: 200, headers: {}, body: JSON.stringify(pages.shift()) });
+          }
+        }, () => modules.JIRA.getTickets(10, "project = PROJ"))
+      );
+      
+      // OAuth refreshes once, persists the rotated refresh token and reuses the access token
+      const saved = [];
+      const tokenRequests = [];
+      const oauth = Object.assign({}, jira.auth.oauth, { clientId: "client-id" });
+      const bearers = await withJira({ auth: Object.assign(auth("oauth"), { oauth }) }, () =>
+        TestUtils.withOverrides(modules.Keychain, { saveToken: (item, token) => saved.push([item, token]) }, () =>
+          TestUtils.withOverrides(modules.HTTP, {
+            transport: request => {
+              tokenRequests.push(JSON.parse(request.body));
+              return Promise.resolve({ status: 200, headers: {}, body: JSON.stringify({ access_token: "access-1", refresh_token: "refresh-2", expires_in: 3600 }) });
+            }
+          }, async () => [await modules.JIRA.getAuthorization(), await modules.JIRA.getAuthorization()])
+        )
+      );
+      
+      let missingEmail = null;
+      await withJira({ auth: Object.assign(auth("basic"), { emailKeychainItem: "Missing" }) }, () =>
+        modules.JIRA.getAuthorization().catch(error => { missingEmail = error; })
+      );
+      
+      const success = modes.join(",") === "bearer,basic,oauth" &&
+                     basic === "Basic bWVAZXhhbXBsZS5jb206YXBpLXRva2Vu" &&
+                     modules.HTTP.base64("é✓") === "w6ninJM=" &&
+                     v3.issues.length === 2 && !v3.truncated &&
+                     requests[0].url.indexOf("/rest/api/3/search/jql?") >= 0 &&
+                     requests[0].url.indexOf("startAt=0") >= 0 &&
+                     requests[1].url.indexOf("nextPageToken=page-2") >= 0 &&
+                     requests[1].headers.Authorization.indexOf("Basic ") === 0 &&
+                     bearers.join(",") === "Bearer access-1,Bearer access-1" &&
+                     tokenRequests.length === 1 &&
+                     tokenRequests[0].grant_type === "refresh_token" &&
+                     tokenRequests[0].refresh_token === "refresh-1" &&
+                     saved.length === 1 && saved[0][1] === "refresh-2" &&
+                     missingEmail instanceof modules.AuthError;
+      
+      return {
+        success,
+        message: success ? "JIRA auth modes working correctly" : "JIRA auth modes failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Tests layering of the config file, profiles and environment onto CONFIG,
+   * and schema validation errors
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testConfigLoader: async function() {
+    console.log("Testing config loader...");
+    const modules = TestUtils.loadModules();
+    
+    try {
+      const files = {
+        "~/.config/jira-github-integration/config.json": JSON.stringify({
+          jira: { baseUrl: "https://acme.atlassian.net/rest/api/3/", project: "BASE", status: "" },
+          github: { username: "wizard-user", repo: "wizard-repo" },
+          output: { filePath: "~/Documents/JIRA-GitHub-Data.json", appName: "TextEdit" },
+          defaultProfile: "work",
+          profiles: {
+            work: { jira: { project: "WORK" } },
+            oss: { jira: { project: "OSS" }, github: { organizations: ["acme-oss"] } }
+          }
+        }),
+        "~/bad.json": JSON.stringify({ jira: { pageSize: "fifty", bogus: 1 }, output: { format: "pdf" } }),
+        "~/broken.json": "{ jira: "
+      };
+      const env = { JIRA_STATUS: "In Progress", JIRA_GITHUB_PROFILE: "" };
+      const system = {
+        readFile: path => (files[path] === undefined ? null : files[path]),
+        getEnv: name => env[name] || ""
+      };
+      const load = options => TestUtils.withOverrides(modules.System, system, () => {
+        try {
+          return modules.Config.load(options);
+        } catch (error) {
+          return error;
+        }
+      });
+      
+      const defaultProfile = await load({});
+      const defaults = {
+        project: defaultProfile.jira.project,
+        status: defaultProfile.jira.status,
+        username: defaultProfile.github.defaultUsername,
+        loaded: modules.Config.loaded.profile
+      };
+      
+      env.JIRA_GITHUB_PROFILE = "oss";
+      const oss = await load({});
+      const ossProject = oss.jira.project;
+      const ossOrgs = oss.github.organizations.join(",");
+      env.JIRA_GITHUB_PROFILE = "";
+      
+      // Each load starts from the defaults, so the oss profile's organizations do not linger
+      const reloaded = await load({});
+      
+      const missingProfile = await load({ profile: "home" });
+      const invalid = await load({ configFile: "~/bad.json" });
+      const broken = await load({ configFile: "~/broken.json" });
+      const missingFile = await load({ configFile: "~/nowhere.json" });
+      
+      const success = defaults.project === "WORK" &&
+                     defaults.status === "In Progress" &&
+                     defaults.username === "wizard-user" &&
+                     defaults.loaded === "work" &&
+                     ossProject === "OSS" &&
+                     ossOrgs === "acme-oss" &&
+                     reloaded.jira.project === "WORK" && reloaded.github.organizations.length === 0 &&
+                     modules.CONFIG === reloaded &&
+                     missingProfile instanceof modules.ConfigError &&
+                     missingProfile.message.indexOf("available: work, oss") >= 0 &&
+                     invalid instanceof modules.ConfigError &&
+                     invalid.exitCode === modules.EXIT_CODES.config &&
+                     invalid.message.indexOf("\"jira.pageSize\" must be a number, got string") >= 0 &&
+                     invalid.message.indexOf("unknown setting \"jira.bogus\"") >= 0 &&
+                     invalid.message.indexOf("\"output.format\" must be one of json, markdown, html") >= 0 &&
+                     broken instanceof modules.ConfigError &&
+                     missingFile instanceof modules.ConfigError;
+      
+      return {
+        success,
+        message: success ? "Config loader working correctly" : "Config loader failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      modules.Config.reset();
+    }
+  },
+  
+  /**
+   * Tests that API calls go through the injectable HTTP transport
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testHttpTransport: async function() {
+    console.log("Testing HTTP transport...");
+    const modules = TestUtils.loadModules();
+    
+    try {
+      // Any function can stand in for the transport
+      const requests = [];
+      const stubTransport = request => {
+        requests.push(request);
+        return Promise.resolve({ status: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify(MOCK_DATA.jira) });
+      };
+      
+      const jiraData = await TestUtils.withOverrides(modules.Credentials, { getToken: () => "mock-token" }, () =>
+        TestUtils.withOverrides(modules.HTTP, { transport: stubTransport }, () => modules.JIRA.getTickets(10, "project = PROJ"))
+      );
+      
+      // Raw curl output with an interim 100 Continue block
+      const raw = modules.HTTP.parseRawResponse("HTTP/1.1 100 Continue\r\n\r\nHTTP/2 404\r\ncontent-type: application/json\r\n\r\n{\"message\":\"Not Found\"}");
+      
+      let success = jiraData.issues.length === 2 &&
+                   requests[0].method === "GET" &&
+                   requests[0].headers.Authorization === "Bearer mock-token" &&
+                   requests[0].url.indexOf("search?jql=project%20%3D%20PROJ&fields=summary%2Cstatus&startAt=0&maxResults=10") >= 0 &&
+                   raw.status === 404 &&
+                   raw.headers["content-type"] === "application/json" &&
+                   raw.body === "{\"message\":\"Not Found\"}";
+      
+      // Under Node, exercise the real http backend against a local stub server
+      if (typeof require === "function") {
+        const server = require("http").createServer((req, res) => {
+          res.writeHead(200, { "Content-Type": "application/json", "Link": "<http://example.com/next>; rel=\"next\"" });
+          res.end(JSON.stringify({ method: req.method, url: req.url }));
+        });
+        
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        
+        try {
+          const response = await TestUtils.withOverrides(modules.HTTP, { transport: modules.HTTP.backends.node }, () =>
+            modules.HTTP.request({ method: "post", url: `http://127.0.0.1:${server.address().port}/echo`, query: { a: "b c" }, body: { x: 1 } })
+          );
+          
+          success = success &&
+                   response.ok &&
+                   response.json.method === "POST" &&
+                   response.json.url === "/echo?a=b%20c" &&
+                   modules.GitHub.parseLinkHeader(response.headers.link).next === "http://example.com/next";
+        } finally {
+          server.close();
+        }
+      }
+      
+      return {
+        success,
+        message: success ? "HTTP transport working correctly" : "HTTP transport failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Tests retries with backoff and rate-limit tracking in the HTTP client
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testRetryAndRateLimits: async function() {
+    console.log("Testing retries and rate limits...");
+    const modules = TestUtils.loadModules();
+    
+    try {
+      const waits = [];
+      const sleep = seconds => {
+        waits.push(seconds);
+        return Promise.resolve();
+      };
+      const queue = [
+        { status: 502, headers: {}, body: "<html>Bad Gateway</html>" },
+        { status: 403, headers: { "Retry-After": "7" }, body: "{\"message\":\"You have exceeded a secondary rate limit\"}" },
+        { status: 200, headers: { "X-RateLimit-Limit": "5000", "X-RateLimit-Remaining": "42", "X-RateLimit-Reset": "1700000000" }, body: "[]" }
+      ];
+      let posts = 0;
+      const transport = request => {
+        if (request.method === "POST") {
+          posts++;
+          return Promise.resolve({ status: 503, headers: {}, body: "" });
+        }
+        return Promise.resolve(queue.shift());
+      };
+      
+      const results = await TestUtils.withOverrides(modules.HTTP, { transport, sleep, rateLimits: {} }, async () => {
+        const get = await modules.HTTP.request({ url: "https://api.github.com/repos/me/app/pulls" });
+        const post = await modules.HTTP.request({ method: "POST", url: "https://api.github.com/graphql", body: {} });
+        const quota = modules.HTTP.getRateLimit("https://api.github.com/");
+        
+        // A reset far beyond the maximum delay fails fast with a clear message
+        queue.push({ status: 429, headers: { "Retry-After": "3600" }, body: "" });
+        let rateLimitError = "";
+        try {
+          await modules.HTTP.request({ url: "https://jira.example.com/rest/api/2/search" });
+        } catch (error) {
+          rateLimitError = error.message;
+        }
+        
+        return { get, post, quota, rateLimitError };
+      });
+      
+      const success = results.get.status === 200 &&
+                     waits.length === 2 &&
+                     waits[0] > 0 && waits[0] <= 1 &&
+                     waits[1] === 7 &&
+                     results.post.status === 503 &&
+                     posts === 1 &&
+                     results.quota.remaining === 42 &&
+                     results.rateLimitError.indexOf("Rate limit exceeded for jira.example.com") === 0;
+      
+      return {
+        success,
+        message: success ? "Retries and rate limits working correctly" : "Retries and rate limits failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Tests that failures surface as typed errors with redacted details
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testErrorModel: async function() {
+    console.log("Testing error model...");
+    const modules = TestUtils.loadModules();
+    
+    try {
+      const responses = {
+        "/unauthorized": { status: 401, headers: {}, body: "{\"message\":\"Bad credentials\"}" },
+        "/missing": { status: 404, headers: {}, body: "{\"message\":\"Not Found\"}" },
+        "/login": { status: 200, headers: { "Content-Type": "text/html" }, body: "<html><body>Log in to JIRA</body></html>" }
+      };
+      const transport = request => {
+        const path = Object.keys(responses).find(key => request.url.indexOf(key) >= 0);
+        return path ? Promise.resolve(responses[path]) : Promise.reject(new Error("Could not resolve host"));
+      };
+      const capture = async url => {
+        try {
+          modules.HTTP.expectJson(await modules.HTTP.request({ service: "GitHub", url: url }), "GitHub");
+        } catch (error) {
+          return error;
+        }
+        return null;
+      };
+      
+      const errors = await TestUtils.withOverrides(modules.HTTP, { transport, sleep: () => Promise.resolve() }, async () => ({
+        auth: await capture("https://api.github.com/unauthorized?access_token=secret123"),
+        notFound: await capture("https://api.github.com/missing"),
+        login: await capture("https://jira.example.com/login"),
+        network: await capture("https://offline.example.com/")
+      }));
+      const wrapped = modules.IntegrationError.withContext(errors.auth, "Error fetching GitHub pull requests");
+      
+      const success = errors.auth instanceof modules.AuthError &&
+                     errors.auth.status === 401 &&
+                     errors.auth.url === "https://api.github.com/unauthorized?access_token=REDACTED" &&
+                     errors.auth.exitCode === modules.EXIT_CODES.auth &&
+                     wrapped === errors.auth &&
+                     wrapped.message.indexOf("Error fetching GitHub pull requests: GitHub rejected the credentials") === 0 &&
+                     errors.notFound instanceof modules.NotFoundError &&
+                     errors.login instanceof modules.UnexpectedResponseError &&
+                     errors.login.snippet === "<html><body>Log in to JIRA</body></html>" &&
+                     errors.network instanceof modules.NetworkError &&
+                     errors.network.exitCode === modules.EXIT_CODES.network;
+      
+      return {
+        success,
+        message: success ? "Error model working correctly" : "Error model failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Tests that the legacy Shortcut script sends its requests through the HTTP
+   * client, so failures surface as the same typed errors
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testShortcutRequests: async function() {
+    console.log("Testing Shortcut script requests...");
+    const modules = TestUtils.loadModules();
+    const shortcut = TestUtils.loadShortcut();
+    
+    try {
+      const requests = [];
+      const transport = request => {
+        requests.push(request);
+        return Promise.resolve(/\/pulls/.test(request.url) ?
+          { status: 200, headers: {}, body: JSON.stringify(MOCK_DATA.github) } :
+          { status: 401, headers: {}, body: "{\"message\":\"Unauthorized\"}" });
+      };
+      const capture = promise => promise.then(() => null, error => error);
+      
+      const outcome = await TestUtils.withOverrides(modules.HTTP, { transport, sleep: () => Promise.resolve() }, async () => ({
+        pullRequests: await shortcut.getGithubPullRequests("me", "app"),
+        jiraError: await capture(shortcut.getJiraTickets())
+      }));
+      
+      const success = outcome.pullRequests.length === MOCK_DATA.github.length &&
+                     requests[0].url === "https://api.github.com/repos/me/app/pulls?state=open" &&
+                     outcome.jiraError instanceof modules.AuthError &&
+                     outcome.jiraError.status === 401 &&
+                     outcome.jiraError.message.indexOf("Error fetching JIRA tickets: ") === 0;
+      
+      return {
+        success,
+        message: success ? "Shortcut requests working correctly" : "Shortcut requests failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Tests that JIRA and GitHub fetchers follow pagination up to the limit
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testPagination: async function() {
+    console.log("Testing pagination...");
+    const modules = TestUtils.loadModules();
+    
+    try {
+      const credentials = { getToken: () => "mock-token" };
+      
+      // JIRA: 120 issues served 50 at a time, limited to 100
+      const jiraPages = [];
+      const jiraData = await TestUtils.withOverrides(modules.Credentials, credentials, () =>
+        TestUtils.withOverrides(modules.JIRA, {
+          fetchPage: function(query) {
+            jiraPages.push(query);
+            const count = Math.max(0, Math.min(query.maxResults, 120 - query.startAt));
+            const issues = Array.from({ length: count }, (_, i) => ({ key: `PROJ-${query.startAt + i + 1}` }));
+            return Promise.resolve({ startAt: query.startAt, total: 120, issues });
+          }
+        }, () => modules.JIRA.getTickets(100))
+      );
+      
+      // GitHub: three pages linked through the Link header
+      const pages = {
+        "page1": { headers: { link: "<page2>; rel=\"next\", <page3>; rel=\"last\"" }, body: [{ number: 1 }, { number: 2 }] },
+        "page2": { headers: { link: "<page3>; rel=\"next\"" }, body: [{ number: 3 }, { number: 4 }] },
+        "page3": { headers: {}, body: [{ number: 5 }] }
+      };
+      const githubData = await TestUtils.withOverrides(modules.Credentials, credentials, () =>
+        TestUtils.withOverrides(modules.GitHub, {
+          fetchPage: (url) => pages[url.indexOf("page") === 0 ? url : "page1"]
+        }, () => modules.GitHub.getPullRequests("testuser", "testrepo", 10))
+      );
+      
+      const success = jiraData.issues.length === 100 &&
+                     jiraData.truncated === true &&
+                     jiraPages.length === 2 &&
+                     githubData.length === 5 &&
+                     githubData.truncated === false;
+      
+      return {
+        success,
+        message: success ? "Pagination working correctly" : "Pagination failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Tests incremental sync: JIRA queries limited to recently updated issues,
+   * GitHub pages revalidated with ETags, and full refreshes
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testIncrementalSync: async function() {
+    console.log("Testing incremental sync...");
+    const modules = TestUtils.loadModules();
+    
+    try {
+      const files = {};
+      const system = {
+        readFile: path => (files[path] === undefined ? null : files[path]),
+        writeFile: (path, contents) => {
+          files[path] = contents;
+          return path;
+        }
+      };
+      const jqls = [];
+      const jiraPages = [];
+      const fetchJira = query => {
+        jqls.push(query.jql);
+        return Promise.resolve(jiraPages.shift() || { total: 0, issues: [] });
+      };
+      const githubRequests = [];
+      const transport = request => {
+        githubRequests.push(request);
+        return Promise.resolve(request.headers["If-None-Match"] === "\"v1\"" ?
+          { status: 304, headers: { ETag: "\"v1\"" }, body: "" } :
+          { status: 200, headers: { ETag: "\"v1\"" }, body: JSON.stringify(MOCK_DATA.github) });
+      };
+      const queries = [{ name: "default", jql: "project = PROJ ORDER BY key" }];
+      const url = "https://api.github.com/repos/me/app/pulls";
+      
+      const run = fullRefresh => TestUtils.withOverrides(modules.System, system, () =>
+        TestUtils.withOverrides(modules.JIRA, { fetchPage: fetchJira, getAuthorization: () => Promise.resolve("Bearer t") }, () =>
+          TestUtils.withOverrides(modules.HTTP, { transport }, async () => {
+            modules.Cache.open("~/Reports/data.json", fullRefresh);
+            const jira = await modules.JIRA.getTicketsByQuery(queries);
+            const github = await modules.GitHub.fetchAll(url, "t", 100);
+            const cache = modules.Cache.describe();
+            modules.Cache.save();
+            return { jira, github, cache };
+          })
+        )
+      );
+      
+      // First run fetches everything and writes the cache
+      const later = { key: "PROJ-4", fields: { summary: "Later ticket", status: { name: "Open" } } };
+      jiraPages.push({ total: 3, issues: MOCK_DATA.jira.issues.concat([later]) });
+      const first = await run(false);
+      const cachePath = "~/Reports/.jira-github-cache/cache.json";
+      
+      // Pretend the first run was ten minutes ago
+      const stored = JSON.parse(files[cachePath]);
+      stored.synced = new Date(Date.now() - 600000).toISOString();
+      files[cachePath] = JSON.stringify(stored);
+      
+      // PROJ-4 changed, PROJ-3 is new and PROJ-2 was edited out of the query
+      const updated = { key: "PROJ-4", fields: { summary: "Later ticket, reworded", status: { name: "Open" } } };
+      const added = { key: "PROJ-3", fields: { summary: "New ticket", status: { name: "Open" } } };
+      jiraPages.push({ total: 2, issues: [added, updated] });
+      jiraPages.push({ total: 1, issues: [MOCK_DATA.jira.issues[1]] });
+      jqls.length = 0;
+      githubRequests.length = 0;
+      const second = await run(false);
+      const secondJqls = jqls.slice();
+      const revalidated = githubRequests[0].headers["If-None-Match"];
+      
+      // A full refresh ignores the cache, and finds the same issues in the same order
+      jiraPages.push({ total: 3, issues: [MOCK_DATA.jira.issues[0], added, updated] });
+      jqls.length = 0;
+      const refreshed = await run(true);
+      
+      // Sorting locally needs the ORDER BY fields on the issues
+      const order = modules.JIRA.parseOrderBy(" ORDER BY \"Summary\" DESC, key");
+      const sorted = modules.JIRA.sortIssues([MOCK_DATA.jira.issues[0], added, updated], order);
+      
+      const success = first.cache.enabled && first.cache.ageSeconds === null &&
+                     sorted.map(issue => issue.key).join(",") === "PROJ-3,PROJ-4,PROJ-1" &&
+                     modules.JIRA.sortValue(updated, "updated") === undefined &&
+                     first.jira.issues.length === 3 &&
+                     /^\(project = PROJ\) AND updated >= "-1[12]m" ORDER BY key$/.test(secondJqls[0]) &&
+                     /^key in \(PROJ-1, PROJ-2\) AND updated >= "-1[12]m" AND NOT \(project = PROJ\)$/.test(secondJqls[1]) &&
+                     second.jira.issues.map(issue => issue.key).join(",") === refreshed.jira.issues.map(issue => issue.key).join(",") &&
+                     second.jira.issues[2].fields.summary === "Later ticket, reworded" &&
+                     revalidated === "\"v1\"" &&
+                     second.github.items.length === MOCK_DATA.github.length &&
+                     second.cache.ageSeconds >= 600 &&
+                     jqls[0] === "project = PROJ ORDER BY key" &&
+                     refreshed.cache.ageSeconds === null &&
+                     refreshed.jira.issues.length === 3;
+      
+      return {
+        success,
+        message: success ? "Incremental sync working correctly" : "Incremental sync failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      // Leave caching off for the other tests
+      Object.assign(modules.Cache, { data: null, next: null, lastSync: null });
+    }
+  },
+  
+  /**
+   * Tests that incremental JIRA results match a full fetch, falling back to
+   * one when a merge could not: no ORDER BY, a truncated cache, or more
+   * matches than the limit
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testIncrementalSyncFallbacks: async function() {
+    console.log("Testing incremental sync fallbacks...");
+    const modules = TestUtils.loadModules();
+    
+    try {
+      const issue = (key, summary) => ({ key, fields: { summary, status: { name: "Open" } } });
+      const cachedIssues = [issue("PROJ-2", "Second"), issue("PROJ-1", "First")];
+      const all = [issue("PROJ-3", "Third"), issue("PROJ-2", "Second, reworded"), issue("PROJ-1", "First")];
+      const changed = all.slice(0, 2);
+      const jqls = [];
+      
+      // The server: nothing was edited out, incremental queries see the changed
+      // issues and full ones all of them
+      const getTickets = (limit, jql) => {
+        jqls.push(jql);
+        const matches = /^key in/.test(jql) ? [] : (/updated >=/.test(jql) ? changed : all);
+        return Promise.resolve({ startAt: 0, maxResults: limit, total: matches.length, issues: matches.slice(0, limit), truncated: matches.length > limit });
+      };
+      const compare = (limit, jql, truncated) => TestUtils.withOverrides(modules.JIRA, { getTickets }, () =>
+        TestUtils.withOverrides(modules.Cache, {
+          lastSync: "2024-01-10T00:00:00.000Z",
+          minutesSinceSync: () => 10,
+          get: () => ({ issues: cachedIssues.slice(0, limit), truncated }),
+          set: () => {}
+        }, async () => {
+          jqls.length = 0;
+          const merged = await modules.JIRA.getTicketsCached(limit, jql);
+          const queries = jqls.slice();
+          const full = await getTickets(limit, jql);
+          const same = JSON.stringify([merged.issues, merged.total, merged.truncated]) === JSON.stringify([full.issues, full.total, full.truncated]);
+          return { same, queries };
+        })
+      );
+      
+      const orderOnly = await compare(10, "ORDER BY key DESC", false);
+      const unordered = await compare(10, "project = PROJ", false);
+      const truncated = await compare(1, "project = PROJ ORDER BY key DESC", true);
+      const overflow = await compare(2, "project = PROJ ORDER BY key DESC", false);
+      
+      const success = orderOnly.same && orderOnly.queries.join("|") === "updated >= \"-10m\" ORDER BY key DESC" &&
+                     unordered.same && unordered.queries.join("|") === "project = PROJ" &&
+                     truncated.same && truncated.queries.join("|") === "project = PROJ ORDER BY key DESC" &&
+                     overflow.same && overflow.queries.length === 3 && overflow.queries[2] === "project = PROJ ORDER BY key DESC";
+      
+      return {
+        success,
+        message: success ? "Incremental sync fallbacks working correctly" : "Incremental sync fallbacks failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Tests JQL resolution and merging of named query results
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testJqlQueries: async function() {
+    console.log("Testing JQL queries...");
+    const modules = TestUtils.loadModules();
+    
+    try {
+      const queries = modules.JIRA.resolveQueries({
+        queries: {
+          mine: "assignee = currentUser() AND statusCategory != Done",
+          sprint: { filterId: 10042 }
+        }
+      });
+      const single = modules.JIRA.resolveQueries({ filterId: "Team Board" });
+      
+      const results = {
+        "assignee = currentUser() AND statusCategory != Done": [{ key: "PROJ-1" }, { key: "PROJ-2" }],
+        "filter = 10042": [{ key: "PROJ-2" }, { key: "PROJ-3" }]
+      };
+      const merged = await TestUtils.withOverrides(modules.JIRA, {
+        getTickets: (maxResults, jql) => Promise.resolve({ total: results[jql].length, truncated: false, issues: results[jql] })
+      }, () => modules.JIRA.getTicketsByQuery(queries));
+      
+      const success = queries.length === 2 &&
+                     queries[1].jql === "filter = 10042" &&
+                     single[0].jql === "filter = \"Team Board\"" &&
+                     merged.issues.length === 3 &&
+                     merged.queries.mine.ticketKeys.join(",") === "PROJ-1,PROJ-2" &&
+                     merged.queries.sprint.ticketKeys.join(",") === "PROJ-2,PROJ-3";
+      
+      return {
+        success,
+        message: success ? "JQL queries working correctly" : "JQL queries failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Tests fetching pull requests across repositories and organizations
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testMultipleRepositories: async function() {
+    console.log("Testing multiple repositories...");
+    const modules = TestUtils.loadModules();
+    
+    try {
+      const responses = {
+        "orgs/acme/repos": [
+          { full_name: "acme/api", archived: false },
+          { full_name: "acme/legacy", archived: true },
+          { full_name: "acme/web", archived: false }
+        ],
+        "repos/me/tools/pulls": [{ number: 7 }],
+        "repos/acme/api/pulls": [{ number: 1 }, { number: 2 }],
+        "repos/acme/web/pulls": [{ number: 3 }]
+      };
+      const fetchPage = (url) => {
+        const key = Object.keys(responses).find(path => url.indexOf(path) >= 0);
+        return { headers: {}, body: responses[key] };
+      };
+      
+      const result = await TestUtils.withOverrides(modules.Credentials, { getToken: () => "mock-token" }, () =>
+        TestUtils.withOverrides(modules.GitHub, { fetchPage }, async () => {
+          const repos = await modules.GitHub.resolveRepositories({ githubRepos: ["me/tools", "acme/api"], githubOrgs: ["acme"] });
+          const prs = await modules.GitHub.getPullRequestsForRepos(repos, 10);
+          return { repos, prs };
+        })
+      );
+      
+      const success = result.repos.join(",") === "me/tools,acme/api,acme/web" &&
+                     result.prs.length === 4 &&
+                     result.prs[0].repository === "me/tools" &&
+                     result.prs[3].repository === "acme/web" &&
+                     result.prs.truncated === false;
+      
+      return {
+        success,
+        message: success ? "Multiple repositories working correctly" : "Multiple repositories failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Tests linking pull requests to the JIRA tickets they mention
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testLinker: async function() {
+    console.log("Testing linker...");
+    const modules = TestUtils.loadModules();
+    
+    try {
+      const tickets = MOCK_DATA.jira.issues.concat([{ key: "PROJ-3", fields: { summary: "Unrelated", status: { name: "Open" } } }]);
+      const pullRequests = [
+        { repository: "me/app", number: 1, title: "PROJ-1: Fix login page alignment", head: { ref: "feature/x" }, body: "" },
+        { repository: "me/app", number: 2, title: "Dark mode", head: { ref: "proj-2-dark-mode" }, body: "Also touches PROJ-1" },
+        { repository: "me/app", number: 3, title: "Bump dependencies", head: { ref: "deps" }, body: null }
+      ];
+      
+      const linked = modules.Linker.link(tickets, pullRequests);
+      const ticket1 = linked.jiraTickets[0];
+      
+      const success = ticket1.linkedPullRequests.map(pr => pr.number).join(",") === "1,2" &&
+                     linked.jiraTickets[1].linkedPullRequests.length === 1 &&
+                     linked.githubPullRequests[1].linkedTickets.join(",") === "PROJ-2,PROJ-1" &&
+                     linked.unlinked.jiraTickets.join(",") === "PROJ-3" &&
+                     linked.unlinked.githubPullRequests.join(",") === "me/app#3" &&
+                     tickets[0].linkedPullRequests === undefined;
+      
+      return {
+        success,
+        message: success ? "Linker working correctly" : "Linker failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Tests change detection against the previous run's snapshot
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testChangeDetection: async function() {
+    console.log("Testing change detection...");
+    const modules = TestUtils.loadModules();
+    
+    try {
+      const previous = {
+        generated: "2024-01-01T09:00:00.000Z",
+        tickets: {
+          "PROJ-1": { summary: "Fix login page alignment", status: "Open" },
+          "PROJ-2": { summary: "Add dark mode support", status: "In Progress" },
+          "PROJ-9": { summary: "Old ticket", status: "Open" }
+        },
+        pullRequests: {
+          "me/app#1": { title: "PROJ-1 fix", url: "https://github.com/me/app/pull/1" },
+          "me/app#5": { title: "Merged work", url: "https://github.com/me/app/pull/5" },
+          "me/app#6": { title: "Abandoned work", url: "https://github.com/me/app/pull/6" },
+          "me/app#4": { title: "Deleted work", url: "https://github.com/me/app/pull/4" },
+          "me/app#8": { title: "Unreachable work", url: "https://github.com/me/app/pull/8" }
+        }
+      };
+      const data = truncated => ({
+        metadata: { generated: "2024-01-01T10:00:00.000Z", truncated: { jira: truncated, github: truncated } },
+        jiraTickets: [
+          { key: "PROJ-1", fields: { summary: "Fix login page alignment", status: { name: "In Progress" } } },
+          { key: "PROJ-2", fields: { summary: "Add dark mode support", status: { name: "In Progress" } } },
+          { key: "PROJ-3", fields: { summary: "New ticket", status: { name: "Open" } } }
+        ],
+        githubPullRequests: [
+          { repository: "me/app", number: 1, title: "PROJ-1 fix", html_url: "https://github.com/me/app/pull/1" },
+          { repository: "me/app", number: 7, title: "PROJ-3 start", html_url: "https://github.com/me/app/pull/7" }
+        ]
+      });
+      const lookups = [];
+      const getPullRequest = (repository, number) => {
+        lookups.push(`${repository}#${number}`);
+        
+        // A missing pull request counts as closed; any other failure leaves it for the next run
+        if (String(number) === "4") {
+          return Promise.reject(new modules.NotFoundError("Not found", { service: "GitHub" }));
+        }
+        
+        if (String(number) === "8") {
+          return Promise.reject(new modules.NetworkError("Could not reach api.github.com", { service: "GitHub" }));
+        }
+        
+        return Promise.resolve({ merged_at: String(number) === "5" ? "2024-01-01T09:30:00Z" : null });
+      };
+      
+      const { changes, partial, baseline } = await TestUtils.withOverrides(modules.GitHub, { getPullRequest }, async () => ({
+        changes: await modules.Changes.detect(previous, data(false)),
+        partial: await modules.Changes.detect(previous, data(true)),
+        baseline: await modules.Changes.detect(null, data(false))
+      }));
+      const keys = list => list.map(item => item.key || item.pullRequest).join(",");
+      const lines = modules.Changes.describe(changes, 3);
+      const snapshot = modules.Changes.snapshot(Object.assign(data(false), { changes }));
+      
+      const success = changes.since === previous.generated &&
+                     keys(changes.jira.added) === "PROJ-3" &&
+                     keys(changes.jira.removed) === "PROJ-9" &&
+                     keys(changes.jira.statusChanged) === "PROJ-1" &&
+                     changes.jira.statusChanged[0].from === "Open" &&
+                     changes.jira.statusChanged[0].to === "In Progress" &&
+                     keys(changes.github.opened) === "me/app#7" &&
+                     keys(changes.github.merged) === "me/app#5" &&
+                     keys(changes.github.closed) === "me/app#6,me/app#4" &&
+                     Object.keys(changes.unresolved).join() === "me/app#8" &&
+                     snapshot.pullRequests["me/app#8"].title === "Unreachable work" && !snapshot.pullRequests["me/app#4"] &&
+                     modules.Changes.count(changes) === 7 &&
+                     lines[0] === "Merged me/app#5: Merged work" &&
+                     lines[1] === "PROJ-1: Open → In Progress" &&
+                     lines[3] === "...and 4 more" &&
+                     partial.jira.removed.length === 0 &&
+                     partial.github.merged.length === 0 &&
+                     lookups.length === 4 &&
+                     baseline.baseline && modules.Changes.count(baseline) === 0 &&
+                     modules.Changes.filePath("~/Reports/data.json", "oss") === "~/Reports/.jira-github-cache/snapshot-oss.json";
+      
+      return {
+        success,
+        message: success ? "Change detection working correctly" : "Change detection failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Tests watch mode: the run loop, stopping, quiet hours and the hourly
+   * notification cap
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testWatchMode: async function() {
+    console.log("Testing watch mode...");
+    const modules = TestUtils.loadModules();
+    
+    try {
+      const watch = { intervalMinutes: 15, quietHours: { start: "22:00", end: "07:00" }, maxNotificationsPerHour: 2 };
+      const at = (hours, minutes) => new Date(2024, 0, 1, hours, minutes);
+      const changes = count => ({
+        since: "2024-01-01T08:00:00.000Z",
+        baseline: false,
+        jira: { added: Array.from({ length: count }, (item, i) => ({ key: `PROJ-${i}`, summary: "New", status: "Open" })), removed: [], statusChanged: [] },
+        github: { opened: [], merged: [], closed: [] }
+      });
+      const notes = [];
+      
+      const result = await TestUtils.withOverrides(modules.CONFIG, { watch }, () =>
+        TestUtils.withOverrides(modules.System, { displayNotification: (title, message) => notes.push(`${title}: ${message}`) }, async () => {
+          const quiet = [at(23, 30), at(6, 59), at(7, 0), at(12, 0)].map(date => modules.Watcher.isQuietTime(date));
+          let badTime = null;
+          
+          await TestUtils.withOverrides(modules.CONFIG.watch, { quietHours: { start: "25:00", end: "07:00" } }, () => {
+            try {
+              modules.Watcher.isQuietTime(at(12, 0));
+            } catch (error) {
+              badTime = error;
+            }
+          });
+          
+          // Two notifications per hour, then changes are held back and merged into the next one
+          modules.Watcher.sent = [];
+          modules.Watcher.pending = null;
+          const shown = [
+            modules.Watcher.notifyChanges({ jiraTickets: [], githubPullRequests: [], changes: changes(1) }, at(9, 0)),
+            modules.Watcher.notifyChanges({ jiraTickets: [], githubPullRequests: [], changes: changes(1) }, at(9, 10)),
+            modules.Watcher.notifyChanges({ jiraTickets: [], githubPullRequests: [], changes: changes(2) }, at(9, 20)),
+            modules.Watcher.notifyChanges({ jiraTickets: [], githubPullRequests: [], changes: changes(0) }, at(23, 0)),
+            modules.Watcher.notifyChanges({ jiraTickets: [], githubPullRequests: [], changes: changes(1) }, at(10, 15))
+          ];
+          
+          // The loop keeps going after a failed run and stops on SIGTERM
+          const runs = [];
+          const listeners = typeof process !== "undefined" ? process.listenerCount("SIGTERM") : 0;
+          const last = await TestUtils.withOverrides(modules.Watcher, {
+            runOnce: options => {
+              runs.push(options);
+              return runs.length === 1 ? Promise.reject(new Error("Network down")) : Promise.resolve({ run: runs.length });
+            },
+            wait: () => {
+              if (runs.length === 2) {
+                if (typeof process !== "undefined") {
+                  process.emit("SIGTERM", "SIGTERM");
+                } else {
+                  modules.Watcher.stopped = true;
+                }
+              }
+              return Promise.resolve();
+            }
+          }, () => modules.Watcher.run({ watch: true, githubRepo: "app" }));
+          
+          let configError = null;
+          await TestUtils.withOverrides(modules.Watcher, {
+            runOnce: () => Promise.reject(new modules.ConfigError("bad setting"))
+          }, () => modules.Watcher.run({ watch: true }).catch(error => { configError = error; }));
+          
+          return {
+            quiet,
+            badTime,
+            shown,
+            runs,
+            last,
+            configError,
+            listenersRestored: typeof process === "undefined" || process.listenerCount("SIGTERM") === listeners
+          };
+        })
+      );
+      
+      // Running the script directly under Node takes watch options from the command line
+      const argumentError = args => {
+        try {
+          modules.Config.fromArgs(args);
+          return null;
+        } catch (error) {
+          return error;
+        }
+      };
+      const parsed = modules.Config.fromArgs(["--watch", "--interval", "5"]);
+      
+      const success = result.quiet.join(",") === "true,true,false,false" &&
+                     parsed.watch === true && parsed.intervalMinutes === 5 &&
+                     Object.keys(modules.Config.fromArgs([])).length === 0 &&
+                     argumentError(["--interval", "0"]) instanceof modules.ConfigError &&
+                     argumentError(["--interval"]) instanceof modules.ConfigError &&
+                     argumentError(["--bogus"]) instanceof modules.ConfigError &&
+                     result.badTime instanceof modules.ConfigError &&
+                     result.shown.join(",") === "true,true,false,false,true" &&
+                     notes.length === 3 &&
+                     notes[2].indexOf("JIRA: 3 new") >= 0 &&
+                     result.runs.length === 2 &&
+                     result.runs[0].watching === true && result.runs[0].watch === false &&
+                     result.runs[0].githubRepo === "app" &&
+                     result.last.run === 2 &&
+                     result.configError instanceof modules.ConfigError &&
+                     result.listenersRestored;
+      
+      return {
+        success,
+        message: success ? "Watch mode working correctly" : "Watch mode failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Tests automation rules transitioning tickets when pull requests change state
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testAutomation: async function() {
+    console.log("Testing automation rules...");
+    const modules = TestUtils.loadModules();
+    
+    try {
+      const statuses = { "PROJ-1": "In Progress", "PROJ-2": "Done", "PROJ-3": "To Do" };
+      const transitions = [
+        { id: "21", name: "Start Review", to: { name: "In Review" } },
+        { id: "31", name: "Done", to: { name: "Done" } }
+      ];
+      const posts = [];
+      const transport = request => {
+        const key = (request.url.match(/issue\/([A-Z]+-\d+)/) || [])[1];
+        
+        if (request.method === "POST") {
+          posts.push({ key, body: JSON.parse(request.body) });
+          return Promise.resolve({ status: 204, headers: {}, body: "" });
+        }
+        
+        const body = /\/transitions/.test(request.url) ? { transitions } : { key, fields: { status: { name: statuses[key] } } };
+        return Promise.resolve({ status: 200, headers: {}, body: JSON.stringify(body) });
+      };
+      const changes = {
+        since: "2024-01-01T09:00:00.000Z",
+        baseline: false,
+        jira: { added: [], removed: [], statusChanged: [] },
+        github: {
+          opened: [{ pullRequest: "me/app#7", title: "PROJ-3 start", tickets: ["PROJ-3"] }],
+          merged: [{ pullRequest: "me/app#5", title: "PROJ-1 PROJ-2 fix", tickets: ["PROJ-1", "PROJ-2", "OTHER-1"] }],
+          closed: []
+        }
+      };
+      const automation = {
+        rules: [
+          { when: "merged", transition: ["In Review", "Done"], from: ["In Progress", "In Review"], projects: ["PROJ"] },
+          { when: "opened", transition: "In Progress" }
+        ],
+        dryRun: false,
+        auditLog: "~/transitions.log"
+      };
+      const audit = [];
+      
+      const run = dryRun => TestUtils.withOverrides(modules.CONFIG, { automation }, () =>
+        TestUtils.withOverrides(modules.Credentials, { getToken: () => "mock-token" }, () =>
+          TestUtils.withOverrides(modules.HTTP, { transport }, () =>
+            TestUtils.withOverrides(modules.System, { appendFile: (path, text) => audit.push(JSON.parse(text)) }, () =>
+              modules.Automation.apply(changes, dryRun)
+            )
+          )
+        )
+      );
+      
+      const dryRun = await run(true);
+      const postsAfterDryRun = posts.length;
+      const applied = await run(false);
+      const byTicket = results => {
+        const map = {};
+        results.forEach(action => {
+          map[action.ticket] = action;
+        });
+        return map;
+      };
+      const dry = byTicket(dryRun);
+      const done = byTicket(applied);
+      
+      let invalid = null;
+      try {
+        modules.Automation.validateRules([{ when: "approved", transition: "" }]);
+      } catch (error) {
+        invalid = error;
+      }
+      
+      const success = dryRun.length === 3 &&
+                     dry["PROJ-1"].result === "dry-run" && dry["PROJ-1"].to === "In Review" &&
+                     postsAfterDryRun === 0 &&
+                     done["PROJ-1"].result === "applied" &&
+                     done["PROJ-1"].from === "In Progress" &&
+                     done["PROJ-1"].transition === "Start Review" &&
+                     done["PROJ-2"].result === "skipped" && done["PROJ-2"].reason === "already Done" &&
+                     done["PROJ-3"].result === "skipped" && done["PROJ-3"].reason.indexOf("no \"In Progress\" transition") === 0 &&
+                     !done["OTHER-1"] &&
+                     posts.length === 1 && posts[0].key === "PROJ-1" && posts[0].body.transition.id === "21" &&
+                     audit.length === 1 && audit[0].ticket === "PROJ-1" && audit[0].pullRequest === "me/app#5" && audit[0].time &&
+                     invalid instanceof modules.ConfigError &&
+                     invalid.message.indexOf("\"when\" must be one of opened, merged, closed") >= 0;
+      
+      return {
+        success,
+        message: success ? "Automation rules working correctly" : "Automation rules failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Tests cross-posting comments between linked tickets and pull requests
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testCrossPostComments: async function() {
+    console.log("Testing comment cross-posting...");
+    const modules = TestUtils.loadModules();
+    
+    try {
+      const prUrl = "https://github.com/me/app/pull/7";
+      const jiraComments = {
+        "PROJ-1": [],
+        "PROJ-2": [{ id: "100", body: `Pull request me/app#7: old title\nLinked by jira-github-integration: ${prUrl}` }]
+      };
+      const githubComments = [{ id: 500, body: "**[PROJ-2](https://jira.example.com/browse/PROJ-2)**: Add dark mode support\n\n<!-- jira-github-integration:PROJ-2 -->" }];
+      const writes = [];
+      const transport = request => {
+        const body = request.body ? JSON.parse(request.body) : null;
+        const key = (request.url.match(/issue\/([A-Z]+-\d+)/) || [])[1];
+        let response = [];
+        
+        if (request.method !== "GET") {
+          writes.push({ method: request.method, url: request.url, body: body.body });
+          response = { id: request.method === "POST" ? "new" : "existing" };
+        } else if (key) {
+          response = { startAt: 0, total: jiraComments[key].length, comments: jiraComments[key] };
+        } else {
+          response = githubComments;
+        }
+        
+        return Promise.resolve({ status: 200, headers: {}, body: JSON.stringify(response) });
+      };
+      const data = {
+        metadata: { generated: "2024-01-01T10:00:00.000Z", truncated: { jira: false, github: false } },
+        jiraTickets: [
+          { key: "PROJ-1", fields: { summary: "Fix login page alignment", status: { name: "In Progress" } } },
+          { key: "PROJ-2", fields: { summary: "Add dark mode support", status: { name: "In Progress" } } }
+        ],
+        githubPullRequests: [
+          { repository: "me/app", number: 7, title: "PROJ-1 PROJ-2 work", html_url: prUrl, user: { login: "dev" }, linkedTickets: ["PROJ-1", "PROJ-2"] }
+        ]
+      };
+      const previous = {
+        generated: "2024-01-01T09:00:00.000Z",
+        tickets: {},
+        pullRequests: { "me/app#7": { title: "PROJ-2 work", url: prUrl, tickets: ["PROJ-2"] } }
+      };
+      
+      const run = (changes, dryRun) => TestUtils.withOverrides(modules.CONFIG, { comments: { enabled: true } }, () =>
+        TestUtils.withOverrides(modules.Credentials, { getToken: () => "mock-token" }, () =>
+          TestUtils.withOverrides(modules.JIRA, { getAuthorization: () => Promise.resolve("Bearer mock") }, () =>
+            TestUtils.withOverrides(modules.HTTP, { transport }, () => modules.Comments.sync(data, changes, dryRun))
+          )
+        )
+      );
+      
+      const changes = await modules.Changes.detect(previous, data);
+      const dryRun = await run(changes, true);
+      const writesAfterDryRun = writes.length;
+      
+      // A re-posted link updates the JIRA comment in place and leaves an identical GitHub comment alone
+      const relinked = Object.assign({}, changes, {
+        github: Object.assign({}, changes.github, { linked: changes.github.linked.concat([Object.assign({}, changes.github.linked[0], { ticket: "PROJ-2" })]) })
+      });
+      const posted = await run(relinked, false);
+      const result = (target, ticket) => posted.find(entry => entry.target === target && entry.ticket === ticket).result;
+      const jiraPost = writes.find(write => write.method === "POST" && /PROJ-1\/comment$/.test(write.url));
+      const githubPost = writes.find(write => write.method === "POST" && /issues\/7\/comments$/.test(write.url));
+      
+      const success = changes.github.linked.length === 1 &&
+                     changes.github.linked[0].ticket === "PROJ-1" &&
+                     changes.github.linked[0].author === "dev" &&
+                     dryRun.length === 2 && dryRun.every(entry => entry.result === "dry-run") &&
+                     writesAfterDryRun === 0 &&
+                     result("jira", "PROJ-1") === "created" &&
+                     result("github", "PROJ-1") === "created" &&
+                     result("jira", "PROJ-2") === "updated" &&
+                     result("github", "PROJ-2") === "unchanged" &&
+                     writes.length === 3 &&
+                     writes.some(write => write.method === "PUT" && /PROJ-2\/comment\/100$/.test(write.url)) &&
+                     jiraPost.body.indexOf("Author: dev · State: open") >= 0 &&
+                     jiraPost.body.indexOf(prUrl) >= 0 &&
+                     githubPost.body.indexOf("[PROJ-1](https://jira.example.com/browse/PROJ-1)**: Fix login page alignment") >= 0 &&
+                     (await modules.Comments.sync(data, changes, false)).length === 0;
+      
+      return {
+        success,
+        message: success ? "Comment cross-posting working correctly" : "Comment cross-posting failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Tests that main only saves the change snapshot once automation succeeded,
+   * so dry runs and failed transitions leave the changes for the next run
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testPendingChanges: async function() {
+    console.log("Testing pending changes across dry runs...");
+    const modules = TestUtils.loadModules();
+    
+    try {
+      const files = {
+        "~/.config/jira-github-integration/config.json": JSON.stringify({
+          automation: { rules: [{ when: "merged", transition: "Done" }], auditLog: "/tmp/transitions.log" },
+          cache: { enabled: false }
+        })
+      };
+      const pullRequest = { repository: "me/app", number: 1, title: "PROJ-1 fix", html_url: "https://github.com/me/app/pull/1", head: { ref: "PROJ-1" } };
+      const moves = [];
+      let failTransition = false;
+      let open = [pullRequest];
+      
+      const run = dryRun => TestUtils.withOverrides(modules.System, {
+        readFile: path => (files[path] === undefined ? null : files[path]),
+        writeFile: (path, contents) => {
+          files[path] = contents;
+          return path;
+        },
+        appendFile: () => {},
+        getEnv: () => "",
+        saveDataToFile: (data, path) => path,
+        displayNotification: () => {},
+        openUrl: () => {},
+        indexWithSpotlight: () => {}
+      }, () => TestUtils.withOverrides(modules.JIRA, {
+        getTicketsByQuery: () => Promise.resolve({
+          issues: [{ key: "PROJ-1", fields: { summary: "Fix login", status: { name: "In Progress" } } }],
+          total: 1,
+          queries: []
+        }),
+        getStatus: () => Promise.resolve("In Progress"),
+        getTransitions: () => Promise.resolve([{ id: "31", name: "Done", to: { name: "Done" } }]),
+        transitionIssue: key => failTransition ? Promise.reject(new Error("JIRA is down")) : Promise.resolve(moves.push(key))
+      }, () => TestUtils.withOverrides(modules.GitHub, {
+        resolveRepositories: () => Promise.resolve(["me/app"]),
+        getPullRequestsForRepos: () => Promise.resolve(open.slice()),
+        enrichPullRequests: pullRequests => Promise.resolve(pullRequests),
+        getPullRequest: () => Promise.resolve({ merged_at: "2024-01-02T00:00:00Z" })
+      }, () => modules.main({ outputFilePath: "/tmp/jgi/data.json", openInBrowser: false, richNotifications: false, dryRun }))));
+      const results = data => data.transitions.map(transition => transition.result).join();
+      
+      const baseline = await run(false);
+      open = [];
+      const dry = await run(true);
+      failTransition = true;
+      const failed = await run(false);
+      failTransition = false;
+      const applied = await run(false);
+      const after = await run(false);
+      
+      const success = baseline.changes.baseline === true &&
+                     results(dry) === "dry-run" && dry.changes.github.merged.length === 1 &&
+                     results(failed) === "failed" && failed.changes.github.merged.length === 1 &&
+                     results(applied) === "applied" && applied.changes.github.merged.length === 1 &&
+                     moves.join() === "PROJ-1" &&
+                     after.changes.github.merged.length === 0 && after.transitions.length === 0;
+      
+      return {
+        success,
+        message: success ? "Pending changes working correctly" : "Pending changes failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      modules.Config.reset();
+    }
+  },
+  
+  /**
+   * Tests starting work on a ticket: branch naming, branch and draft pull request creation
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testStartWork: async function() {
+    console.log("Testing start work...");
+    const modules = TestUtils.loadModules();
+    
+    try {
+      const branches = { main: "base-sha" };
+      const posts = [];
+      const transport = request => {
+        const url = request.url;
+        const body = request.body ? JSON.parse(request.body) : null;
+        const reply = (status, json) => Promise.resolve({ status, headers: {}, body: JSON.stringify(json) });
+        let match;
+        
+        if (/\/rest\/api\/2\/issue\/PROJ-123/.test(url)) {
+          return reply(200, { key: "PROJ-123", fields: { summary: "Fix login page alignment (Safari) – café", status: { name: "To Do" }, issuetype: { name: "Bug" } } });
+        }
+        
+        if (request.method === "POST") {
+          posts.push({ url, body });
+          
+          if (/git\/commits$/.test(url)) {
+            return reply(201, { sha: "empty-commit-sha" });
+          }
+          
+          if (/git\/refs$/.test(url)) {
+            const name = body.ref.replace("refs/heads/", "");
+            
+            if (branches[name]) {
+              return reply(422, { message: "Reference already exists" });
+            }
+            
+            branches[name] = body.sha;
+            return reply(201, { ref: body.ref });
+          }
+          
+          return reply(201, { number: 42, html_url: "https://github.com/me/app/pull/42" });
+        }
+        
+        if ((match = url.match(/git\/ref\/heads\/(.+)$/))) {
+          return branches[match[1]] ? reply(200, { object: { sha: branches[match[1]] } }) : reply(404, { message: "Not Found" });
+        }
+        
+        if (/git\/commits\/base-sha$/.test(url)) {
+          return reply(200, { sha: "base-sha", tree: { sha: "tree-sha" } });
+        }
+        
+        if (/\/pulls\?/.test(url)) {
+          return reply(200, []);
+        }
+        
+        return reply(200, { default_branch: "main" });
+      };
+      
+      const run = options => TestUtils.withOverrides(modules.Credentials, { getToken: () => "mock-token" }, () =>
+        TestUtils.withOverrides(modules.JIRA, { getAuthorization: () => Promise.resolve("Bearer mock") }, () =>
+          TestUtils.withOverrides(modules.HTTP, { transport }, () => modules.Starter.run(options))
+        )
+      );
+      
+      const plain = await run({ start: "proj-123", repository: "me/app" });
+      const again = await run({ start: "PROJ-123", repository: "me/app" });
+      delete branches[plain.branch];
+      const withDraft = await run({ start: "PROJ-123", repository: "me/app", draftPullRequest: true });
+      // The empty commit is only made for a branch that is being created
+      const draftAgain = await run({ start: "PROJ-123", repository: "me/app", draftPullRequest: true });
+      const commits = posts.filter(post => /git\/commits$/.test(post.url)).length;
+      const pullPost = posts.find(post => /\/pulls$/.test(post.url));
+      
+      let invalid = null;
+      try {
+        await run({ start: "not a key" });
+      } catch (error) {
+        invalid = error;
+      }
+      
+      const short = modules.Starter.branchName({ key: "PROJ-1", fields: { summary: "Refactor the authentication module" } }, 25);
+      
+      const success = plain.branch === "PROJ-123-fix-login-page-alignment-safari-cafe" &&
+                     plain.created === true && plain.base === "main" && plain.pullRequest === null &&
+                     branches[plain.branch] === "empty-commit-sha" &&
+                     again.created === false &&
+                     withDraft.pullRequest.number === 42 && withDraft.pullRequest.created === true &&
+                     draftAgain.created === false && commits === 1 &&
+                     posts.some(post => /git\/commits$/.test(post.url) && post.body.tree === "tree-sha" && post.body.parents[0] === "base-sha") &&
+                     pullPost.body.draft === true &&
+                     pullPost.body.title === "PROJ-123: Fix login page alignment (Safari) – café" &&
+                     pullPost.body.body.indexOf("(https://jira.example.com/browse/PROJ-123)") >= 0 &&
+                     pullPost.body.head === plain.branch && pullPost.body.base === "main" &&
+                     invalid instanceof modules.ConfigError &&
+                     short === "PROJ-1-refactor-the";
+      
+      return {
+        success,
+        message: success ? "Start work working correctly" : "Start work failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Tests enriching pull requests with reviews, checks and mergeability in batches
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testPullRequestDetails: async function() {
+    console.log("Testing pull request details...");
+    const modules = TestUtils.loadModules();
+    
+    try {
+      const nodes = {
+        1: {
+          isDraft: false,
+          mergeable: "MERGEABLE",
+          reviewDecision: "REVIEW_REQUIRED",
+          reviewRequests: { nodes: [{ requestedReviewer: { login: "me" } }, { requestedReviewer: { combinedSlug: "org/web" } }] },
+          latestReviews: { nodes: [{ author: { login: "bob" }, state: "COMMENTED" }] },
+          commits: { nodes: [{ commit: { statusCheckRollup: { state: "FAILURE" } } }] }
+        },
+        2: {
+          isDraft: true,
+          mergeable: "CONFLICTING",
+          reviewDecision: "CHANGES_REQUESTED",
+          reviewRequests: { nodes: [] },
+          latestReviews: { nodes: [{ author: { login: "amy" }, state: "CHANGES_REQUESTED" }, { author: null, state: "APPROVED" }] },
+          commits: { nodes: [{ commit: { statusCheckRollup: null } }] }
+        }
+      };
+      const queries = [];
+      const transport = request => {
+        const query = JSON.parse(request.body).query;
+        const data = { viewer: { login: "me" } };
+        queries.push({ url: request.url, query });
+        
+        (query.match(/pr\d+: repository\(owner: "[^"]+", name: "[^"]+"\) \{ pullRequest\(number: \d+\)/g) || []).forEach(match => {
+          const parts = match.match(/^(pr\d+).*number: (\d+)/);
+          data[parts[1]] = { pullRequest: nodes[parts[2]] || null };
+        });
+        
+        return Promise.resolve({ status: 200, headers: {}, body: JSON.stringify({ data, errors: [{ message: "Could not resolve pull request 3" }] }) });
+      };
+      const pullRequests = [1, 2, 3].map(number => ({
+        repository: "me/app",
+        number,
+        title: `Change ${number}`,
+        html_url: `https://github.com/me/app/pull/${number}`,
+        user: { login: "dev" },
+        created_at: "2024-01-01T00:00:00Z"
+      }));
+      
+      await TestUtils.withOverrides(modules.Credentials, { getToken: () => "mock-token" }, () =>
+        TestUtils.withOverrides(modules.HTTP, { transport }, () => modules.GitHub.enrichPullRequests(pullRequests, 2))
+      );
+      
+      const first = pullRequests[0].details;
+      const second = pullRequests[1].details;
+      const data = {
+        metadata: { generated: "2024-01-02T00:00:00Z" },
+        jiraTickets: [],
+        githubPullRequests: pullRequests
+      };
+      const markdown = modules.Formatter.render(data, "markdown");
+      const html = modules.Formatter.render(data, "html");
+      
+      const success = queries.length === 2 &&
+                     queries[0].url === "https://api.github.com/graphql" &&
+                     queries[0].query.indexOf("pr1:") >= 0 && queries[1].query.indexOf("pr1:") < 0 &&
+                     first.awaitingMe === true &&
+                     first.requestedReviewers.join() === "me,org/web" &&
+                     first.reviews[0].reviewer === "bob" && first.reviews[0].state === "commented" &&
+                     first.checks === "failure" && first.mergeable === "mergeable" && first.draft === false &&
+                     second.draft === true && second.checks === null && second.reviews.length === 1 &&
+                     second.reviewDecision === "changes_requested" &&
+                     pullRequests[2].details === undefined &&
+                     modules.Formatter.attentionSummary(pullRequests) ===
+                       "1 awaiting your review · 1 failing checks · 1 with changes requested · 1 with conflicts" &&
+                     markdown.indexOf("| 1d | open | review required, waiting on me, org/web | failure |") >= 0 &&
+                     markdown.indexOf("| 1d | draft, conflicts | changes requested |  |") >= 0 &&
+                     html.indexOf("<span class=\"badge failure\">failure</span>") >= 0 &&
+                     html.indexOf("<span class=\"badge changes-requested\">changes requested</span>") >= 0;
+      
+      return {
+        success,
+        message: success ? "Pull request details working correctly" : "Pull request details failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Tests GitHub Enterprise Server URLs, the CA bundle and the GraphQL pull request backend
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testGitHubEnterprise: async function() {
+    console.log("Testing GitHub Enterprise Server support...");
+    const modules = TestUtils.loadModules();
+    
+    try {
+      const urls = baseUrl => TestUtils.withOverrides(modules.CONFIG.github, { baseUrl }, () =>
+        [modules.GitHub.getGraphqlUrl(), modules.GitHub.getWebUrl()].join(" ")
+      );
+      const node = number => ({
+        number,
+        title: `Change ${number}`,
+        url: `https://github.example.com/me/app/pull/${number}`,
+        body: `Fixes PROJ-${number}`,
+        createdAt: "2024-01-01T00:00:00Z",
+        updatedAt: "2024-01-02T00:00:00Z",
+        headRefName: `feature/PROJ-${number}`,
+        baseRefName: "main",
+        author: number === 2 ? null : { login: "dev" },
+        assignees: { nodes: [{ login: "me" }] },
+        labels: { nodes: [{ name: "bug" }] },
+        isDraft: number === 2,
+        mergeable: "MERGEABLE",
+        reviewDecision: null,
+        reviewRequests: { nodes: [{ requestedReviewer: { login: "me" } }] },
+        latestReviews: { nodes: [] },
+        commits: { nodes: [{ commit: { statusCheckRollup: { state: "SUCCESS" } } }] }
+      });
+      const requests = [];
+      const transport = request => {
+        const body = JSON.parse(request.body);
+        const after = body.variables.after ? Number(body.variables.after) : 0;
+        const numbers = [1, 2, 3].slice(after, after + body.variables.first);
+        requests.push({ url: request.url, caBundle: request.caBundle, variables: body.variables });
+        
+        return Promise.resolve({ status: 200, headers: {}, body: JSON.stringify({ data: {
+          viewer: { login: "me" },
+          repository: { pullRequests: {
+            pageInfo: { hasNextPage: after + numbers.length < 3, endCursor: String(after + numbers.length) },
+            nodes: numbers.map(node)
+          } }
+        } }) });
+      };
+      const enterprise = {
+        baseUrl: "https://github.example.com/api/v3/",
+        caBundle: "/etc/ssl/corp-ca.pem",
+        api: "graphql",
+        perPage: 2
+      };
+      const fetch = limit => TestUtils.withOverrides(modules.Credentials, { getToken: () => "mock-token" }, () =>
+        TestUtils.withOverrides(modules.HTTP, { transport }, () =>
+          TestUtils.withOverrides(modules.CONFIG.github, enterprise, () => modules.GitHub.getPullRequests("me", "app", limit))
+        )
+      );
+      
+      const all = await fetch(10);
+      const pages = requests.length;
+      const limited = await fetch(2);
+      const enriched = await TestUtils.withOverrides(modules.GitHub, { graphql: () => Promise.reject(new Error("not expected")) }, () =>
+        modules.GitHub.enrichPullRequests(all)
+      );
+      
+      const success = await urls("https://api.github.com/") === "https://api.github.com/graphql https://github.com" &&
+                     await urls("https://github.example.com/api/v3/") === "https://github.example.com/api/graphql https://github.example.com" &&
+                     await urls("https://api.acme.ghe.com/") === "https://api.acme.ghe.com/graphql https://acme.ghe.com" &&
+                     modules.Config.validate({ github: { api: "soap" } }, modules.CONFIG, "").length === 1 &&
+                     pages === 2 && requests[0].url === "https://github.example.com/api/graphql" &&
+                     requests[0].caBundle === "/etc/ssl/corp-ca.pem" &&
+                     requests[0].variables.owner === "me" && requests[0].variables.first === 2 &&
+                     requests[1].variables.after === "2" &&
+                     all.length === 3 && all.truncated === false &&
+                     limited.length === 2 && limited.truncated === true &&
+                     all[0].repository === "me/app" && all[0].html_url === "https://github.example.com/me/app/pull/1" &&
+                     all[0].head.ref === "feature/PROJ-1" && all[0].base.ref === "main" &&
+                     all[0].user.login === "dev" && all[1].user.login === "ghost" &&
+                     all[0].labels[0].name === "bug" && all[0].assignees[0].login === "me" &&
+                     all[1].draft === true && all[0].details.checks === "success" && all[0].details.awaitingMe === true &&
+                     enriched === all &&
+                     modules.Linker.link([{ key: "PROJ-1", fields: { summary: "Login" } }], all).jiraTickets[0].linkedPullRequests.length === 1;
+      
+      return {
+        success,
+        message: success ? "GitHub Enterprise Server support working correctly" : "GitHub Enterprise Server support failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Tests fetching GitLab merge requests as pull requests, and following them through changes and comments
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testGitLabMergeRequests: async function() {
+    console.log("Testing GitLab merge requests...");
+    const modules = TestUtils.loadModules();
+    
+    try {
+      const mr = (id, iid, project, extra) => Object.assign({
+        id,
+        iid,
+        project_id: id * 10,
+        title: `PROJ-${iid}: Change ${iid}`,
+        description: "",
+        web_url: `https://gitlab.example.com/${project}/-/merge_requests/${iid}`,
+        references: { full: `${project}!${iid}` },
+        created_at: "2024-01-01T00:00:00Z",
+        updated_at: "2024-01-02T00:00:00Z",
+        author: { username: "dev" },
+        assignees: [],
+        reviewers: [{ username: "me" }],
+        labels: ["backend"],
+        source_branch: `feature/PROJ-${iid}`,
+        target_branch: "main",
+        sha: `sha-${iid}`,
+        draft: false,
+        has_conflicts: false,
+        detailed_merge_status: "mergeable"
+      }, extra);
+      const routes = {
+        "projects/group%2Fapp/merge_requests?state=opened&order_by=created_at&sort=desc&per_page=1&page=1": { body: [mr(1, 1, "group/app")], next: "2" },
+        "projects/group%2Fapp/merge_requests?state=opened&order_by=created_at&sort=desc&per_page=1&page=2": { body: [mr(2, 2, "group/app", { draft: true, has_conflicts: true, author: null })] },
+        "groups/group/merge_requests?state=opened&include_subgroups=true&order_by=created_at&sort=desc&per_page=1&page=1": { body: [mr(1, 1, "group/app")], next: "2" },
+        "groups/group/merge_requests?state=opened&include_subgroups=true&order_by=created_at&sort=desc&per_page=1&page=2": { body: [mr(3, 3, "group/sub/lib")] },
+        "user": { body: { username: "me" } },
+        // Newest first: !2's detached pipeline, then !1's latest and an earlier run
+        "projects/group%2Fapp/pipelines?order_by=id&sort=desc&per_page=100": { body: [
+          { id: 12, sha: "merge-sha", ref: "refs/merge-requests/2/head", status: "running" },
+          { id: 11, sha: "sha-1", ref: "feature/PROJ-1", status: "failed" },
+          { id: 10, sha: "sha-1", ref: "feature/PROJ-1", status: "success" }
+        ] },
+        "projects/group%2Fapp/merge_requests/7": { body: { iid: 7, merged_at: "2024-01-03T00:00:00Z" } },
+        "projects/group%2Fapp/merge_requests/1/notes?sort=asc&per_page=1&page=1": { body: [{ id: 5, system: true, body: "PROJ-1 mentioned" }] }
+      };
+      const requests = [];
+      const transport = request => {
+        const path = request.url.replace("https://gitlab.example.com/api/v4/", "");
+        const route = routes[path];
+        requests.push({ method: request.method, path, token: request.headers["PRIVATE-TOKEN"] });
+        
+        if (request.method === "POST") {
+          return Promise.resolve({ status: 201, headers: {}, body: JSON.stringify({ id: 6 }) });
+        }
+        
+        return Promise.resolve(route ?
+          { status: 200, headers: { "X-Next-Page": route.next || "" }, body: JSON.stringify(route.body) } :
+          { status: 404, headers: {}, body: JSON.stringify({ message: "404 Not Found" }) });
+      };
+      const gitlab = {
+        baseUrl: "https://gitlab.example.com/api/v4/",
+        projects: ["group/app"],
+        groups: ["group"],
+        perPage: 1
+      };
+      const services = [];
+      const run = callback => TestUtils.withOverrides(modules.Credentials, { getToken: service => services.push(service.keychainItem) && "glpat-token" }, () =>
+        TestUtils.withOverrides(modules.HTTP, { transport }, () =>
+          TestUtils.withOverrides(modules.CONFIG.gitlab, gitlab, () =>
+            TestUtils.withOverrides(modules.CONFIG, { comments: { enabled: true } }, callback)
+          )
+        )
+      );
+      
+      const pullRequests = await run(() => modules.GitLab.getMergeRequests(10));
+      const pipelineRequests = requests.filter(request => /\/pipelines\?/.test(request.path)).map(request => request.path);
+      const limited = await run(() => modules.GitLab.getMergeRequests(1));
+      // A GitHub repository with the same path and number must not collide with the merge request
+      const sameName = { repository: "group/app", number: 1, title: "Other work", html_url: "https://github.com/group/app/pull/1" };
+      const linked = modules.Linker.link([{ key: "PROJ-1", fields: { summary: "Login", status: { name: "Open" } } }], pullRequests.concat([sameName]));
+      const data = {
+        metadata: { generated: "2024-01-04T00:00:00Z", truncated: { jira: false, github: false } },
+        jiraTickets: linked.jiraTickets,
+        githubPullRequests: linked.githubPullRequests
+      };
+      const snapshot = modules.Changes.snapshot(data);
+      const previous = {
+        generated: "2024-01-03T00:00:00Z",
+        tickets: {},
+        pullRequests: {
+          "gitlab:group/app!7": { title: "Old", url: "https://gitlab.example.com/group/app/-/merge_requests/7", author: "dev", tickets: [] },
+          "group/app#1": { title: "Other work", url: "https://github.com/group/app/pull/1", author: "", tickets: [] }
+        }
+      };
+      const changes = await run(() => modules.Changes.detect(previous, data));
+      const comments = await run(() => TestUtils.withOverrides(modules.JIRA, { addComment: () => Promise.resolve({ result: "unchanged" }) }, () =>
+        modules.Comments.sync(data, { github: { linked: changes.github.linked.filter(link => link.ticket === "PROJ-1"), merged: [], closed: [] } }, false)
+      ));
+      const posted = requests.filter(request => request.method === "POST");
+      const [first, second, third] = pullRequests;
+      
+      const success = pullRequests.length === 3 && pullRequests.truncated === false &&
+                     limited.length === 1 && limited.truncated === true &&
+                     services.every(item => item === "GitLab API Token") && requests.every(request => request.token === "glpat-token") &&
+                     first.source === "gitlab" && first.repository === "group/app" && first.number === 1 &&
+                     first.html_url === "https://gitlab.example.com/group/app/-/merge_requests/1" &&
+                     first.user.login === "dev" && first.head.ref === "feature/PROJ-1" && first.base.ref === "main" &&
+                     first.labels[0].name === "backend" && first.state === "open" &&
+                     first.details.checks === "failure" && first.details.awaitingMe === true && first.details.mergeable === "mergeable" &&
+                     second.draft === true && second.details.checks === "pending" && second.details.mergeable === "conflicting" &&
+                     second.user.login === "ghost" &&
+                     third.repository === "group/sub/lib" && third.details.checks === null &&
+                     pipelineRequests.length === 2 && pipelineRequests[1].indexOf("projects/group%2Fsub%2Flib/pipelines?") === 0 &&
+                     linked.jiraTickets[0].linkedPullRequests.length === 1 &&
+                     snapshot.pullRequests["gitlab:group/app!1"].title === "PROJ-1: Change 1" &&
+                     snapshot.pullRequests["group/app#1"].title === "Other work" &&
+                     changes.github.merged.length === 1 && changes.github.merged[0].pullRequest === "gitlab:group/app!7" &&
+                     changes.github.opened.map(pr => pr.pullRequest).join() === "gitlab:group/app!1,gitlab:group/app!2,gitlab:group/sub/lib!3" &&
+                     comments.length === 2 && comments[1].target === "gitlab" && comments[1].result === "created" &&
+                     posted.length === 1 && posted[0].path === "projects/group%2Fapp/merge_requests/1/notes" &&
+                     modules.Formatter.render(data, "markdown").indexOf("PROJ-1: Change 1") >= 0;
+      
+      return {
+        success,
+        message: success ? "GitLab merge requests working correctly" : "GitLab merge requests failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Tests resolving JIRA fields by display name and flattening their values
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testFieldMapping: async function() {
+    console.log("Testing JIRA field mapping...");
+    const modules = TestUtils.loadModules();
+    
+    try {
+      const fieldList = [
+        { id: "summary", name: "Summary", custom: false },
+        { id: "status", name: "Status", custom: false },
+        { id: "assignee", name: "Assignee", custom: false },
+        { id: "description", name: "Description", custom: false },
+        { id: "customfield_10016", name: "Story Points", custom: true },
+        { id: "customfield_10020", name: "Sprint", custom: true },
+        { id: "customfield_10014", name: "Epic Link", custom: true },
+        { id: "customfield_10030", name: "Team", custom: true },
+        { id: "customfield_10031", name: "Team", custom: true }
+      ];
+      const issue = {
+        key: "PROJ-1",
+        fields: {
+          summary: "Fix login",
+          status: { name: "Open" },
+          assignee: { accountId: "abc", displayName: "Jane Doe" },
+          description: {
+            type: "doc",
+            version: 1,
+            content: [
+              { type: "paragraph", content: [{ type: "text", text: "Steps for " }, { type: "mention", attrs: { text: "@Bob" } }] },
+              { type: "bulletList", content: [
+                { type: "listItem", content: [{ type: "paragraph", content: [{ type: "text", text: "Open page" }] }] },
+                { type: "listItem", content: [{ type: "paragraph", content: [{ type: "text", text: "Log in" }] }] }
+              ] }
+            ]
+          },
+          customfield_10016: 5,
+          customfield_10020: [
+            "com.atlassian.greenhopper.service.sprint.Sprint@1f2e[id=1,rapidViewId=2,state=CLOSED,name=Sprint 11,goal=]",
+            { id: 2, name: "Sprint 12", state: "active" }
+          ],
+          customfield_10014: "PROJ-100",
+          customfield_10030: { value: "Platform", child: { value: "Auth" } }
+        }
+      };
+      const requests = [];
+      const transport = request => {
+        requests.push(request.url);
+        const body = /\/field$/.test(request.url) ? fieldList : { startAt: 0, total: 1, issues: [JSON.parse(JSON.stringify(issue))] };
+        return Promise.resolve({ status: 200, headers: {}, body: JSON.stringify(body) });
+      };
+      const jira = Object.assign({}, modules.CONFIG.jira, {
+        fields: "summary,status,assignee,description,Story Points,Sprint,epic link,Team"
+      });
+      
+      const run = (config, callback) => TestUtils.withOverrides(modules.CONFIG, { jira: config }, () =>
+        TestUtils.withOverrides(modules.JIRA, { getAuthorization: () => Promise.resolve("Bearer mock") }, () =>
+          TestUtils.withOverrides(modules.HTTP, { transport }, callback)
+        )
+      );
+      
+      let result;
+      let searchUrl;
+      let fieldRequests;
+      let invalid = null;
+      
+      try {
+        result = await run(jira, () => modules.JIRA.getTicketsByQuery([{ name: "a", jql: "project = PROJ" }, { name: "b", jql: "assignee = currentUser()" }]));
+        searchUrl = requests.find(url => /\/search\?/.test(url));
+        fieldRequests = requests.filter(url => /\/field$/.test(url)).length;
+        
+        await run(Object.assign({}, jira, { fields: "summary,Nonexistent Field" }), () => modules.JIRA.resolveFields()).catch(error => {
+          invalid = error;
+        });
+      } finally {
+        modules.JIRA.fieldMap = null;
+      }
+      
+      const values = result.issues[0].values;
+      const markdown = modules.Formatter.render({
+        metadata: { generated: "2024-01-01T00:00:00Z", fields: [{ key: "summary", name: "Summary" }, { key: "storyPoints", name: "Story Points" }, { key: "sprint", name: "Sprint" }] },
+        jiraTickets: result.issues,
+        githubPullRequests: []
+      }, "markdown");
+      
+      const success = fieldRequests === 1 &&
+                     decodeURIComponent(searchUrl).indexOf("fields=summary,status,assignee,description,customfield_10016,customfield_10020,customfield_10014,customfield_10030") >= 0 &&
+                     values.summary === "Fix login" &&
+                     values.status === "Open" &&
+                     values.assignee === "Jane Doe" &&
+                     values.description === "Steps for @Bob\n• Open page\n• Log in" &&
+                     values.storyPoints === 5 &&
+                     values.sprint.join() === "Sprint 11,Sprint 12" &&
+                     values.epicLink === "PROJ-100" &&
+                     values.team === "Platform / Auth" &&
+                     invalid instanceof modules.ConfigError && invalid.message.indexOf("\"Nonexistent Field\"") >= 0 &&
+                     markdown.indexOf("| Key | Summary | Status | Story Points | Sprint | Pull Requests |") >= 0 &&
+                     markdown.indexOf("| Open | 5 | Sprint 11, Sprint 12 |  |") >= 0;
+      
+      return {
+        success,
+        message: success ? "JIRA field mapping working correctly" : "JIRA field mapping failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Tests parsing filter and sort expressions and applying them to the combined data
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testFilterExpressions: async function() {
+    console.log("Testing filter expressions...");
+    const modules = TestUtils.loadModules();
+    
+    try {
+      const now = new Date("2024-01-10T00:00:00Z");
+      const me = { accountId: "acc-1", displayName: "Jane Doe" };
+      const ticket = (key, status, assignee, updated, points) => ({
+        key,
+        fields: { summary: `${key} work`, status: { name: status }, assignee, updated },
+        values: { storyPoints: points }
+      });
+      const pr = (number, draft, created, author) => ({
+        repository: "me/app",
+        number,
+        title: `Change ${number}`,
+        draft,
+        created_at: created,
+        updated_at: created,
+        user: { login: author },
+        linkedTickets: number === 1 ? ["PROJ-1"] : []
+      });
+      const data = {
+        metadata: { fields: [{ key: "summary", name: "Summary" }, { key: "storyPoints", name: "Story Points" }] },
+        jiraTickets: [
+          ticket("PROJ-1", "In Progress", me, "2024-01-09T00:00:00Z", 3),
+          ticket("PROJ-2", "Done", me, "2024-01-08T00:00:00Z", 5),
+          ticket("PROJ-3", "Open", { accountId: "acc-2", displayName: "Bob" }, "2024-01-05T00:00:00Z", 8),
+          ticket("PROJ-4", "Open", null, "2024-01-07T00:00:00Z", null)
+        ],
+        githubPullRequests: [
+          pr(1, false, "2024-01-01T00:00:00Z", "jane"),
+          pr(2, true, "2024-01-02T00:00:00Z", "jane"),
+          pr(3, false, "2024-01-09T00:00:00Z", "bob")
+        ]
+      };
+      const keys = result => result.jiraTickets.map(item => item.key).join() + "|" + result.githubPullRequests.map(item => item.number).join();
+      const lookups = [];
+      const run = text => TestUtils.withOverrides(modules.JIRA, { request: (method, path) => lookups.push(path) && Promise.resolve(me) }, () =>
+        TestUtils.withOverrides(modules.GitHub, { request: (method, path) => lookups.push(path) && Promise.resolve({ login: "jane" }) }, () =>
+          modules.Filter.apply(modules.Filter.parse(text), data, now)
+        )
+      );
+      const failure = async text => {
+        try {
+          await run(text);
+          return null;
+        } catch (error) {
+          return error;
+        }
+      };
+      
+      const mine = await run("status != Done and assignee = me");
+      const mineLookups = lookups.splice(0).join();
+      const ticketsOnly = await run("jira.assignee = me");
+      const ticketLookups = lookups.splice(0).join();
+      
+      // Without a GitHub token, `me` still matches the GitLab user
+      const withGitLab = Object.assign({}, data, {
+        githubPullRequests: data.githubPullRequests.concat([Object.assign(pr(4, false, "2024-01-03T00:00:00Z", "jdoe"), { source: "gitlab", repository: "group/app" })])
+      });
+      const authored = await TestUtils.withOverrides(modules.CONFIG.gitlab, { projects: ["group/app"] }, () =>
+        TestUtils.withOverrides(modules.GitHub, { request: () => Promise.reject(new modules.AuthError("No GitHub token")) }, () =>
+          TestUtils.withOverrides(modules.GitLab, { request: (method, path) => lookups.push(`gitlab:${path}`) && Promise.resolve({ username: "jdoe" }) }, () =>
+            modules.Filter.apply(modules.Filter.parse("author = me"), withGitLab, now)
+          )
+        )
+      );
+      const authorLookups = lookups.splice(0).join();
+      const stale = await run("pr.draft = false and age > 3d");
+      const sorted = await run("sort: -updated");
+      const either = await run("(status = Open or storyPoints >= 5) and not key = PROJ-4 sort: storyPoints");
+      const unassigned = await run("jira.assignee = empty or author ~ BO");
+      const parseError = await failure("status = Open and");
+      const typeError = await failure("age > soon");
+      const unknown = await failure("staus = Open");
+      const notFetched = await failure("priority = High");
+      
+      const success = keys(mine) === "PROJ-1|" &&
+                     mineLookups === "myself,user" &&
+                     keys(ticketsOnly) === "PROJ-1,PROJ-2|1,2,3" && ticketLookups === "myself" &&
+                     keys(authored) === "PROJ-1,PROJ-2,PROJ-3,PROJ-4|4" && authorLookups === "gitlab:user" &&
+                     keys(stale) === "PROJ-1,PROJ-2,PROJ-3,PROJ-4|1" &&
+                     keys(sorted) === "PROJ-1,PROJ-2,PROJ-4,PROJ-3|3,2,1" &&
+                     keys(either) === "PROJ-2,PROJ-3|1,2,3" &&
+                     keys(unassigned) === "PROJ-4|3" &&
+                     parseError instanceof modules.FilterError &&
+                     parseError.exitCode === modules.EXIT_CODES.config &&
+                     parseError.message.indexOf("Expected a field name (at column 18)") === 0 &&
+                     typeError.message.indexOf("\"soon\" is not a duration") === 0 && typeError.position === 6 &&
+                     unknown.message.indexOf("Unknown field \"staus\"; use one of key, project") === 0 &&
+                     notFetched.message.indexOf("\"priority\" needs the JIRA field \"priority\"") === 0 &&
+                     modules.Filter.parse("  ") === null;
+      
+      return {
+        success,
+        message: success ? "Filter expressions working correctly" : "Filter expressions failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Tests stale work and neglected review findings
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testFindings: async function() {
+    console.log("Testing findings...");
+    const modules = TestUtils.loadModules();
+    
+    try {
+      const now = new Date("2024-02-01T00:00:00Z");
+      const daysAgo = days => new Date(now - days * 86400000).toISOString();
+      const pr = (number, created, extra) => Object.assign({
+        repository: "me/app",
+        number,
+        title: `Change ${number}`,
+        html_url: `https://github.com/me/app/pull/${number}`,
+        created_at: daysAgo(created),
+        linkedTickets: []
+      }, extra);
+      const ticket = (key, status, extra) => Object.assign({
+        key,
+        fields: { summary: `${key} work`, status: { name: status } },
+        linkedPullRequests: []
+      }, extra);
+      const data = {
+        metadata: { generated: now.toISOString(), truncated: { jira: false, github: false } },
+        githubPullRequests: [
+          pr(1, 20, { details: { draft: false, requestedReviewers: ["amy"], lastReviewAt: daysAgo(1) } }),
+          pr(2, 10, { details: { draft: false, requestedReviewers: [], lastReviewAt: null } }),
+          pr(3, 30, { draft: true }),
+          pr(4, 2, { details: { draft: false, requestedReviewers: [], lastReviewAt: null } })
+        ],
+        jiraTickets: [
+          ticket("PROJ-1", "In Progress"),
+          ticket("PROJ-2", "In Progress", { linkedPullRequests: [{ number: 4 }] }),
+          ticket("PROJ-3", "In Review"),
+          ticket("PROJ-4", "Done", { fields: { summary: "Finished", status: { name: "Done", statusCategory: { key: "done" } } } })
+        ]
+      };
+      
+      // Merges are remembered per ticket across runs
+      const previous = { tickets: { "PROJ-4": { merged: [{ pullRequest: "me/app#8", url: "https://github.com/me/app/pull/8" }] } } };
+      data.changes = { github: { merged: [{ pullRequest: "me/app#9", url: "https://github.com/me/app/pull/9", tickets: ["PROJ-3"] }] } };
+      modules.Changes.recordMerged(previous, data);
+      
+      const findings = modules.Findings.analyze(data, now);
+      const summary = findings.map(finding => `${finding.severity} ${finding.kind} ${finding.item}`);
+      const lines = modules.Findings.describe(findings, 2);
+      const snapshot = modules.Changes.snapshot(data);
+      const markdown = modules.Formatter.render(Object.assign({ findings }, data), "markdown");
+      const html = modules.Formatter.render(Object.assign({ findings }, data), "html");
+      const disabled = await TestUtils.withOverrides(modules.CONFIG, { findings: Object.assign({}, modules.CONFIG.findings, { enabled: false }) }, () =>
+        modules.Findings.analyze(data, now));
+      
+      const success = summary.join("|") === [
+        "critical stale-pull-request me/app#1",
+        "warning stale-pull-request me/app#2",
+        "warning review-neglected me/app#2",
+        "warning in-progress-without-pr PROJ-1",
+        "warning merged-but-open PROJ-3",
+        "info stale-pull-request me/app#3"
+      ].join("|") &&
+                     findings[2].message === "No review activity for 10 days and no reviewers requested" &&
+                     findings[4].message === "Still In Review though me/app#9 was merged" &&
+                     snapshot.tickets["PROJ-3"].merged[0].pullRequest === "me/app#9" &&
+                     snapshot.tickets["PROJ-4"].merged[0].pullRequest === "me/app#8" &&
+                     lines[0] === "Findings: 1 critical, 4 warning, 1 info" &&
+                     lines[1] === "⚠ me/app#1: Open for 20 days" &&
+                     lines[3] === "⚠ ...and 4 more" &&
+                     markdown.indexOf("## Findings (6)") >= 0 &&
+                     markdown.indexOf("## Findings (6)") < markdown.indexOf("## JIRA Tickets") &&
+                     markdown.indexOf("| critical | [me/app#1](https://github.com/me/app/pull/1) Change 1 | Open for 20 days |") >= 0 &&
+                     html.indexOf("<span class=\"badge critical\">critical</span>") < html.indexOf("<table id=\"jira-tickets\">") &&
+                     disabled.length === 0;
+      
+      return {
+        success,
+        message: success ? "Findings working correctly" : "Findings failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Tests selecting which tickets and pull requests to open in the browser
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testOpenSelection: async function() {
+    console.log("Testing open selection...");
+    const modules = TestUtils.loadModules();
+    
+    try {
+      const ticket = (key, updated) => ({ key, fields: { summary: `Ticket ${key}`, updated } });
+      const pr = (number, updated) => ({
+        repository: "me/app",
+        number,
+        title: `Change ${number}`,
+        html_url: `https://github.com/me/app/pull/${number}`,
+        updated_at: updated
+      });
+      const changes = {
+        baseline: false,
+        jira: { added: [{ key: "PROJ-3" }], removed: [{ key: "PROJ-9" }], statusChanged: [{ key: "PROJ-1" }] },
+        github: { opened: [{ pullRequest: "me/app#2" }], merged: [], closed: [], linked: [{ pullRequest: "me/app#2", ticket: "PROJ-1" }] }
+      };
+      const data = {
+        metadata: {},
+        jiraTickets: [ticket("PROJ-1", "2024-01-01T00:00:00Z"), ticket("PROJ-2", "2024-01-03T00:00:00Z"), ticket("PROJ-3", "2024-01-02T00:00:00Z")],
+        githubPullRequests: [pr(1, "2024-01-05T00:00:00Z"), pr(2, "2024-01-04T00:00:00Z"), Object.assign(pr(3), { html_url: null })],
+        changes
+      };
+      const ids = selected => selected.map(candidate => candidate.id).join();
+      const select = options => modules.Opener.select(data, modules.Opener.settings(options));
+      const rejects = options => {
+        try {
+          modules.Opener.settings(options);
+          return false;
+        } catch (error) {
+          return error instanceof modules.ConfigError;
+        }
+      };
+      
+      const all = await select({ open: "all" });
+      const none = await select({ open: "none" });
+      const top = await select({ open: "top", openLimit: 1 });
+      const changed = await select({ open: "changed" });
+      const baseline = await modules.Opener.select(Object.assign({}, data, { changes: Object.assign({}, changes, { baseline: true }) }), { mode: "changed" });
+      
+      // The chooser asks again after an invalid answer; a dialog is used under JXA
+      const answers = ["6", "2, 1"];
+      const opened = [];
+      const chosen = await TestUtils.withOverrides(modules.System, {
+        prompt: () => Promise.resolve(answers.shift()),
+        chooseFromList: () => [1, 0],
+        openUrl: url => opened.push(url)
+      }, () => modules.Opener.run(data, modules.Opener.settings({ open: "choose" })));
+      const unattended = await TestUtils.withOverrides(modules.System, { prompt: () => Promise.resolve(null), chooseFromList: () => [] }, () =>
+        modules.Opener.choose(all)
+      );
+      
+      const success = ids(all) === "PROJ-1,PROJ-2,PROJ-3,me/app#1,me/app#2" &&
+                     all[0].label === "PROJ-1: Ticket PROJ-1" && all[3].url === "https://github.com/me/app/pull/1" &&
+                     none.length === 0 &&
+                     ids(top) === "PROJ-2,me/app#1" &&
+                     ids(changed) === "PROJ-1,PROJ-3,me/app#2" &&
+                     baseline.length === 0 &&
+                     ids(chosen) === "PROJ-2,PROJ-1" &&
+                     opened.join() === `${modules.JIRA.getTicketUrl("PROJ-2")},${modules.JIRA.getTicketUrl("PROJ-1")}` &&
+                     unattended.length === 0 &&
+                     JSON.stringify(modules.Opener.parseChoice(" 3, 1-2 ,3", 4)) === "[2,0,1]" &&
+                     modules.Opener.parseChoice("all", 2).length === 2 &&
+                     modules.Opener.parseChoice("", 2).length === 0 &&
+                     modules.Opener.parseChoice("0", 2) === null &&
+                     modules.Opener.parseChoice("2-1", 2) === null &&
+                     modules.Opener.parseChoice("one", 2) === null &&
+                     rejects({ open: "some" }) && rejects({ openLimit: -1 }) && rejects({ openLimit: 1.5 });
+      
+      return {
+        success,
+        message: success ? "Open selection working correctly" : "Open selection failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Tests rendering the combined data as a Markdown report
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testMarkdownReport: async function() {
+    console.log("Testing Markdown report...");
+    const modules = TestUtils.loadModules();
+    
+    try {
+      const data = {
+        metadata: { generated: "2023-05-04T12:00:00Z" },
+        jiraTickets: [{ key: "PROJ-1", fields: { summary: "Fix login | page", status: { name: "Open" } }, linkedPullRequests: [] }],
+        githubPullRequests: [Object.assign({ number: 1, repository: "myusername/myrepo", linkedTickets: ["PROJ-1"] }, MOCK_DATA.github[0])]
+      };
+      
+      const markdown = modules.Formatter.render(data, "markdown");
+      let rejected = false;
+      
+      try {
+        modules.Formatter.render(data, "pdf");
+      } catch (error) {
+        rejected = true;
+      }
+      
+      const success = markdown.indexOf("## JIRA Tickets (1)") >= 0 &&
+                     markdown.indexOf("| [PROJ-1](https://jira.example.com/browse/PROJ-1) | Fix login \\| page | Open |") >= 0 &&
+                     markdown.indexOf("| [myusername/myrepo#1](https://github.com/myusername/myrepo/pull/1) | Fix login page alignment issues | developer1 | 3d |") >= 0 &&
+                     modules.Formatter.outputPath("~/Documents/JIRA-GitHub-Data.json", "markdown") === "~/Documents/JIRA-GitHub-Data.md" &&
+                     rejected;
+      
+      return {
+        success,
+        message: success ? "Markdown report working correctly" : "Markdown report failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Tests rendering the combined data as an HTML dashboard
+   * 
+   * @returns {Promise<Object>} Test results
+   */
+  testHtmlDashboard: async function() {
+    console.log("Testing HTML dashboard...");
+    const modules = TestUtils.loadModules();
+    
+    try {
+      const data = {
+        metadata: { generated: "2023-05-04T12:00:00Z" },
+        jiraTickets: [{ key: "PROJ-1", fields: { summary: "<script>alert(1)</script>", status: { name: "In Progress" } }, linkedPullRequests: [] }],
+        githubPullRequests: [Object.assign({ number: 1, state: "open", linkedTickets: [] }, MOCK_DATA.github[0])]
+      };
+      
+      const html = modules.Formatter.render(data, "html");
+      
+      const success = html.indexOf("<!DOCTYPE html>") === 0 &&
+                     html.indexOf("&lt;script&gt;alert(1)&lt;/script&gt;") >= 0 &&
+                     html.indexOf("<span class=\"badge in-progress\">In Progress</span>") >= 0 &&
+                     html.indexOf("href=\"https://github.com/myusername/myrepo/pull/1\"") >= 0 &&
+                     !/<(link|script) [^>]*(href|src)=/.test(html) &&
+                     modules.Formatter.outputPath("~/Documents/JIRA-GitHub-Data.json", "html") === "~/Documents/JIRA-GitHub-Data.html";
+      
+      return {
+        success,
+        message: success ? "HTML dashboard working correctly" : "HTML dashboard failed"
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+  
   /**
    * Tests System integration functionality
    * 